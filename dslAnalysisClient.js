@@ -0,0 +1,220 @@
+/*
+ * FILE: dslAnalysisClient.js
+ *
+ * ARTIFACT INFO (for proper Claude artifact creation):
+ * - ID: dslAnalysisClient.js
+ * - Title: dslAnalysisClient
+ * - Type: application/vnd.ant.code (language: javascript)
+ *
+ * ARCHITECTURAL BOUNDARY: Suggestions (App UI)
+ * LOADED BY: dslSuggestionsApp.html
+ * PROVIDES: DSLAnalysisClient global object
+ *
+ * DESCRIPTION:
+ * Promise API around dslAnalysisWorker.js, so analysis and auto-fix run without
+ * blocking the page:
+ *
+ *   var client = DSLAnalysisClient.create();      // null if workers are unavailable
+ *   var request = client.analyze(code, { config: config });
+ *   request.then(function(response) { response.result; response.cacheStats; });
+ *   client.fix(code, { style: 'method' });         // result = fix report
+ *   client.cancel(request.id);                      // or client.cancel() for all
+ *
+ * Cancelled requests reject with an error whose `cancelled` property is true.
+ * Cancelling the request the worker is running terminates the worker and starts
+ * a new one for the requests still waiting. If the worker fails (e.g. a script
+ * does not load) every request rejects and the client stays failed; callers fall
+ * back to running the engine directly.
+ * Version tracking: See dslSuggestionsApp.html for app version.
+ */
+
+var DSLAnalysisClient = (function() {
+    'use strict';
+
+    var WORKER_FILE = 'dslAnalysisWorker.js';
+
+    // Load the worker from next to this script, with the same cache-busting query
+    var defaultWorkerUrl = WORKER_FILE;
+    if (typeof document !== 'undefined' && document.currentScript && document.currentScript.src) {
+        defaultWorkerUrl = document.currentScript.src.replace(/dslAnalysisClient\.js/, WORKER_FILE);
+    }
+
+    function cancelledError() {
+        var error = new Error('Analysis request cancelled');
+        error.cancelled = true;
+        return error;
+    }
+
+    /**
+     * Start a worker.
+     * @param {string} workerUrl - Defaults to dslAnalysisWorker.js next to this script
+     * @returns {object|null} Client, or null when workers cannot be created
+     */
+    function create(workerUrl) {
+        if (typeof Worker === 'undefined' || typeof Promise === 'undefined') {
+            return null;
+        }
+
+        var url = workerUrl || defaultWorkerUrl;
+        var worker = null;
+        var nextId = 1;
+        var waiting = [];       // requests in the order they were posted
+        var runningId = null;   // request the worker reported as started
+        var failure = null;
+
+        function startWorker() {
+            worker = new Worker(url);
+            runningId = null;
+            worker.onmessage = handleMessage;
+            worker.onerror = function(event) {
+                if (event && event.preventDefault) {
+                    event.preventDefault();
+                }
+                fail(new Error('Analysis worker failed: ' + ((event && event.message) || url)));
+            };
+        }
+
+        function findRequest(id) {
+            for (var i = 0; i < waiting.length; i++) {
+                if (waiting[i].id === id) {
+                    return i;
+                }
+            }
+            return -1;
+        }
+
+        function settle(id, error, value) {
+            var index = findRequest(id);
+            if (index === -1) {
+                return;
+            }
+
+            var request = waiting.splice(index, 1)[0];
+            if (runningId === id) {
+                runningId = null;
+            }
+            if (error) {
+                request.reject(error);
+            } else {
+                request.resolve(value);
+            }
+        }
+
+        function handleMessage(event) {
+            var message = event.data || {};
+
+            if (message.type === 'started') {
+                runningId = message.id;
+            } else if (message.type === 'result') {
+                settle(message.id, null, { result: message.result, cacheStats: message.cacheStats });
+            } else if (message.type === 'error') {
+                settle(message.id, new Error(message.message));
+            } else if (message.type === 'cancelled') {
+                settle(message.id, cancelledError());
+            }
+        }
+
+        function fail(error) {
+            failure = error;
+            if (worker) {
+                worker.terminate();
+                worker = null;
+            }
+
+            var rejected = waiting;
+            waiting = [];
+            runningId = null;
+            for (var i = 0; i < rejected.length; i++) {
+                rejected[i].reject(error);
+            }
+        }
+
+        function post(type, code, options) {
+            var id = nextId++;
+            var message = { type: type, id: id, code: code, options: options || {} };
+
+            var promise = new Promise(function(resolve, reject) {
+                if (failure) {
+                    reject(failure);
+                    return;
+                }
+                waiting.push({ id: id, message: message, resolve: resolve, reject: reject });
+                worker.postMessage(message);
+            });
+            promise.id = id;
+            return promise;
+        }
+
+        // A running request can only be stopped with the worker; the requests after
+        // it are posted again to a new one
+        function restartWorker() {
+            worker.terminate();
+            startWorker();
+            for (var i = 0; i < waiting.length; i++) {
+                worker.postMessage(waiting[i].message);
+            }
+        }
+
+        function cancel(id) {
+            if (failure) {
+                return;
+            }
+
+            var all = id === undefined || id === null;
+            var stopRunning = runningId !== null && (all || runningId === id);
+            var cancelled = waiting.filter(function(request) {
+                return all || request.id === id;
+            });
+
+            waiting = waiting.filter(function(request) {
+                return cancelled.indexOf(request) === -1;
+            });
+            for (var i = 0; i < cancelled.length; i++) {
+                cancelled[i].reject(cancelledError());
+            }
+
+            if (stopRunning) {
+                restartWorker();
+            } else if (cancelled.length > 0) {
+                worker.postMessage({ type: 'cancel', id: all ? null : id });
+            }
+        }
+
+        function terminate() {
+            fail(new Error('Analysis worker terminated'));
+        }
+
+        try {
+            startWorker();
+        } catch (error) {
+            // e.g. pages opened from file:// may not start workers
+            console.warn('[AnalysisClient] Worker unavailable:', error.message);
+            return null;
+        }
+
+        return {
+            analyze: function(code, options) {
+                return post('analyze', code, options);
+            },
+            fix: function(code, options) {
+                return post('fix', code, options);
+            },
+            cancel: cancel,
+            terminate: terminate
+        };
+    }
+
+    return {
+        create: create
+    };
+})();
+
+// Make available globally for the app
+if (typeof window !== 'undefined') {
+    window.DSLAnalysisClient = DSLAnalysisClient;
+}
+
+// Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DSLAnalysisClient;
+}
@@ -0,0 +1,148 @@
+/*
+ * FILE: dslAnalysisWorker.js
+ *
+ * ARTIFACT INFO (for proper Claude artifact creation):
+ * - ID: dslAnalysisWorker.js
+ * - Title: dslAnalysisWorker
+ * - Type: application/vnd.ant.code (language: javascript)
+ *
+ * ARCHITECTURAL BOUNDARY: Suggestions (Web Worker host)
+ * LOADED BY: dslAnalysisClient.js (new Worker(...))
+ * PROVIDES: Message API - analyze, fix, cancel
+ *
+ * DESCRIPTION:
+ * Runs the engine off the UI thread. Loads config, utilities, parser, diff, rules
+ * and engine with importScripts (the same order as the browser auto-load), plus
+ * dslRefactor.js, which the page loads itself and variableNaming renames with, and
+ * answers requests posted by dslAnalysisClient.js:
+ *
+ *   -> { type: 'analyze', id, code, options: { config } }
+ *   -> { type: 'fix', id, code, options: { config, style } }
+ *   -> { type: 'cancel', id }            (no id: every queued request)
+ *   <- { type: 'ready', version }
+ *   <- { type: 'started', id }
+ *   <- { type: 'result', id, result, cacheStats: { hits, misses } }
+ *   <- { type: 'error', id, message }
+ *   <- { type: 'cancelled', id }
+ *
+ * analyze answers with the analyzeDSL() result, fix with the
+ * applyCodeSuggestionsWithReport() report. Requests run one at a time through
+ * an analysis cache, so unchanged statements are not checked again. Cancel
+ * drops queued requests; a request that has started runs to completion (the
+ * client terminates the worker to stop it).
+ * Version tracking: See dslSuggestionsApp.html for app version.
+ */
+
+(function() {
+    'use strict';
+
+    // Load the engine with the worker's own cache-busting query (?v=...)
+    var query = self.location.search || '';
+    importScripts(
+        'dslSuggestionsConfig.js' + query,
+        'dslRuleUtilities.js' + query,
+        'dslParser.js' + query,
+        'dslDiff.js' + query,
+        'dslRefactor.js' + query,
+        'dslRules.js' + query,
+        'dslSuggestionsEngine.js' + query
+    );
+
+    var cache = createAnalysisCache();
+    var queue = [];
+    var scheduled = false;
+
+    // Posted configs are new objects every time; reuse the previous one while it is
+    // unchanged so the analysis cache stays valid
+    var lastConfig = null;
+    var lastConfigJson = null;
+
+    function resolveConfig(options) {
+        if (!options.config) {
+            return undefined;
+        }
+
+        var json = JSON.stringify(options.config);
+        if (json !== lastConfigJson) {
+            lastConfigJson = json;
+            lastConfig = options.config;
+        }
+        return lastConfig;
+    }
+
+    function runRequest(request) {
+        var options = request.options || {};
+        var engineOptions = {
+            config: resolveConfig(options),
+            cache: cache
+        };
+
+        if (request.type === 'analyze') {
+            return analyzeDSL(request.code, engineOptions);
+        }
+
+        engineOptions.style = options.style;
+        return applyCodeSuggestionsWithReport(request.code, engineOptions);
+    }
+
+    function processNext() {
+        scheduled = false;
+
+        var request = queue.shift();
+        if (!request) {
+            return;
+        }
+
+        self.postMessage({ type: 'started', id: request.id });
+
+        cache.hits = 0;
+        cache.misses = 0;
+
+        try {
+            var result = runRequest(request);
+            self.postMessage({
+                type: 'result',
+                id: request.id,
+                result: result,
+                cacheStats: { hits: cache.hits, misses: cache.misses }
+            });
+        } catch (error) {
+            self.postMessage({ type: 'error', id: request.id, message: error.message });
+        }
+
+        schedule();
+    }
+
+    // One request per task, so cancel messages posted meanwhile are seen first
+    function schedule() {
+        if (!scheduled && queue.length > 0) {
+            scheduled = true;
+            setTimeout(processNext, 0);
+        }
+    }
+
+    function cancel(id) {
+        queue = queue.filter(function(request) {
+            if (id !== undefined && id !== null && request.id !== id) {
+                return true;
+            }
+            self.postMessage({ type: 'cancelled', id: request.id });
+            return false;
+        });
+    }
+
+    self.onmessage = function(event) {
+        var message = event.data || {};
+
+        if (message.type === 'analyze' || message.type === 'fix') {
+            queue.push(message);
+            schedule();
+        } else if (message.type === 'cancel') {
+            cancel(message.id);
+        } else {
+            self.postMessage({ type: 'error', id: message.id, message: 'Unknown request type: ' + message.type });
+        }
+    };
+
+    self.postMessage({ type: 'ready', version: DSL_SUGGESTIONS_ENGINE_VERSION });
+})();
@@ -0,0 +1,373 @@
+/*
+ * FILE: dslCodeEditor.js
+ *
+ * ARTIFACT INFO (for proper Claude artifact creation):
+ * - ID: dslCodeEditor.js
+ * - Title: dslCodeEditor
+ * - Type: application/vnd.ant.code (language: javascript)
+ *
+ * ARCHITECTURAL BOUNDARY: Suggestions (App UI)
+ * LOADED BY: dslSuggestionsApp.html
+ * PROVIDES: DSLCodeEditor global object
+ *
+ * DESCRIPTION:
+ * Dependency-free code editor around an existing textarea. Adds a line-number
+ * gutter with an icon for the most severe suggestion on each line, underlines the
+ * code each suggestion refers to (its column and original text) and shows the
+ * suggestion messages when hovering an underline or gutter icon.
+ * The textarea stays the input element: the underlines are drawn on a backdrop
+ * behind it, so reading .value, focus and undo work as before.
+ * Version tracking: See dslSuggestionsApp.html for app version.
+ */
+
+var DSLCodeEditor = (function() {
+    'use strict';
+
+    // Most severe first; the gutter shows the icon of the first one present on a line
+    var SEVERITIES = ['error', 'warning', 'info'];
+    var SEVERITY_ICONS = {
+        error: '✖',
+        warning: '⚠',
+        info: 'ℹ'
+    };
+    var TAB_SIZE = 4;
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Messages use **markers** for color coding; the tooltip shows plain text
+    function plainMessage(suggestion) {
+        return String(suggestion.message || '').replace(/\*\*/g, '');
+    }
+
+    function getLineStarts(code) {
+        var starts = [0];
+        for (var i = 0; i < code.length; i++) {
+            if (code.charAt(i) === '\n') {
+                starts.push(i + 1);
+            }
+        }
+        return starts;
+    }
+
+    /**
+     * Character range a suggestion refers to: its original text where that covers
+     * the reported column (the expression may start on an earlier line), otherwise
+     * the word at the column.
+     * @returns {object|null} { start, end } offsets, null when the line does not exist
+     */
+    function getMarkerRange(code, suggestion, lineStarts) {
+        lineStarts = lineStarts || getLineStarts(code);
+        var lineStart = lineStarts[(suggestion.line || 1) - 1];
+        if (typeof lineStart !== 'number') {
+            return null;
+        }
+
+        var lineEnd = code.indexOf('\n', lineStart);
+        if (lineEnd === -1) {
+            lineEnd = code.length;
+        }
+        var target = Math.min(lineStart + (suggestion.column || 0), lineEnd);
+        var original = suggestion.original;
+
+        if (typeof original === 'string' && original !== '') {
+            var index = code.lastIndexOf(original, target);
+            if (index !== -1 && target < index + original.length) {
+                return { start: index, end: index + original.length };
+            }
+            if (code.substr(target, original.length) === original) {
+                return { start: target, end: target + original.length };
+            }
+        }
+
+        var end = target;
+        while (end < lineEnd && /[\w$]/.test(code.charAt(end))) {
+            end++;
+        }
+        return { start: target, end: Math.max(end, Math.min(target + 1, lineEnd)) };
+    }
+
+    /**
+     * Turn a textarea into the editor.
+     * @param {HTMLTextAreaElement} textarea - Input element (stays in the page)
+     * @returns {object} Editor: setMarkers(suggestions), clearMarkers(), refresh(), getMarkers()
+     */
+    function create(textarea) {
+        var doc = textarea.ownerDocument;
+
+        var wrapper = doc.createElement('div');
+        wrapper.className = 'dsl-editor';
+        var gutter = doc.createElement('div');
+        gutter.className = 'dsl-editor-gutter';
+        var gutterLines = doc.createElement('div');
+        gutterLines.className = 'dsl-editor-gutter-lines';
+        var body = doc.createElement('div');
+        body.className = 'dsl-editor-body';
+        var backdrop = doc.createElement('pre');
+        backdrop.className = 'dsl-editor-backdrop';
+        backdrop.setAttribute('aria-hidden', 'true');
+        var tooltip = doc.createElement('div');
+        tooltip.className = 'dsl-editor-tooltip';
+        tooltip.style.display = 'none';
+
+        textarea.parentNode.insertBefore(wrapper, textarea);
+        gutter.appendChild(gutterLines);
+        body.appendChild(backdrop);
+        body.appendChild(textarea);
+        wrapper.appendChild(gutter);
+        wrapper.appendChild(body);
+        wrapper.appendChild(tooltip);
+
+        textarea.classList.add('dsl-editor-input');
+        textarea.setAttribute('wrap', 'off');
+        textarea.setAttribute('spellcheck', 'false');
+
+        var markers = [];       // {start, end, line, severity, suggestions: [..]}
+        var markedCode = null;  // code the markers were computed for
+
+        function render() {
+            var code = textarea.value;
+
+            // Markers belong to the analysed code; any edit makes them stale
+            if (markedCode !== null && code !== markedCode) {
+                markers = [];
+                markedCode = null;
+            }
+
+            renderBackdrop(code);
+            renderGutter(code);
+            syncScroll();
+        }
+
+        function renderBackdrop(code) {
+            var html = '';
+            var position = 0;
+
+            // Markers are sorted and never overlap (see setMarkers)
+            for (var i = 0; i < markers.length; i++) {
+                html += escapeHtml(code.substring(position, markers[i].start));
+                html += '<span class="dsl-editor-mark dsl-editor-mark-' + markers[i].severity + '">' +
+                        escapeHtml(code.substring(markers[i].start, markers[i].end)) + '</span>';
+                position = markers[i].end;
+            }
+            // A trailing newline needs content after it to keep the last line's height
+            backdrop.innerHTML = html + escapeHtml(code.substring(position)) + '\n';
+        }
+
+        function renderGutter(code) {
+            var lineCount = code.split('\n').length;
+            var byLine = {};
+
+            for (var i = 0; i < markers.length; i++) {
+                for (var s = 0; s < markers[i].suggestions.length; s++) {
+                    var suggestion = markers[i].suggestions[s];
+                    (byLine[suggestion.line] = byLine[suggestion.line] || []).push(suggestion);
+                }
+            }
+
+            var html = [];
+            for (var line = 1; line <= lineCount; line++) {
+                var lineSuggestions = byLine[line] || [];
+                var icon = '';
+                if (lineSuggestions.length > 0) {
+                    var severity = mostSevere(lineSuggestions);
+                    var title = lineSuggestions.map(function(item) {
+                        return (item.label || item.rule) + ': ' + plainMessage(item);
+                    }).join('\n');
+                    icon = '<span class="dsl-editor-icon dsl-editor-icon-' + severity + '" title="' +
+                           escapeHtml(title) + '">' + SEVERITY_ICONS[severity] + '</span>';
+                }
+                html.push('<div class="dsl-editor-line-number">' + icon + '<span>' + line + '</span></div>');
+            }
+            gutterLines.innerHTML = html.join('');
+        }
+
+        function syncScroll() {
+            backdrop.scrollTop = textarea.scrollTop;
+            backdrop.scrollLeft = textarea.scrollLeft;
+            gutterLines.style.transform = 'translateY(' + (-textarea.scrollTop) + 'px)';
+        }
+
+        // Character offset under the mouse (monospace: line height x character width)
+        function offsetAt(event) {
+            var style = doc.defaultView.getComputedStyle(textarea);
+            var rect = textarea.getBoundingClientRect();
+            var x = event.clientX - rect.left - parseFloat(style.paddingLeft) - parseFloat(style.borderLeftWidth) + textarea.scrollLeft;
+            var y = event.clientY - rect.top - parseFloat(style.paddingTop) - parseFloat(style.borderTopWidth) + textarea.scrollTop;
+            var lineHeight = parseFloat(style.lineHeight);
+            var charWidth = measureCharWidth();
+            if (!(lineHeight > 0) || !(charWidth > 0) || x < 0 || y < 0) {
+                return -1;
+            }
+
+            var code = textarea.value;
+            var lineStarts = getLineStarts(code);
+            var line = Math.floor(y / lineHeight);
+            if (line >= lineStarts.length) {
+                return -1;
+            }
+
+            // Tabs take up to TAB_SIZE columns on screen but one character in the text
+            var visualColumn = Math.floor(x / charWidth);
+            var offset = lineStarts[line];
+            var column = 0;
+            while (offset < code.length && code.charAt(offset) !== '\n') {
+                var width = code.charAt(offset) === '\t' ? TAB_SIZE - (column % TAB_SIZE) : 1;
+                if (visualColumn < column + width) {
+                    return offset;
+                }
+                column += width;
+                offset++;
+            }
+            return -1;
+        }
+
+        var measuredCharWidth = 0;
+        function measureCharWidth() {
+            if (!measuredCharWidth) {
+                var probe = doc.createElement('span');
+                probe.textContent = 'MMMMMMMMMM';
+                probe.style.visibility = 'hidden';
+                backdrop.appendChild(probe);
+                measuredCharWidth = probe.getBoundingClientRect().width / 10;
+                backdrop.removeChild(probe);
+            }
+            return measuredCharWidth;
+        }
+
+        function onMouseMove(event) {
+            var offset = offsetAt(event);
+            var hovered = [];
+
+            for (var i = 0; offset !== -1 && i < markers.length; i++) {
+                if (markers[i].start <= offset && offset < markers[i].end) {
+                    hovered = markers[i].suggestions;
+                    break;
+                }
+            }
+
+            if (hovered.length === 0) {
+                tooltip.style.display = 'none';
+                return;
+            }
+
+            tooltip.innerHTML = hovered.map(function(suggestion) {
+                return '<div class="dsl-editor-tooltip-item dsl-editor-tooltip-' + (suggestion.severity || 'info') + '">' +
+                       '<strong>' + escapeHtml(suggestion.label || suggestion.rule) + '</strong> ' +
+                       escapeHtml(plainMessage(suggestion)) + '</div>';
+            }).join('');
+
+            var wrapperRect = wrapper.getBoundingClientRect();
+            tooltip.style.left = (event.clientX - wrapperRect.left + 12) + 'px';
+            tooltip.style.top = (event.clientY - wrapperRect.top + 16) + 'px';
+            tooltip.style.display = 'block';
+        }
+
+        textarea.addEventListener('input', render);
+        textarea.addEventListener('scroll', syncScroll);
+        textarea.addEventListener('mousemove', onMouseMove);
+        textarea.addEventListener('mouseleave', function() {
+            tooltip.style.display = 'none';
+        });
+
+        var editor = {
+            textarea: textarea,
+
+            /**
+             * Show suggestions from analyzeDSL() for the current textarea value.
+             * Suggestions over the same characters share one underline; where two
+             * underlines would overlap, the earlier one ends where the next begins.
+             */
+            setMarkers: function(suggestions) {
+                var code = textarea.value;
+                var lineStarts = getLineStarts(code);
+                var byRange = {};
+                var list = [];
+
+                for (var i = 0; i < (suggestions || []).length; i++) {
+                    var range = getMarkerRange(code, suggestions[i], lineStarts);
+                    if (!range || range.end <= range.start) {
+                        continue;
+                    }
+                    var key = range.start + ':' + range.end;
+                    if (!byRange[key]) {
+                        byRange[key] = { start: range.start, end: range.end, suggestions: [] };
+                        list.push(byRange[key]);
+                    }
+                    byRange[key].suggestions.push(suggestions[i]);
+                }
+
+                list.sort(function(a, b) {
+                    return a.start - b.start || b.end - a.end;
+                });
+
+                markers = [];
+                for (var m = 0; m < list.length; m++) {
+                    var marker = list[m];
+                    var previous = markers[markers.length - 1];
+                    if (previous && marker.start < previous.end) {
+                        if (marker.start === previous.start) {
+                            // Nested in the previous (longer) range: share its underline
+                            previous.suggestions = previous.suggestions.concat(marker.suggestions);
+                            previous.severity = mostSevere(previous.suggestions);
+                            continue;
+                        }
+                        previous.end = marker.start;
+                    }
+                    marker.severity = mostSevere(marker.suggestions);
+                    markers.push(marker);
+                }
+
+                markedCode = code;
+                render();
+            },
+
+            clearMarkers: function() {
+                markers = [];
+                markedCode = null;
+                render();
+            },
+
+            // Re-render after the value was changed from script (no input event)
+            refresh: render,
+
+            getMarkers: function() {
+                return markers.slice();
+            }
+        };
+
+        render();
+        return editor;
+    }
+
+    function mostSevere(suggestions) {
+        for (var i = 0; i < SEVERITIES.length; i++) {
+            for (var j = 0; j < suggestions.length; j++) {
+                if (suggestions[j].severity === SEVERITIES[i]) {
+                    return SEVERITIES[i];
+                }
+            }
+        }
+        return 'info';
+    }
+
+    return {
+        create: create,
+        getMarkerRange: getMarkerRange
+    };
+})();
+
+// Make available globally for the app
+if (typeof window !== 'undefined') {
+    window.DSLCodeEditor = DSLCodeEditor;
+}
+
+// Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DSLCodeEditor;
+}
@@ -0,0 +1,330 @@
+/*
+ * FILE: dslDiff.js
+ *
+ * ARTIFACT INFO (for proper Claude artifact creation):
+ * - ID: dslDiff.js
+ * - Title: dslDiff
+ * - Type: application/vnd.ant.code (language: javascript)
+ *
+ * ARCHITECTURAL BOUNDARY: Suggestions
+ * AUTO-LOADED BY: dslSuggestionsEngine.js (also used by dslSuggestCli.js, dslTestRunner.js)
+ * PROVIDES: DSLDiff global object
+ *
+ * DESCRIPTION:
+ * Line diff between original and fixed code. diffLines() returns the edit
+ * script (longest common subsequence of lines), unifiedDiff() renders it in
+ * the unified format used by git and patch. The engine uses diffLines() to
+ * split a rule's fix into separate text edits. diffChars() compares two lines
+ * character by character for the app's diff view.
+ * Version tracking: See dslSuggestionsApp.html for app version.
+ */
+
+var DSLDiff = (function() {
+    'use strict';
+
+    var DEFAULT_CONTEXT = 3;
+
+    // Largest LCS table diffChars() builds; longer line pairs are compared by prefix/suffix only
+    var MAX_CHAR_CELLS = 250000;
+
+    // Split text into lines; a trailing newline does not add an empty line
+    function splitLines(text) {
+        if (text === '') {
+            return [];
+        }
+        var lines = String(text).split('\n');
+        if (lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        return lines;
+    }
+
+    /**
+     * Diff two texts line by line.
+     * @returns {Array} Operations in order: {type: 'equal'|'delete'|'insert', line,
+     *   oldLine, newLine} with 1-based oldLine/newLine (null where not applicable)
+     */
+    function diffLines(oldText, newText) {
+        var a = splitLines(oldText);
+        var b = splitLines(newText);
+
+        // Common prefix and suffix never need the LCS table
+        var prefix = 0;
+        while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+            prefix++;
+        }
+        var suffix = 0;
+        while (suffix < a.length - prefix && suffix < b.length - prefix &&
+               a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        var n = a.length - prefix - suffix;
+        var m = b.length - prefix - suffix;
+
+        // lcs[i][j] = LCS length of a[prefix+i..] and b[prefix+j..]
+        var lcs = [];
+        for (var i = n; i >= 0; i--) {
+            lcs[i] = [];
+            for (var j = m; j >= 0; j--) {
+                if (i === n || j === m) {
+                    lcs[i][j] = 0;
+                } else if (a[prefix + i] === b[prefix + j]) {
+                    lcs[i][j] = lcs[i + 1][j + 1] + 1;
+                } else {
+                    lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+                }
+            }
+        }
+
+        var ops = [];
+        var k;
+        for (k = 0; k < prefix; k++) {
+            ops.push({ type: 'equal', line: a[k], oldLine: k + 1, newLine: k + 1 });
+        }
+
+        var x = 0;
+        var y = 0;
+        while (x < n || y < m) {
+            if (x < n && y < m && a[prefix + x] === b[prefix + y]) {
+                ops.push({ type: 'equal', line: a[prefix + x], oldLine: prefix + x + 1, newLine: prefix + y + 1 });
+                x++;
+                y++;
+            } else if (y < m && (x === n || lcs[x][y + 1] >= lcs[x + 1][y])) {
+                ops.push({ type: 'insert', line: b[prefix + y], oldLine: null, newLine: prefix + y + 1 });
+                y++;
+            } else {
+                ops.push({ type: 'delete', line: a[prefix + x], oldLine: prefix + x + 1, newLine: null });
+                x++;
+            }
+        }
+
+        for (k = 0; k < suffix; k++) {
+            ops.push({
+                type: 'equal',
+                line: a[prefix + n + k],
+                oldLine: prefix + n + k + 1,
+                newLine: prefix + m + k + 1
+            });
+        }
+
+        // Deletions before insertions inside each changed run reads best
+        return reorderChanges(ops);
+    }
+
+    /**
+     * Diff two lines character by character.
+     * @returns {Array} Segments in order: {type: 'equal'|'delete'|'insert', text}
+     */
+    function diffChars(oldLine, newLine) {
+        var a = String(oldLine);
+        var b = String(newLine);
+
+        var prefix = 0;
+        while (prefix < a.length && prefix < b.length && a.charAt(prefix) === b.charAt(prefix)) {
+            prefix++;
+        }
+        var suffix = 0;
+        while (suffix < a.length - prefix && suffix < b.length - prefix &&
+               a.charAt(a.length - 1 - suffix) === b.charAt(b.length - 1 - suffix)) {
+            suffix++;
+        }
+
+        var segments = [];
+        function push(type, text) {
+            if (!text) {
+                return;
+            }
+            var last = segments[segments.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                segments.push({ type: type, text: text });
+            }
+        }
+
+        push('equal', a.substring(0, prefix));
+
+        var oldMiddle = a.substring(prefix, a.length - suffix);
+        var newMiddle = b.substring(prefix, b.length - suffix);
+        var n = oldMiddle.length;
+        var m = newMiddle.length;
+
+        if (n === 0 || m === 0 || (n + 1) * (m + 1) > MAX_CHAR_CELLS) {
+            push('delete', oldMiddle);
+            push('insert', newMiddle);
+        } else {
+            var lcs = [];
+            for (var i = n; i >= 0; i--) {
+                lcs[i] = [];
+                for (var j = m; j >= 0; j--) {
+                    if (i === n || j === m) {
+                        lcs[i][j] = 0;
+                    } else if (oldMiddle.charAt(i) === newMiddle.charAt(j)) {
+                        lcs[i][j] = lcs[i + 1][j + 1] + 1;
+                    } else {
+                        lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+                    }
+                }
+            }
+
+            // Match as late as possible, so an added wrapper such as "ifNaN(" stays
+            // in one piece instead of borrowing single letters from the original
+            var x = 0;
+            var y = 0;
+            while (x < n || y < m) {
+                if (y < m && lcs[x][y + 1] === lcs[x][y]) {
+                    push('insert', newMiddle.charAt(y));
+                    y++;
+                } else if (x < n && lcs[x + 1][y] === lcs[x][y]) {
+                    push('delete', oldMiddle.charAt(x));
+                    x++;
+                } else {
+                    push('equal', oldMiddle.charAt(x));
+                    x++;
+                    y++;
+                }
+            }
+        }
+
+        push('equal', a.substring(a.length - suffix));
+        return segments;
+    }
+
+    function reorderChanges(ops) {
+        var result = [];
+        var deletes = [];
+        var inserts = [];
+
+        function flush() {
+            result.push.apply(result, deletes);
+            result.push.apply(result, inserts);
+            deletes = [];
+            inserts = [];
+        }
+
+        for (var i = 0; i < ops.length; i++) {
+            if (ops[i].type === 'delete') {
+                deletes.push(ops[i]);
+            } else if (ops[i].type === 'insert') {
+                inserts.push(ops[i]);
+            } else {
+                flush();
+                result.push(ops[i]);
+            }
+        }
+        flush();
+        return result;
+    }
+
+    // Group operations into hunks with `context` unchanged lines around changes
+    function buildHunks(ops, context) {
+        var hunks = [];
+        var current = null;
+        var lastChange = -1;
+
+        for (var i = 0; i < ops.length; i++) {
+            if (ops[i].type === 'equal') {
+                continue;
+            }
+            var from = Math.max(0, i - context);
+            if (current && from <= lastChange + context + 1) {
+                current.end = i;
+            } else {
+                if (current) {
+                    hunks.push(current);
+                }
+                current = { start: from, end: i };
+            }
+            lastChange = i;
+        }
+        if (current) {
+            hunks.push(current);
+        }
+
+        for (var h = 0; h < hunks.length; h++) {
+            hunks[h].end = Math.min(ops.length - 1, hunks[h].end + context);
+            hunks[h].ops = ops.slice(hunks[h].start, hunks[h].end + 1);
+        }
+        return hunks;
+    }
+
+    // Unified diff range: "start,count" (start is the line before when count is 0)
+    function formatRange(ops, key, previous) {
+        var first = null;
+        var count = 0;
+        for (var i = 0; i < ops.length; i++) {
+            if (ops[i][key] !== null) {
+                if (first === null) {
+                    first = ops[i][key];
+                }
+                count++;
+            }
+        }
+        if (count === 0) {
+            return previous + ',0';
+        }
+        return count === 1 ? String(first) : first + ',' + count;
+    }
+
+    /**
+     * Render a unified diff ('' when the texts have the same lines).
+     * @param {Object} options - {fromFile, toFile, context}
+     */
+    function unifiedDiff(oldText, newText, options) {
+        options = options || {};
+        if (oldText === newText) {
+            return '';
+        }
+
+        var context = typeof options.context === 'number' ? options.context : DEFAULT_CONTEXT;
+        var ops = diffLines(oldText, newText);
+        var hunks = buildHunks(ops, context);
+        if (hunks.length === 0) {
+            // Only the trailing newline differs
+            return '';
+        }
+
+        var out = [
+            '--- ' + (options.fromFile || 'a'),
+            '+++ ' + (options.toFile || 'b')
+        ];
+
+        for (var h = 0; h < hunks.length; h++) {
+            var hunkOps = hunks[h].ops;
+            var before = ops.slice(0, hunks[h].start);
+            var oldPrevious = 0;
+            var newPrevious = 0;
+            for (var p = 0; p < before.length; p++) {
+                if (before[p].oldLine !== null) oldPrevious = before[p].oldLine;
+                if (before[p].newLine !== null) newPrevious = before[p].newLine;
+            }
+
+            out.push('@@ -' + formatRange(hunkOps, 'oldLine', oldPrevious) +
+                     ' +' + formatRange(hunkOps, 'newLine', newPrevious) + ' @@');
+
+            for (var o = 0; o < hunkOps.length; o++) {
+                var prefix = hunkOps[o].type === 'insert' ? '+' : (hunkOps[o].type === 'delete' ? '-' : ' ');
+                out.push(prefix + hunkOps[o].line);
+            }
+        }
+
+        return out.join('\n') + '\n';
+    }
+
+    return {
+        diffLines: diffLines,
+        diffChars: diffChars,
+        unifiedDiff: unifiedDiff
+    };
+})();
+
+// Make available globally for the app
+if (typeof window !== 'undefined') {
+    window.DSLDiff = DSLDiff;
+}
+
+// Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DSLDiff;
+}
@@ -0,0 +1,468 @@
+/*
+ * FILE: dslFormatter.js
+ *
+ * ARTIFACT INFO (for proper Claude artifact creation):
+ * - ID: dslFormatter.js
+ * - Title: dslFormatter
+ * - Type: application/vnd.ant.code (language: javascript)
+ *
+ * ARCHITECTURAL BOUNDARY: Suggestions
+ * LOADED BY: dslSuggestionsApp.html, dslSuggestCli.js
+ * PROVIDES: DSLFormatter global object
+ *
+ * DESCRIPTION:
+ * Pretty-printer for DSL code, built on the DSLParser AST:
+ * - block() and foreach() arguments go one per line, indented one level
+ * - one space around '=' and binary operators, none inside brackets, ', '
+ *   between arguments, 'Key: value' pairs
+ * - other argument lists stay on one line while they fit in the width and are
+ *   otherwise broken one argument per line
+ * - comments are kept: on the line of the statement or argument they follow,
+ *   or on their own line before the next one; one blank line is kept where
+ *   the code had blank lines. A comment before an argument's comma stays
+ *   before it; after a line comment the comma starts the next line (', b')
+ * - empty arguments (f(a,), block(,)) keep their commas
+ * - regions the parser could not read, and expressions with comments inside
+ *   them, are copied as written
+ *
+ * Formatting is idempotent. The result is re-tokenized and compared with the
+ * input (top-level ';' and ',' separators aside); if anything but layout would
+ * change, the code is returned unchanged with an error at the first difference.
+ * Width and indent come from options or the config's formatting section.
+ * Version tracking: See dslSuggestionsApp.html for app version.
+ */
+
+var DSLFormatter = (function() {
+    'use strict';
+
+    var DEFAULT_WIDTH = 100;
+    var DEFAULT_INDENT = 4;
+
+    // Nodes printed as name(arguments), with the argument list they lay out
+    var LIST_TYPES = { CallExpression: true, MethodCall: true, Block: true, Foreach: true, Vector: true };
+
+    function getConfig(options) {
+        if (options.config) {
+            return options.config;
+        }
+        return typeof dslSuggestionsConfigData !== 'undefined' ? dslSuggestionsConfigData : {};
+    }
+
+    function repeat(text, count) {
+        return new Array(count + 1).join(text);
+    }
+
+    // Column after text is written starting at column
+    function advance(column, text) {
+        var newline = text.lastIndexOf('\n');
+        return newline === -1 ? column + text.length : text.length - newline - 1;
+    }
+
+    function countNewlines(text) {
+        return text.split('\n').length - 1;
+    }
+
+    function commentText(comment) {
+        return comment.block ? comment.value : comment.value.replace(/\s+$/, '');
+    }
+
+    function listItems(node) {
+        if (node.type === 'Block') {
+            return node.body;
+        }
+        if (node.type === 'Foreach') {
+            return [node.iterator, node.collection].filter(Boolean).concat(node.body);
+        }
+        return node.arguments;
+    }
+
+    // What the layout must not change: tokens and comments, without the top-level
+    // separators (statements go one per line), plus the statement structure.
+    // [{ text, line, column }]
+    function signature(code) {
+        var program = DSLParser.parse(code);
+        var lineIndex = DSLParser.createLineIndex(code);
+        var parts = [];
+        var depth = 0;
+
+        function add(text, offset) {
+            var position = lineIndex.positionAt(offset);
+            parts.push({ text: text, line: position.line, column: position.column });
+        }
+
+        var lexed = DSLParser.tokenize(code).tokens;
+        for (var i = 0; i < lexed.length; i++) {
+            var token = lexed[i];
+            if (token.type === 'comment') {
+                add('#' + commentText(token), token.start);
+                continue;
+            }
+            if (token.type === 'punctuation') {
+                if ('([{'.indexOf(token.value) !== -1) {
+                    depth++;
+                } else if (')]}'.indexOf(token.value) !== -1) {
+                    depth = Math.max(0, depth - 1);
+                } else if (depth === 0 && (token.value === ';' || token.value === ',')) {
+                    continue;
+                }
+            }
+            add(token.type + ' ' + token.value, token.start);
+        }
+
+        DSLParser.walk(program, function(current) {
+            add(current.type, current.start);
+        });
+        return parts;
+    }
+
+    // First part of the source signature the formatted one differs in, or null
+    function firstDifference(source, formatted) {
+        for (var i = 0; i < source.length || i < formatted.length; i++) {
+            if (i >= source.length || i >= formatted.length || source[i].text !== formatted[i].text) {
+                return source[Math.min(i, source.length - 1)] || { line: 1, column: 0 };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Format DSL code.
+     * @param {string} code - DSL code (CRLF line endings are read as LF)
+     * @param {object} options - { width: maximum line width, indent: spaces per level,
+     *   config (default: loaded config; its formatting section supplies the defaults) }
+     * @returns {object} { code (LF line endings, ends with a newline), changed,
+     *   errors: [{ message, line, column }] (syntax errors, whose regions are left as
+     *   written, or why the code was left unchanged) }
+     */
+    function format(code, options) {
+        options = options || {};
+        var settings = getConfig(options).formatting || {};
+        var width = options.width || settings.width || DEFAULT_WIDTH;
+        var unit = repeat(' ', options.indent || settings.indent || DEFAULT_INDENT);
+
+        var source = String(code || '').replace(/\r\n?/g, '\n');
+        var program = DSLParser.parse(source);
+        var comments = program.comments;
+        var tokens = program.tokens;
+        var flatCache = {};
+
+        function text(node) {
+            return source.substring(node.start, node.end);
+        }
+
+        function key(node) {
+            return node.type + ':' + node.start + ':' + node.end;
+        }
+
+        // Index of the first item in a start-sorted list at or after offset
+        function firstFrom(list, offset) {
+            var low = 0;
+            var high = list.length;
+            while (low < high) {
+                var mid = (low + high) >> 1;
+                if (list[mid].start < offset) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            return low;
+        }
+
+        function openParen(node) {
+            var head = node.type === 'MethodCall' ? node.method : node.callee;
+            return tokens[firstFrom(tokens, head.end)];
+        }
+
+        function children(node) {
+            var result = [];
+            var keys = DSLParser.VISITOR_KEYS[node.type] || [];
+            for (var i = 0; i < keys.length; i++) {
+                var child = node[keys[i]];
+                if (Array.isArray(child)) {
+                    result = result.concat(child);
+                } else if (child) {
+                    result.push(child);
+                }
+            }
+            return result;
+        }
+
+        function inside(comment, nodes) {
+            for (var i = 0; i < nodes.length; i++) {
+                if (comment.start >= nodes[i].start && comment.end <= nodes[i].end) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        // Comments the node's own layout has no place for (between its parts, outside
+        // an argument list); such nodes are copied as written
+        function hasStrayComments(node) {
+            var c = firstFrom(comments, node.start);
+            if (c === comments.length || comments[c].start >= node.end) {
+                return false;
+            }
+
+            var listStart = LIST_TYPES[node.type] ? openParen(node).start : node.end;
+            var nodes = children(node);
+            for (; c < comments.length && comments[c].start < node.end; c++) {
+                if (comments[c].start < listStart && !inside(comments[c], nodes)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        // Comments between the arguments of a list (not inside one)
+        function listComments(items, from, to) {
+            var found = [];
+            for (var c = firstFrom(comments, from); c < comments.length && comments[c].start < to; c++) {
+                if (!inside(comments[c], items)) {
+                    found.push(comments[c]);
+                }
+            }
+            return found;
+        }
+
+        // One-line form of a node, or null when it has to span lines
+        function flat(node) {
+            var cacheKey = key(node);
+            if (!flatCache.hasOwnProperty(cacheKey)) {
+                flatCache[cacheKey] = computeFlat(node);
+            }
+            return flatCache[cacheKey];
+        }
+
+        function computeFlat(node) {
+            if (node.type === 'Invalid' || hasStrayComments(node)) {
+                return text(node).indexOf('\n') === -1 ? text(node) : null;
+            }
+
+            if (LIST_TYPES[node.type]) {
+                var items = listItems(node);
+                if ((items.length > 0 && (node.type === 'Block' || node.type === 'Foreach')) ||
+                    listComments(items, openParen(node).end, node.end).length > 0) {
+                    return null;
+                }
+                var head = flatHead(node);
+                var list = '';
+                for (var i = 0; i < items.length; i++) {
+                    var item = flat(items[i]);
+                    if (item === null) {
+                        return null;
+                    }
+                    // An empty argument is just its comma: f(a,), f(a,, b)
+                    list += i === 0 ? item : (item === '' ? ',' : ', ' + item);
+                }
+                return head === null ? null : head + '(' + list + ')';
+            }
+
+            var failed = false;
+            var result = printSimple(node, 0, 0, function(child) {
+                var childText = flat(child);
+                failed = failed || childText === null;
+                return childText || '';
+            });
+            return failed ? null : result;
+        }
+
+        function flatHead(node) {
+            if (node.type === 'MethodCall') {
+                var object = flat(node.object);
+                return object === null ? null : object + '.' + node.method.name;
+            }
+            return flat(node.callee);
+        }
+
+        // Nodes without an argument list of their own; printChild(child, column)
+        // lays out each child
+        function printSimple(node, column, level, printChild) {
+            var out;
+            switch (node.type) {
+                case 'Identifier':
+                    return node.name;
+                case 'Literal':
+                    return node.raw;
+                case 'MemberExpression':
+                    out = printChild(node.object, column, level);
+                    return out + '.' + node.property.name;
+                case 'IndexExpression':
+                    out = printChild(node.object, column, level) + '[';
+                    out += printChild(node.index, advance(column, out), level);
+                    return out + ']';
+                case 'Parenthesized':
+                    return '(' + printChild(node.expression, column + 1, level) + ')';
+                case 'UnaryExpression':
+                    return node.operator + printChild(node.argument, column + node.operator.length, level);
+                case 'BinaryExpression':
+                    out = printChild(node.left, column, level) + (node.operator === ':' ? ': ' : ' ' + node.operator + ' ');
+                    return out + printChild(node.right, advance(column, out), level);
+                case 'ConditionalExpression':
+                    out = printChild(node.test, column, level) + ' ? ';
+                    out += printChild(node.consequent, advance(column, out), level) + ' : ';
+                    return out + printChild(node.alternate, advance(column, out), level);
+                case 'Assignment':
+                    out = node.declaration ? node.declaration + ' ' : '';
+                    out += printChild(node.target, advance(column, out), level) + ' = ';
+                    return out + printChild(node.value, advance(column, out), level);
+            }
+            return text(node);
+        }
+
+        /**
+         * Lay out a node starting at column on a line indented `level` levels
+         */
+        function print(node, column, level) {
+            if (node.type === 'Invalid' || hasStrayComments(node)) {
+                return text(node);
+            }
+            if (!LIST_TYPES[node.type]) {
+                return printSimple(node, column, level, print);
+            }
+
+            var oneLine = flat(node);
+            if (oneLine !== null && column + oneLine.length <= width) {
+                return oneLine;
+            }
+
+            var head;
+            if (node.type === 'MethodCall') {
+                head = print(node.object, column, level);
+                head += '.' + node.method.name;
+            } else {
+                head = print(node.callee, column, level);
+            }
+
+            var items = listItems(node);
+            var open = openParen(node);
+            var lines = printItems(items, listComments(items, open.end, node.end), open.end, ',', level + 1);
+            if (lines.length === 0) {
+                return head + '()';
+            }
+            return head + '(\n' + lines.join('\n') + '\n' + repeat(unit, level) + ')';
+        }
+
+        // Items one per line with their comments: a comment on the line an item ends
+        // stays after it, others go on their own line before the next item (or at the
+        // end of the list). Comments before an item's separator stay before it; when
+        // one of them is a line comment the separator starts the next line. Empty
+        // (unparsed) items get no line of their own, only their separator
+        function printItems(items, listed, from, separator, level) {
+            var indent = repeat(unit, level);
+            var lines = [];
+            var previousEnd = from;
+            var carried = '';
+            var c = 0;
+
+            function place(start, line) {
+                // A carried separator keeps the line next to the one it follows
+                if (lines.length > 0 && !carried && countNewlines(source.substring(previousEnd, start)) > 1) {
+                    lines.push('');
+                }
+                lines.push(indent + carried + line);
+                carried = '';
+            }
+
+            // Adds text to the last line, unless that ends in a line comment
+            function append(text, isComment) {
+                var last = lines.length - 1;
+                if (last >= 0 && lines[last] !== '' && !/\/\/[^\n]*$/.test(lines[last].replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\/\*[\s\S]*?\*\//g, '""'))) {
+                    lines[last] += (isComment ? ' ' : '') + text;
+                    return true;
+                }
+                return false;
+            }
+
+            for (var i = 0; i < items.length; i++) {
+                var item = items[i];
+                var isLast = i === items.length - 1;
+                var next = items[i + 1];
+                while (c < listed.length && listed[c].start < item.start) {
+                    place(listed[c].start, commentText(listed[c]));
+                    previousEnd = listed[c].end;
+                    c++;
+                }
+
+                var empty = item.type === 'Invalid' && item.start === item.end;
+                if (!empty) {
+                    place(item.start, print(item, indent.length + carried.length, level));
+                    previousEnd = item.end;
+                } else if (isLast) {
+                    break;
+                }
+
+                // The item's separator, with the comments written before it
+                var separatorToken = separator && !isLast ? tokens[firstFrom(tokens, item.end)] : null;
+                if (separatorToken && separatorToken.value === separator) {
+                    while (c < listed.length && listed[c].end <= separatorToken.start) {
+                        if (listed[c].line !== listed[c].endLine || listed[c].line !== item.loc.end.line || empty ||
+                            !append(commentText(listed[c]), true)) {
+                            place(listed[c].start, commentText(listed[c]));
+                        }
+                        previousEnd = listed[c].end;
+                        c++;
+                    }
+                    previousEnd = separatorToken.end;
+                }
+                if (!isLast && separator) {
+                    if (empty && lines.length === 0) {
+                        lines.push(indent + separator);
+                    } else if (!append(separator, false)) {
+                        carried += separator + ' ';
+                    }
+                }
+
+                while (!empty && c < listed.length && listed[c].line === item.loc.end.line &&
+                    (!next || listed[c].end <= next.start)) {
+                    if (!append(commentText(listed[c]), true)) {
+                        place(listed[c].start, commentText(listed[c]));
+                    }
+                    previousEnd = listed[c].end;
+                    c++;
+                }
+            }
+
+            for (; c < listed.length; c++) {
+                place(listed[c].start, commentText(listed[c]));
+                previousEnd = listed[c].end;
+            }
+            if (carried) {
+                lines.push(indent + carried.replace(/ $/, ''));
+            }
+
+            return lines;
+        }
+
+        var lines = printItems(program.body, listComments(program.body, 0, source.length), 0, '', 0);
+        var formatted = lines.length > 0 ? lines.join('\n') + '\n' : '';
+        var errors = program.errors.map(function(error) {
+            return { message: error.message, line: error.line, column: error.column };
+        });
+
+        var difference = firstDifference(signature(source), signature(formatted));
+        if (difference) {
+            errors.push({ message: 'Formatting would change more than the layout', line: difference.line, column: difference.column });
+            return { code: source, changed: false, errors: errors };
+        }
+
+        return { code: formatted, changed: formatted !== source, errors: errors };
+    }
+
+    return {
+        DEFAULT_WIDTH: DEFAULT_WIDTH,
+        DEFAULT_INDENT: DEFAULT_INDENT,
+        format: format
+    };
+})();
+
+// Make available globally for the app
+if (typeof window !== 'undefined') {
+    window.DSLFormatter = DSLFormatter;
+}
+
+// Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DSLFormatter;
+}
@@ -0,0 +1,642 @@
+#!/usr/bin/env node
+/*
+ * FILE: dslLanguageServer.js
+ *
+ * ARTIFACT INFO (for proper Claude artifact creation):
+ * - ID: dslLanguageServer.js
+ * - Title: dslLanguageServer
+ * - Type: application/vnd.ant.code (language: javascript)
+ *
+ * ARCHITECTURAL BOUNDARY: Suggestions (language server, Node.js)
+ * LOADS: dslSuggestionsNode.js, dslCodeEditor.js (marker ranges), dslSuggestCli.js (buildConfig),
+ *        dslRefactor.js (form conversion, rename, extract variable)
+ * PROVIDES: dsl-language-server command (Language Server Protocol over stdio)
+ *
+ * DESCRIPTION:
+ * Gives every LSP editor the suggestions of the app:
+ *
+ *   node dslLanguageServer.js [--stdio] [--preset <name>] [--profile <file>]
+ *
+ * Speaks JSON-RPC 2.0 on stdin/stdout with Content-Length framing. Open
+ * documents are analysed with analyzeDSL on open and on every change (full
+ * text sync, one analysis cache per document):
+ * - textDocument/publishDiagnostics - one diagnostic per suggestion (source
+ *   "dsl-suggestions", code = rule name) over the text the app underlines
+ * - textDocument/codeAction - quick fixes from the suggestion's edits, i.e. the
+ *   rule's fixTemplates in traditional and method form (one action when both
+ *   forms are the same); the rule's fixStyle is the preferred one. Refactor
+ *   actions (refactor.rewrite) convert the ifNaN()/ifNull() calls in the
+ *   range, or in the whole document, to the traditional or method form.
+ *   Extract actions (refactor.extract) move the selected expression, or the
+ *   Node chain at the cursor, into a variable at the top of its block(), with
+ *   or without the null protection wrapper
+ * - textDocument/hover - label, description and message of the suggestions
+ *   under the cursor
+ * - textDocument/prepareRename, textDocument/rename - scope-aware rename of the
+ *   variable under the cursor (DSLRefactor.renameVariable); a refused rename
+ *   (name already taken, name never assigned, ...) answers RequestFailed with
+ *   the reason
+ *
+ * --preset and --profile work as in dsl-suggest; initializationOptions
+ * { preset, profile } replace them. Engine log output goes to stderr, stdout
+ * carries protocol messages only. dslTestRunner.js drives a scripted session.
+ * Version tracking: See dslSuggestionsApp.html for app version.
+ */
+
+'use strict';
+
+var SERVER_NAME = 'dsl-language-server';
+var DIAGNOSTIC_SOURCE = 'dsl-suggestions';
+var FIX_STYLES = ['traditional', 'method'];
+
+// LSP CodeActionKinds offered
+var QUICKFIX_KIND = 'quickfix';
+var REFACTOR_KIND = 'refactor.rewrite';
+var EXTRACT_KIND = 'refactor.extract';
+
+// LSP DiagnosticSeverity for suggestion severities
+var DIAGNOSTIC_SEVERITIES = { error: 1, warning: 2, info: 3 };
+
+// LSP TextDocumentSyncKind.Full
+var SYNC_FULL = 1;
+
+// JSON-RPC error codes
+var PARSE_ERROR = -32700;
+var INVALID_REQUEST = -32600;
+var METHOD_NOT_FOUND = -32601;
+var INTERNAL_ERROR = -32603;
+var SERVER_NOT_INITIALIZED = -32002;
+var REQUEST_FAILED = -32803;
+
+// One protocol message with its Content-Length header
+function encodeMessage(message) {
+    var body = JSON.stringify(message);
+    return 'Content-Length: ' + Buffer.byteLength(body, 'utf8') + '\r\n\r\n' + body;
+}
+
+/**
+ * Split a byte stream into protocol messages.
+ * @param {function} onMessage - Called with (message) for each message, or
+ *   (null, error) when a body is not valid JSON
+ * @returns {function} Takes the next chunk (Buffer or string)
+ */
+function createMessageReader(onMessage) {
+    var buffer = Buffer.alloc(0);
+
+    return function(chunk) {
+        buffer = Buffer.concat([buffer, Buffer.from(chunk)]);
+
+        while (true) {
+            var headerEnd = buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) {
+                return;
+            }
+
+            var length = /Content-Length:\s*(\d+)/i.exec(buffer.toString('ascii', 0, headerEnd));
+            var bodyStart = headerEnd + 4;
+            if (!length) {
+                // Not a header we can use; drop it and look for the next one
+                buffer = buffer.slice(bodyStart);
+                continue;
+            }
+
+            var bodyEnd = bodyStart + parseInt(length[1], 10);
+            if (buffer.length < bodyEnd) {
+                return;
+            }
+
+            var body = buffer.toString('utf8', bodyStart, bodyEnd);
+            buffer = buffer.slice(bodyEnd);
+
+            var message;
+            try {
+                message = JSON.parse(body);
+            } catch (error) {
+                onMessage(null, error);
+                continue;
+            }
+            onMessage(message, null);
+        }
+    };
+}
+
+function getLineStarts(text) {
+    var starts = [0];
+    for (var i = 0; i < text.length; i++) {
+        if (text.charAt(i) === '\n') {
+            starts.push(i + 1);
+        }
+    }
+    return starts;
+}
+
+// LSP position (0-based line and UTF-16 character) to an offset in text
+function positionToOffset(text, lineStarts, position) {
+    if (position.line >= lineStarts.length) {
+        return text.length;
+    }
+    var lineStart = lineStarts[Math.max(0, position.line)];
+    var lineEnd = position.line + 1 < lineStarts.length ? lineStarts[position.line + 1] - 1 : text.length;
+    return Math.min(lineStart + Math.max(0, position.character), lineEnd);
+}
+
+function offsetToPosition(lineStarts, offset) {
+    var line = 0;
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) {
+        line++;
+    }
+    return { line: line, character: offset - lineStarts[line] };
+}
+
+// Engine positions are 1-based lines and 0-based columns
+function toLspPosition(position) {
+    return { line: position.line - 1, character: position.column };
+}
+
+// LSP CodeActionContext.only: a kind is wanted when it is listed or falls under one listed
+function wantsKind(only, kind) {
+    if (!only) {
+        return true;
+    }
+    for (var i = 0; i < only.length; i++) {
+        if (kind === only[i] || kind.indexOf(only[i] + '.') === 0) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Error a request handler throws to answer with code instead of InternalError
+function requestError(code, message) {
+    var error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Messages use **markers** for color coding in the app
+function plainMessage(message) {
+    return String(message || '').replace(/\*\*/g, '');
+}
+
+/**
+ * Language server state and message handling, independent of the transport.
+ * @param {object} options - { config, send(message), onExit(code) }
+ * @returns {object} { handleMessage(message, parseError), documents }
+ */
+function createServer(options) {
+    var engine = require('./dslSuggestionsNode.js');
+    var DSLCodeEditor = require('./dslCodeEditor.js');
+    var cli = require('./dslSuggestCli.js');
+    var DSLRefactor = require('./dslRefactor.js');
+    var DSLParser = require('./dslParser.js');
+
+    var config = options.config || engine.config;
+    var send = options.send;
+    var documents = {};     // uri -> { text, code, version, lineStarts, cache, results }
+    var initialized = false;
+    var shutdownRequested = false;
+
+    function respond(id, result) {
+        send({ jsonrpc: '2.0', id: id, result: result });
+    }
+
+    function respondError(id, code, message) {
+        send({ jsonrpc: '2.0', id: id, error: { code: code, message: message } });
+    }
+
+    function notify(method, params) {
+        send({ jsonrpc: '2.0', method: method, params: params });
+    }
+
+    function getRuleConfig(ruleName) {
+        var ruleConfig = (config.suggestionRules || {})[ruleName] || {};
+        return engine.applyConfigDefaults(ruleConfig, config.defaults) || {};
+    }
+
+    // Offsets of the text a suggestion refers to, as the app's editor underlines it
+    function getSuggestionRange(doc, suggestion) {
+        var range = DSLCodeEditor.getMarkerRange(doc.code, suggestion, doc.lineStarts);
+        if (!range) {
+            var lineStart = doc.lineStarts[doc.lineStarts.length - 1];
+            range = { start: lineStart, end: lineStart };
+        }
+        return range;
+    }
+
+    function toDiagnostic(doc, suggestion) {
+        var range = getSuggestionRange(doc, suggestion);
+        return {
+            range: {
+                start: offsetToPosition(doc.lineStarts, range.start),
+                end: offsetToPosition(doc.lineStarts, range.end)
+            },
+            severity: DIAGNOSTIC_SEVERITIES[suggestion.severity] || DIAGNOSTIC_SEVERITIES.info,
+            code: suggestion.rule,
+            source: DIAGNOSTIC_SOURCE,
+            message: plainMessage(suggestion.message)
+        };
+    }
+
+    function analyzeDocument(uri) {
+        var doc = documents[uri];
+
+        // Rules split on '\n'; dropping the '\r' of CRLF keeps every line and column
+        doc.code = doc.text.replace(/\r\n/g, '\n');
+        doc.lineStarts = getLineStarts(doc.code);
+        try {
+            doc.results = engine.analyzeDSL(doc.code, { config: config, cache: doc.cache });
+        } catch (error) {
+            console.error('[LanguageServer] Analysis failed for ' + uri + ':', error.message);
+            doc.results = { suggestions: [] };
+        }
+
+        notify('textDocument/publishDiagnostics', {
+            uri: uri,
+            version: doc.version,
+            diagnostics: doc.results.suggestions.map(function(suggestion) {
+                return toDiagnostic(doc, suggestion);
+            })
+        });
+    }
+
+    // Suggestions whose range touches [start, end] (offsets)
+    function findSuggestions(doc, start, end) {
+        return (doc.results ? doc.results.suggestions : []).filter(function(suggestion) {
+            var range = getSuggestionRange(doc, suggestion);
+            return range.start <= end && start <= range.end;
+        });
+    }
+
+    function buildCodeActions(uri, doc, suggestion) {
+        if (!suggestion.edits) {
+            return [];
+        }
+
+        var preferred = getRuleConfig(suggestion.rule).fixStyle || FIX_STYLES[0];
+        var styles = suggestion.hasDifferentForms ? FIX_STYLES : [preferred];
+        var actions = [];
+
+        for (var i = 0; i < styles.length; i++) {
+            var edits = suggestion.edits[styles[i]];
+            if (!Array.isArray(edits) || edits.length === 0) {
+                continue;
+            }
+
+            var changes = {};
+            changes[uri] = edits.map(function(edit) {
+                return {
+                    range: { start: toLspPosition(edit.range.start), end: toLspPosition(edit.range.end) },
+                    newText: edit.newText
+                };
+            });
+            actions.push({
+                title: 'Fix ' + (suggestion.label || suggestion.rule) +
+                    (styles.length > 1 ? ' (' + styles[i] + ' form)' : ''),
+                kind: QUICKFIX_KIND,
+                diagnostics: [toDiagnostic(doc, suggestion)],
+                isPreferred: styles[i] === preferred,
+                edit: { changes: changes }
+            });
+        }
+
+        return actions;
+    }
+
+    // Edits of a conversion as a WorkspaceEdit on the document's own line endings
+    function toWorkspaceEdit(uri, doc, edits) {
+        var lineEnding = doc.text.indexOf('\r\n') !== -1 ? '\r\n' : '\n';
+        var changes = {};
+        changes[uri] = edits.map(function(edit) {
+            return {
+                range: {
+                    start: offsetToPosition(doc.lineStarts, edit.start),
+                    end: offsetToPosition(doc.lineStarts, edit.end)
+                },
+                newText: edit.newText.split('\n').join(lineEnding)
+            };
+        });
+        return { changes: changes };
+    }
+
+    // Convert the wrapper calls in [start, end] (or the innermost one around the
+    // cursor), and in the whole document when that converts more
+    function buildConvertActions(uri, doc, start, end) {
+        var actions = [];
+
+        for (var i = 0; i < FIX_STYLES.length; i++) {
+            var style = FIX_STYLES[i];
+            var inRange = DSLRefactor.convertFixStyle(doc.code, {
+                style: style,
+                config: config,
+                selection: { start: start, end: end }
+            });
+            var whole = DSLRefactor.convertFixStyle(doc.code, { style: style, config: config });
+
+            if (inRange.converted > 0) {
+                actions.push({
+                    title: 'Convert to ' + style + ' form',
+                    kind: REFACTOR_KIND,
+                    edit: toWorkspaceEdit(uri, doc, inRange.edits)
+                });
+            }
+            if (whole.converted > inRange.converted) {
+                actions.push({
+                    title: 'Convert all to ' + style + ' form (' + whole.converted + ' call' +
+                        (whole.converted === 1 ? '' : 's') + ')',
+                    kind: REFACTOR_KIND,
+                    edit: toWorkspaceEdit(uri, doc, whole.edits)
+                });
+            }
+        }
+
+        return actions;
+    }
+
+    // Extract the expression at [start, end] to a variable, plain and null protected
+    function buildExtractActions(uri, doc, start, end) {
+        var plain = DSLRefactor.extractVariable(doc.code, { selection: { start: start, end: end }, config: config });
+        if (plain.error) {
+            return [];
+        }
+
+        var copies = plain.replaced > 1 ? ' (' + plain.replaced + ' copies)' : '';
+        var actions = [{
+            title: 'Extract to variable ' + plain.name + copies,
+            kind: EXTRACT_KIND,
+            edit: toWorkspaceEdit(uri, doc, plain.edits)
+        }];
+
+        if (getRuleConfig('nullAccessProtection').enabled) {
+            var protectedResult = DSLRefactor.extractVariable(doc.code, {
+                selection: { start: start, end: end },
+                config: config,
+                protect: true
+            });
+            if (!protectedResult.error && protectedResult.code !== plain.code) {
+                actions.push({
+                    title: 'Extract to variable ' + plain.name + ' with null protection' + copies,
+                    kind: EXTRACT_KIND,
+                    edit: toWorkspaceEdit(uri, doc, protectedResult.edits)
+                });
+            }
+        }
+
+        return actions;
+    }
+
+    var requests = {
+        'initialize': function(params) {
+            var initOptions = params.initializationOptions || {};
+            if (initOptions.preset || initOptions.profile) {
+                config = cli.buildConfig(engine, { preset: initOptions.preset || null, profile: initOptions.profile || null });
+            }
+
+            initialized = true;
+            return {
+                capabilities: {
+                    textDocumentSync: { openClose: true, change: SYNC_FULL },
+                    codeActionProvider: { codeActionKinds: [QUICKFIX_KIND, REFACTOR_KIND, EXTRACT_KIND] },
+                    hoverProvider: true,
+                    renameProvider: { prepareProvider: true }
+                },
+                serverInfo: { name: SERVER_NAME, version: engine.dslSuggestionsVersion() }
+            };
+        },
+
+        'shutdown': function() {
+            shutdownRequested = true;
+            return null;
+        },
+
+        'textDocument/codeAction': function(params) {
+            var doc = documents[params.textDocument.uri];
+            var only = params.context && params.context.only;
+            if (!doc) {
+                return [];
+            }
+
+            var start = positionToOffset(doc.code, doc.lineStarts, params.range.start);
+            var end = positionToOffset(doc.code, doc.lineStarts, params.range.end);
+            var actions = [];
+            if (wantsKind(only, QUICKFIX_KIND)) {
+                findSuggestions(doc, start, end).forEach(function(suggestion) {
+                    actions = actions.concat(buildCodeActions(params.textDocument.uri, doc, suggestion));
+                });
+            }
+            if (wantsKind(only, REFACTOR_KIND)) {
+                actions = actions.concat(buildConvertActions(params.textDocument.uri, doc, start, end));
+            }
+            if (wantsKind(only, EXTRACT_KIND)) {
+                actions = actions.concat(buildExtractActions(params.textDocument.uri, doc, start, end));
+            }
+            return actions;
+        },
+
+        'textDocument/hover': function(params) {
+            var doc = documents[params.textDocument.uri];
+            if (!doc) {
+                return null;
+            }
+
+            var offset = positionToOffset(doc.code, doc.lineStarts, params.position);
+            var found = findSuggestions(doc, offset, offset);
+            if (found.length === 0) {
+                return null;
+            }
+
+            var range = getSuggestionRange(doc, found[0]);
+            return {
+                contents: {
+                    kind: 'markdown',
+                    value: found.map(function(suggestion) {
+                        var ruleConfig = getRuleConfig(suggestion.rule);
+                        return '**' + (suggestion.label || ruleConfig.label || suggestion.rule) + '** (`' + suggestion.rule + '`)' +
+                            (ruleConfig.description ? '\n\n' + ruleConfig.description : '') +
+                            '\n\n' + plainMessage(suggestion.message);
+                    }).join('\n\n---\n\n')
+                },
+                range: {
+                    start: offsetToPosition(doc.lineStarts, range.start),
+                    end: offsetToPosition(doc.lineStarts, range.end)
+                }
+            };
+        },
+
+        'textDocument/prepareRename': function(params) {
+            var doc = documents[params.textDocument.uri];
+            if (!doc) {
+                return null;
+            }
+
+            var offset = positionToOffset(doc.code, doc.lineStarts, params.position);
+            var found = DSLRefactor.analyzeScopes(DSLParser.parse(doc.code), doc.code).identifierAt(offset);
+            if (!found) {
+                return null;
+            }
+            if (!found.variable) {
+                throw requestError(REQUEST_FAILED, '"' + found.node.name + '" is not assigned in this code');
+            }
+
+            return {
+                range: {
+                    start: offsetToPosition(doc.lineStarts, found.node.start),
+                    end: offsetToPosition(doc.lineStarts, found.node.end)
+                },
+                placeholder: found.node.name
+            };
+        },
+
+        'textDocument/rename': function(params) {
+            var doc = documents[params.textDocument.uri];
+            if (!doc) {
+                return null;
+            }
+
+            var rename = DSLRefactor.renameVariable(doc.code, {
+                offset: positionToOffset(doc.code, doc.lineStarts, params.position),
+                newName: params.newName
+            });
+            if (rename.error) {
+                throw requestError(REQUEST_FAILED, rename.error);
+            }
+            return toWorkspaceEdit(params.textDocument.uri, doc, rename.edits);
+        }
+    };
+
+    var notifications = {
+        'exit': function() {
+            options.onExit(shutdownRequested ? 0 : 1);
+        },
+
+        'textDocument/didOpen': function(params) {
+            var item = params.textDocument;
+            if (!item || typeof item.uri !== 'string' || typeof item.text !== 'string') {
+                return;
+            }
+            documents[item.uri] = { text: item.text, version: item.version, cache: engine.createAnalysisCache() };
+            analyzeDocument(item.uri);
+        },
+
+        'textDocument/didChange': function(params) {
+            var doc = params.textDocument ? documents[params.textDocument.uri] : null;
+            if (!doc) {
+                return;
+            }
+
+            var changes = params.contentChanges || [];
+            for (var i = 0; i < changes.length; i++) {
+                if (!changes[i] || typeof changes[i].text !== 'string') {
+                    continue;
+                }
+                if (changes[i].range) {
+                    // Clients may still send ranged changes
+                    var starts = getLineStarts(doc.text);
+                    var start = positionToOffset(doc.text, starts, changes[i].range.start);
+                    var end = positionToOffset(doc.text, starts, changes[i].range.end);
+                    doc.text = doc.text.substring(0, start) + changes[i].text + doc.text.substring(end);
+                } else {
+                    doc.text = changes[i].text;
+                }
+            }
+            doc.version = params.textDocument.version;
+            analyzeDocument(params.textDocument.uri);
+        },
+
+        'textDocument/didClose': function(params) {
+            if (!params.textDocument) {
+                return;
+            }
+            delete documents[params.textDocument.uri];
+            notify('textDocument/publishDiagnostics', { uri: params.textDocument.uri, diagnostics: [] });
+        }
+    };
+
+    function handleMessage(message, parseError) {
+        if (parseError) {
+            respondError(null, PARSE_ERROR, 'Invalid JSON: ' + parseError.message);
+            return;
+        }
+        if (!message || typeof message.method !== 'string') {
+            // Responses: the server sends no requests of its own
+            return;
+        }
+
+        var params = message.params || {};
+        if (!message.hasOwnProperty('id')) {
+            // Notifications before initialize are dropped, except exit
+            if (notifications.hasOwnProperty(message.method) && (initialized || message.method === 'exit')) {
+                // Notifications get no reply; a bad one must not stop the server
+                try {
+                    notifications[message.method](params);
+                } catch (error) {
+                    console.error('[LanguageServer] ' + message.method + ' failed:', error.message);
+                }
+            }
+            return;
+        }
+
+        if (!requests.hasOwnProperty(message.method)) {
+            respondError(message.id, METHOD_NOT_FOUND, 'Unhandled method ' + message.method);
+        } else if (!initialized && message.method !== 'initialize') {
+            respondError(message.id, SERVER_NOT_INITIALIZED, 'Server not initialized');
+        } else if (shutdownRequested) {
+            respondError(message.id, INVALID_REQUEST, 'Server is shutting down');
+        } else {
+            try {
+                respond(message.id, requests[message.method](params));
+            } catch (error) {
+                respondError(message.id, error.code || INTERNAL_ERROR, error.message);
+            }
+        }
+    }
+
+    return {
+        handleMessage: handleMessage,
+        documents: documents
+    };
+}
+
+if (require.main === module) {
+    // Engine and rules log with console.log; stdout is reserved for the protocol
+    console.log = console.info = function() {
+        process.stderr.write(Array.prototype.join.call(arguments, ' ') + '\n');
+    };
+
+    var args = { preset: null, profile: null };
+    var argv = process.argv.slice(2);
+    for (var i = 0; i < argv.length; i++) {
+        if (argv[i] === '--preset' || argv[i] === '--profile') {
+            args[argv[i].substring(2)] = argv[++i];
+        } else if (argv[i] !== '--stdio') {
+            process.stderr.write(SERVER_NAME + ': unknown option ' + argv[i] + '\n');
+            process.exit(2);
+        }
+    }
+
+    var engine = require('./dslSuggestionsNode.js');
+    var config;
+    try {
+        config = require('./dslSuggestCli.js').buildConfig(engine, args);
+    } catch (error) {
+        process.stderr.write(SERVER_NAME + ': ' + error.message + '\n');
+        process.exit(2);
+    }
+
+    var server = createServer({
+        config: config,
+        send: function(message) {
+            process.stdout.write(encodeMessage(message));
+        },
+        onExit: function(code) {
+            process.exitCode = code;
+            process.stdin.destroy();
+        }
+    });
+    process.stdin.on('data', createMessageReader(server.handleMessage));
+}
+
+module.exports = {
+    createServer: createServer,
+    encodeMessage: encodeMessage,
+    createMessageReader: createMessageReader
+};
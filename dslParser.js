@@ -0,0 +1,837 @@
+/*
+ * FILE: dslParser.js
+ * VERSION: v1.00
+ * LAST UPDATED: 2026-10-19
+ *
+ * ARTIFACT INFO (for proper Claude artifact creation):
+ * - ID: dslParser.js
+ * - Title: dslParser
+ * - Type: application/vnd.ant.code (language: javascript)
+ *
+ * ARCHITECTURAL BOUNDARY: Suggestions
+ * AUTO-LOADED BY: dslSuggestionsEngine.js
+ * PROVIDES: DSLParser global object (tokenize(), parse(), walk(), createLineIndex())
+ *
+ * DESCRIPTION:
+ * Tokenizer and parser for the DSL. The engine parses the code once per analysis
+ * and passes the tree to every rule (context.ast). Every node carries source
+ * offsets (start/end) and line/column positions (loc), so rules can match on
+ * tree nodes instead of re-scanning raw line text; which rules do so is listed
+ * in dslRules.js.
+ *
+ * POSITIONS:
+ * - Lines are 1-based, columns are 0-based (same as suggestion.line / suggestion.column)
+ * - start/end are 0-based offsets into the original code (end is exclusive)
+ *
+ * NODE TYPES:
+ * - Program { body, comments, errors, tokens }
+ * - Assignment { target, value, declaration }
+ * - Identifier { name }
+ * - Literal { kind: 'string'|'number'|'boolean'|'null', value, raw }
+ * - MemberExpression { object, property }        e.g. Node.prop
+ * - IndexExpression { object, index }             e.g. list[0]
+ * - CallExpression { callee, arguments }          e.g. query(null, qry)
+ * - MethodCall { object, method, arguments }      e.g. (x).ifNull(0)
+ * - Block { callee, body }                        block(stmt, stmt, ...)
+ * - Foreach { callee, iterator, collection, body } foreach(item, list, stmt, ...)
+ * - Vector { callee, arguments }                  vector(a, b, c)
+ * - BinaryExpression { operator, left, right }
+ * - UnaryExpression { operator, argument }
+ * - ConditionalExpression { test, consequent, alternate }
+ * - Parenthesized { expression }
+ * - Invalid { }                                   unparsable region (see Program.errors)
+ *
+ * The parser is tolerant: a syntax error is recorded in Program.errors and
+ * parsing resumes at the next statement or argument.
+ */
+
+var DSLParser = (function() {
+    'use strict';
+
+    var PARSER_VERSION = 'v1.00';
+
+    // Operators, longest first so that '==' wins over '='
+    var OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '+', '-', '*', '/', '%', '=', '<', '>', '!', '?', ':'];
+    var PUNCTUATION = '(),.;[]{}';
+
+    var BINARY_PRECEDENCE = {
+        '||': 1,
+        '&&': 2,
+        '==': 3, '!=': 3,
+        '<': 4, '>': 4, '<=': 4, '>=': 4,
+        '+': 5, '-': 5,
+        '*': 6, '/': 6, '%': 6
+    };
+
+    var DECLARATION_KEYWORDS = ['var', 'let', 'const'];
+
+    // Child properties for each node type, in source order (used by walk())
+    var VISITOR_KEYS = {
+        Program: ['body'],
+        Assignment: ['target', 'value'],
+        Identifier: [],
+        Literal: [],
+        MemberExpression: ['object', 'property'],
+        IndexExpression: ['object', 'index'],
+        CallExpression: ['callee', 'arguments'],
+        MethodCall: ['object', 'method', 'arguments'],
+        Block: ['callee', 'body'],
+        Foreach: ['callee', 'iterator', 'collection', 'body'],
+        Vector: ['callee', 'arguments'],
+        BinaryExpression: ['left', 'right'],
+        UnaryExpression: ['argument'],
+        ConditionalExpression: ['test', 'consequent', 'alternate'],
+        Parenthesized: ['expression'],
+        Invalid: []
+    };
+
+    // =========================================================================
+    // LINE INDEX
+    // =========================================================================
+
+    /**
+     * Build a lookup table for converting between offsets and line/column
+     * @param {string} code - Source code
+     * @returns {object} { positionAt(offset), offsetAt(line, column), lineCount }
+     */
+    function createLineIndex(code) {
+        var lineStarts = [0];
+        for (var i = 0; i < code.length; i++) {
+            if (code.charAt(i) === '\n') {
+                lineStarts.push(i + 1);
+            }
+        }
+
+        return {
+            lineCount: lineStarts.length,
+
+            positionAt: function(offset) {
+                offset = Math.max(0, Math.min(offset, code.length));
+                var low = 0;
+                var high = lineStarts.length - 1;
+                while (low < high) {
+                    var mid = Math.ceil((low + high) / 2);
+                    if (lineStarts[mid] <= offset) {
+                        low = mid;
+                    } else {
+                        high = mid - 1;
+                    }
+                }
+                return { line: low + 1, column: offset - lineStarts[low] };
+            },
+
+            offsetAt: function(line, column) {
+                var lineIndex = Math.max(0, Math.min(line - 1, lineStarts.length - 1));
+                var lineEnd = lineIndex + 1 < lineStarts.length ? lineStarts[lineIndex + 1] - 1 : code.length;
+                return Math.min(lineStarts[lineIndex] + Math.max(0, column), lineEnd);
+            }
+        };
+    }
+
+    // =========================================================================
+    // TOKENIZER
+    // =========================================================================
+
+    function isIdentifierStart(ch) {
+        return /[A-Za-z_$]/.test(ch);
+    }
+
+    function isIdentifierPart(ch) {
+        return /[A-Za-z0-9_$]/.test(ch);
+    }
+
+    function isDigit(ch) {
+        return ch >= '0' && ch <= '9';
+    }
+
+    /**
+     * Split code into tokens. Whitespace is dropped, comments are kept as
+     * 'comment' tokens so callers can choose to use or ignore them.
+     * @param {string} code - Source code
+     * @returns {object} { tokens: array, errors: array }
+     */
+    function tokenize(code) {
+        var tokens = [];
+        var errors = [];
+        var lineIndex = createLineIndex(code);
+        var pos = 0;
+        var length = code.length;
+
+        function push(type, start, end, extra) {
+            var startPos = lineIndex.positionAt(start);
+            var endPos = lineIndex.positionAt(end);
+            var token = {
+                type: type,
+                value: code.substring(start, end),
+                start: start,
+                end: end,
+                line: startPos.line,
+                column: startPos.column,
+                endLine: endPos.line,
+                endColumn: endPos.column
+            };
+            if (extra) {
+                for (var key in extra) {
+                    if (extra.hasOwnProperty(key)) {
+                        token[key] = extra[key];
+                    }
+                }
+            }
+            tokens.push(token);
+            return token;
+        }
+
+        function error(message, offset) {
+            var position = lineIndex.positionAt(offset);
+            errors.push({ message: message, start: offset, line: position.line, column: position.column });
+        }
+
+        while (pos < length) {
+            var ch = code.charAt(pos);
+            var next = code.charAt(pos + 1);
+            var start = pos;
+
+            // Whitespace
+            if (/\s/.test(ch)) {
+                pos++;
+                continue;
+            }
+
+            // Line comment
+            if (ch === '/' && next === '/') {
+                while (pos < length && code.charAt(pos) !== '\n') {
+                    pos++;
+                }
+                push('comment', start, pos, { block: false });
+                continue;
+            }
+
+            // Block comment
+            if (ch === '/' && next === '*') {
+                var close = code.indexOf('*/', pos + 2);
+                if (close === -1) {
+                    error('Unterminated comment', start);
+                    pos = length;
+                } else {
+                    pos = close + 2;
+                }
+                push('comment', start, pos, { block: true });
+                continue;
+            }
+
+            // String literal (single or double quoted, backslash escapes)
+            if (ch === '"' || ch === "'") {
+                pos++;
+                var terminated = false;
+                while (pos < length) {
+                    var c = code.charAt(pos);
+                    if (c === '\\') {
+                        pos += 2;
+                        continue;
+                    }
+                    pos++;
+                    if (c === ch) {
+                        terminated = true;
+                        break;
+                    }
+                }
+                if (!terminated) {
+                    error('Unterminated string', start);
+                }
+                push('string', start, Math.min(pos, length), { quote: ch, terminated: terminated });
+                continue;
+            }
+
+            // Number (integer, decimal, exponent)
+            if (isDigit(ch) || (ch === '.' && isDigit(next))) {
+                while (pos < length && isDigit(code.charAt(pos))) {
+                    pos++;
+                }
+                if (code.charAt(pos) === '.' && isDigit(code.charAt(pos + 1))) {
+                    pos++;
+                    while (pos < length && isDigit(code.charAt(pos))) {
+                        pos++;
+                    }
+                }
+                if (/[eE]/.test(code.charAt(pos)) && /[0-9+\-]/.test(code.charAt(pos + 1))) {
+                    pos += 2;
+                    while (pos < length && isDigit(code.charAt(pos))) {
+                        pos++;
+                    }
+                }
+                push('number', start, pos);
+                continue;
+            }
+
+            // Identifier / keyword
+            if (isIdentifierStart(ch)) {
+                while (pos < length && isIdentifierPart(code.charAt(pos))) {
+                    pos++;
+                }
+                push('identifier', start, pos);
+                continue;
+            }
+
+            // Punctuation
+            if (PUNCTUATION.indexOf(ch) !== -1) {
+                pos++;
+                push('punctuation', start, pos);
+                continue;
+            }
+
+            // Operators
+            var matched = null;
+            for (var i = 0; i < OPERATORS.length; i++) {
+                if (code.substr(pos, OPERATORS[i].length) === OPERATORS[i]) {
+                    matched = OPERATORS[i];
+                    break;
+                }
+            }
+            if (matched) {
+                pos += matched.length;
+                push('operator', start, pos);
+                continue;
+            }
+
+            // Anything else is kept so positions stay intact
+            pos++;
+            push('unknown', start, pos);
+            error('Unexpected character "' + ch + '"', start);
+        }
+
+        return { tokens: tokens, errors: errors };
+    }
+
+    // =========================================================================
+    // PARSER
+    // =========================================================================
+
+    function ParseError(message, token) {
+        this.message = message;
+        this.token = token;
+    }
+
+    /**
+     * Parse code into an AST
+     * @param {string} code - Source code
+     * @returns {object} Program node (see NODE TYPES above)
+     */
+    function parse(code) {
+        code = code || '';
+
+        var lineIndex = createLineIndex(code);
+        var lexed = tokenize(code);
+        var comments = [];
+        var tokens = [];
+        var errors = lexed.errors.slice();
+
+        for (var t = 0; t < lexed.tokens.length; t++) {
+            if (lexed.tokens[t].type === 'comment') {
+                comments.push(lexed.tokens[t]);
+            } else {
+                tokens.push(lexed.tokens[t]);
+            }
+        }
+
+        var index = 0;
+        // Depth of open brackets - newlines only end statements at depth 0
+        var depth = 0;
+
+        function peek(offset) {
+            return tokens[index + (offset || 0)] || null;
+        }
+
+        function previous() {
+            return index > 0 ? tokens[index - 1] : null;
+        }
+
+        function is(token, type, value) {
+            return !!token && token.type === type && (value === undefined || token.value === value);
+        }
+
+        function startsNewLine(token) {
+            var prev = previous();
+            return !!token && !!prev && token.line > prev.endLine;
+        }
+
+        function expect(type, value) {
+            var token = peek();
+            if (!is(token, type, value)) {
+                throw new ParseError('Expected "' + value + '"' + (token ? ' but found "' + token.value + '"' : ' but reached end of input'), token);
+            }
+            index++;
+            return token;
+        }
+
+        function node(type, start, end, props) {
+            var result = {
+                type: type,
+                start: start,
+                end: end,
+                loc: {
+                    start: lineIndex.positionAt(start),
+                    end: lineIndex.positionAt(end)
+                }
+            };
+            for (var key in props) {
+                if (props.hasOwnProperty(key)) {
+                    result[key] = props[key];
+                }
+            }
+            return result;
+        }
+
+        function recordError(err) {
+            var token = err.token;
+            var offset = token ? token.start : code.length;
+            var position = lineIndex.positionAt(offset);
+            errors.push({ message: err.message, start: offset, line: position.line, column: position.column });
+        }
+
+        // At depth 0 a token on a new line only continues the current
+        // expression when it can't start a statement of its own
+        function canContinue(token) {
+            if (!token) {
+                return false;
+            }
+            if (depth > 0 || !startsNewLine(token)) {
+                return true;
+            }
+            return (token.type === 'operator' && token.value !== '!') || is(token, 'punctuation', '.');
+        }
+
+        function parseStatement() {
+            var token = peek();
+
+            // Tolerate JavaScript-style declarations: var x = ...
+            if (is(token, 'identifier') && DECLARATION_KEYWORDS.indexOf(token.value) !== -1 &&
+                is(peek(1), 'identifier') && peek(1).line === token.endLine) {
+                index++;
+                var assignment = parseAssignment();
+                if (assignment.type === 'Assignment') {
+                    assignment.declaration = token.value;
+                    assignment.start = token.start;
+                    assignment.loc.start = lineIndex.positionAt(token.start);
+                }
+                return assignment;
+            }
+
+            return parseAssignment();
+        }
+
+        function parseAssignment() {
+            var left = parsePair();
+            var token = peek();
+
+            if (is(token, 'operator', '=') && canContinue(token)) {
+                if (left.type !== 'Identifier' && left.type !== 'MemberExpression' && left.type !== 'IndexExpression') {
+                    throw new ParseError('Invalid assignment target', token);
+                }
+                index++;
+                var value = parseAssignment();
+                return node('Assignment', left.start, value.end, { target: left, value: value, declaration: null });
+            }
+
+            return left;
+        }
+
+        // Lowest precedence ':' (e.g. "UniqueKey: key") and the ternary operator
+        function parsePair() {
+            var test = parseBinary(1);
+            var token = peek();
+
+            if (is(token, 'operator', '?') && canContinue(token)) {
+                index++;
+                // Binary level only, so the ':' isn't taken as a pair operator
+                var consequent = parseBinary(1);
+                expect('operator', ':');
+                var alternate = parsePair();
+                return node('ConditionalExpression', test.start, alternate.end, {
+                    test: test, consequent: consequent, alternate: alternate
+                });
+            }
+
+            if (is(token, 'operator', ':') && canContinue(token)) {
+                index++;
+                var right = parseAssignment();
+                return node('BinaryExpression', test.start, right.end, { operator: ':', left: test, right: right });
+            }
+
+            return test;
+        }
+
+        function parseBinary(minPrecedence) {
+            var left = parseUnary();
+
+            while (true) {
+                var token = peek();
+                if (!is(token, 'operator') || !BINARY_PRECEDENCE[token.value] || !canContinue(token)) {
+                    break;
+                }
+                var precedence = BINARY_PRECEDENCE[token.value];
+                if (precedence < minPrecedence) {
+                    break;
+                }
+                index++;
+                var right = parseBinary(precedence + 1);
+                left = node('BinaryExpression', left.start, right.end, { operator: token.value, left: left, right: right });
+            }
+
+            return left;
+        }
+
+        function parseUnary() {
+            var token = peek();
+            if (is(token, 'operator', '!') || is(token, 'operator', '-') || is(token, 'operator', '+')) {
+                index++;
+                var argument = parseUnary();
+                return node('UnaryExpression', token.start, argument.end, { operator: token.value, argument: argument });
+            }
+            return parsePostfix();
+        }
+
+        function parsePostfix() {
+            var expr = parsePrimary();
+
+            while (true) {
+                var token = peek();
+
+                if (is(token, 'punctuation', '.') && canContinue(token)) {
+                    index++;
+                    var property = expect('identifier');
+                    var propertyNode = node('Identifier', property.start, property.end, { name: property.value });
+
+                    if (is(peek(), 'punctuation', '(') && !startsNewLine(peek())) {
+                        var args = parseArguments();
+                        expr = node('MethodCall', expr.start, args.end, {
+                            object: expr, method: propertyNode, arguments: args.list
+                        });
+                    } else {
+                        expr = node('MemberExpression', expr.start, property.end, { object: expr, property: propertyNode });
+                    }
+                    continue;
+                }
+
+                if (is(token, 'punctuation', '(') && !startsNewLine(token)) {
+                    var callArgs = parseArguments();
+                    expr = node('CallExpression', expr.start, callArgs.end, { callee: expr, arguments: callArgs.list });
+                    continue;
+                }
+
+                if (is(token, 'punctuation', '[') && !startsNewLine(token)) {
+                    index++;
+                    depth++;
+                    var indexExpr;
+                    try {
+                        indexExpr = parseAssignment();
+                    } finally {
+                        depth--;
+                    }
+                    var closeBracket = expect('punctuation', ']');
+                    expr = node('IndexExpression', expr.start, closeBracket.end, { object: expr, index: indexExpr });
+                    continue;
+                }
+
+                break;
+            }
+
+            return expr;
+        }
+
+        function parsePrimary() {
+            var token = peek();
+
+            if (!token) {
+                throw new ParseError('Unexpected end of input', null);
+            }
+
+            if (token.type === 'number') {
+                index++;
+                return node('Literal', token.start, token.end, { kind: 'number', value: parseFloat(token.value), raw: token.value });
+            }
+
+            if (token.type === 'string') {
+                index++;
+                return node('Literal', token.start, token.end, {
+                    kind: 'string',
+                    value: token.value.substring(1, token.terminated ? token.value.length - 1 : token.value.length),
+                    raw: token.value
+                });
+            }
+
+            if (token.type === 'identifier') {
+                index++;
+
+                if (token.value === 'true' || token.value === 'false') {
+                    return node('Literal', token.start, token.end, { kind: 'boolean', value: token.value === 'true', raw: token.value });
+                }
+                if (token.value === 'null') {
+                    return node('Literal', token.start, token.end, { kind: 'null', value: null, raw: token.value });
+                }
+
+                var identifier = node('Identifier', token.start, token.end, { name: token.value });
+                var following = peek();
+
+                if (is(following, 'punctuation', '(') && !startsNewLine(following)) {
+                    if (token.value === 'block') {
+                        var blockArgs = parseArguments();
+                        return node('Block', token.start, blockArgs.end, { callee: identifier, body: blockArgs.list });
+                    }
+                    if (token.value === 'foreach') {
+                        var loopArgs = parseArguments();
+                        return node('Foreach', token.start, loopArgs.end, {
+                            callee: identifier,
+                            iterator: loopArgs.list[0] || null,
+                            collection: loopArgs.list[1] || null,
+                            body: loopArgs.list.slice(2)
+                        });
+                    }
+                    if (token.value === 'vector') {
+                        var vectorArgs = parseArguments();
+                        return node('Vector', token.start, vectorArgs.end, { callee: identifier, arguments: vectorArgs.list });
+                    }
+                }
+
+                return identifier;
+            }
+
+            if (is(token, 'punctuation', '(')) {
+                index++;
+                depth++;
+                var inner;
+                try {
+                    inner = parseAssignment();
+                } finally {
+                    depth--;
+                }
+                var closeParen = expect('punctuation', ')');
+                return node('Parenthesized', token.start, closeParen.end, { expression: inner });
+            }
+
+            throw new ParseError('Unexpected "' + token.value + '"', token);
+        }
+
+        // Parse "( arg, arg, ... )" - a broken argument becomes an Invalid
+        // node and parsing continues with the next argument
+        function parseArguments() {
+            expect('punctuation', '(');
+            depth++;
+
+            var list = [];
+            try {
+                if (is(peek(), 'punctuation', ')')) {
+                    return { list: list, end: tokens[index++].end };
+                }
+
+                while (true) {
+                    var argStart = peek() ? peek().start : code.length;
+                    try {
+                        list.push(parseStatement());
+                    } catch (err) {
+                        if (!(err instanceof ParseError)) {
+                            throw err;
+                        }
+                        recordError(err);
+                        skipArgument();
+                        var prevToken = previous();
+                        list.push(node('Invalid', argStart, Math.max(argStart, prevToken ? prevToken.end : argStart), {}));
+                    }
+
+                    var token = peek();
+                    if (is(token, 'punctuation', ',')) {
+                        index++;
+                        continue;
+                    }
+                    if (is(token, 'punctuation', ')')) {
+                        index++;
+                        return { list: list, end: token.end };
+                    }
+                    throw new ParseError(token ? 'Expected "," or ")" but found "' + token.value + '"' : 'Unclosed "("', token);
+                }
+            } finally {
+                depth--;
+            }
+        }
+
+        // Skip to the next ',' or ')' that belongs to the current argument list
+        function skipArgument() {
+            var nesting = 0;
+            while (index < tokens.length) {
+                var token = tokens[index];
+                if (token.type === 'punctuation') {
+                    if (token.value === '(' || token.value === '[' || token.value === '{') {
+                        nesting++;
+                    } else if (token.value === ')' || token.value === ']' || token.value === '}') {
+                        if (nesting === 0) {
+                            return;
+                        }
+                        nesting--;
+                    } else if (token.value === ',' && nesting === 0) {
+                        return;
+                    }
+                }
+                index++;
+            }
+        }
+
+        // Skip to the start of the next top-level statement
+        function skipStatement() {
+            var nesting = 0;
+            var startIndex = index;
+            while (index < tokens.length) {
+                var token = tokens[index];
+                if (index > startIndex && nesting === 0 && startsNewLine(token)) {
+                    return;
+                }
+                if (token.type === 'punctuation') {
+                    if (token.value === '(' || token.value === '[' || token.value === '{') {
+                        nesting++;
+                    } else if (token.value === ')' || token.value === ']' || token.value === '}') {
+                        nesting = Math.max(0, nesting - 1);
+                    } else if ((token.value === ',' || token.value === ';') && nesting === 0) {
+                        index++;
+                        return;
+                    }
+                }
+                index++;
+            }
+        }
+
+        var body = [];
+
+        while (index < tokens.length) {
+            var token = peek();
+
+            // Statement separators at the top level
+            if (is(token, 'punctuation', ';') || is(token, 'punctuation', ',')) {
+                index++;
+                continue;
+            }
+
+            var statementStart = token.start;
+            var startIndex = index;
+            try {
+                depth = 0;
+                var statement = parseStatement();
+                body.push(statement);
+
+                var after = peek();
+                if (after && !startsNewLine(after) &&
+                    !is(after, 'punctuation', ';') && !is(after, 'punctuation', ',')) {
+                    throw new ParseError('Unexpected "' + after.value + '"', after);
+                }
+            } catch (err) {
+                if (!(err instanceof ParseError)) {
+                    throw err;
+                }
+                recordError(err);
+                index = Math.max(index, startIndex);
+                skipStatement();
+                if (index === startIndex) {
+                    index++;
+                }
+                var lastToken = previous();
+                // Replace a partially parsed statement with an Invalid node
+                if (body.length && body[body.length - 1].start === statementStart) {
+                    body.pop();
+                }
+                body.push(node('Invalid', statementStart, lastToken ? lastToken.end : statementStart, {}));
+            }
+        }
+
+        var program = node('Program', 0, code.length, { body: body, comments: comments, errors: errors });
+        program.tokens = tokens;
+        return program;
+    }
+
+    // =========================================================================
+    // TREE UTILITIES
+    // =========================================================================
+
+    /**
+     * Depth-first walk over an AST
+     * @param {object} root - Node to start from
+     * @param {function|object} visitor - fn(node, parent) or { enter(node, parent), leave(node, parent) }.
+     *                                    Returning false from enter skips the node's children.
+     */
+    function walk(root, visitor) {
+        var enter = typeof visitor === 'function' ? visitor : visitor.enter;
+        var leave = typeof visitor === 'function' ? null : visitor.leave;
+
+        function visit(current, parent) {
+            if (!current || typeof current.type !== 'string') {
+                return;
+            }
+
+            if (enter && enter(current, parent) === false) {
+                return;
+            }
+
+            var keys = VISITOR_KEYS[current.type] || [];
+            for (var i = 0; i < keys.length; i++) {
+                var child = current[keys[i]];
+                if (Array.isArray(child)) {
+                    for (var j = 0; j < child.length; j++) {
+                        visit(child[j], current);
+                    }
+                } else if (child) {
+                    visit(child, current);
+                }
+            }
+
+            if (leave) {
+                leave(current, parent);
+            }
+        }
+
+        visit(root, null);
+    }
+
+    /**
+     * Collect all nodes of the given type(s)
+     * @param {object} root - Node to search
+     * @param {string|array} types - Node type or list of node types
+     * @returns {array} Matching nodes in source order
+     */
+    function findNodes(root, types) {
+        var wanted = Array.isArray(types) ? types : [types];
+        var found = [];
+        walk(root, function(current) {
+            if (wanted.indexOf(current.type) !== -1) {
+                found.push(current);
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Get the source text covered by a node
+     * @param {string} code - Source code the node was parsed from
+     * @param {object} target - AST node
+     * @returns {string} Source text
+     */
+    function getText(code, target) {
+        return code.substring(target.start, target.end);
+    }
+
+    return {
+        version: PARSER_VERSION,
+        VISITOR_KEYS: VISITOR_KEYS,
+        createLineIndex: createLineIndex,
+        tokenize: tokenize,
+        parse: parse,
+        walk: walk,
+        findNodes: findNodes,
+        getText: getText
+    };
+})();
+
+// Make available globally for the engine and rules
+if (typeof window !== 'undefined') {
+    window.DSLParser = DSLParser;
+}
+
+// Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DSLParser;
+}
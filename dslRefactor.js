@@ -0,0 +1,963 @@
+/*
+ * FILE: dslRefactor.js
+ *
+ * ARTIFACT INFO (for proper Claude artifact creation):
+ * - ID: dslRefactor.js
+ * - Title: dslRefactor
+ * - Type: application/vnd.ant.code (language: javascript)
+ *
+ * ARCHITECTURAL BOUNDARY: Suggestions
+ * LOADED BY: dslSuggestionsApp.html, dslAnalysisWorker.js, dslSuggestionsNode.js
+ * PROVIDES: DSLRefactor global object
+ *
+ * DESCRIPTION:
+ * Refactorings of existing DSL code, built on the DSLParser AST.
+ *
+ * convertFixStyle() rewrites the wrapper calls that fixes insert between their
+ * traditional and method forms, e.g. ifNull(x, d) <-> (x).ifNull(d). The
+ * wrappers and both forms come from the config's fixTemplates (any rule whose
+ * traditional template is name({expression}, {defaultAltValue})), so the
+ * result looks exactly like a fix written in that form. Nested calls are
+ * converted too, and a method-form call is not parenthesised again before the
+ * next method; with a selection only the calls inside it change (a collapsed
+ * selection picks the innermost call around the cursor). Comments between the
+ * arguments move with the argument they follow or precede; a call whose
+ * comments have no place in the other form is left as written and listed in
+ * result.skipped.
+ *
+ * renameVariable() renames a variable and the identifiers that refer to it.
+ * Scopes: the program, each block() and each foreach() (its iterator and
+ * body). An assignment to a name no enclosing scope has assigned yet (or a
+ * var/let/const declaration) creates the variable in the innermost scope;
+ * later assignments and uses in that scope and the scopes inside it refer to
+ * it, e.g. total = total + x inside a foreach() updates an outer total. Uses
+ * before the first assignment belong to the outer scope. String literals,
+ * comments, Node.property names and function names are never renamed. The
+ * rename is refused when the new name is already used in the variable's scope
+ * or assigned in an enclosing one, or when a region the parser could not read
+ * mentions either name.
+ *
+ * extractVariable() moves an expression (the selection, or the Node chain at
+ * the cursor) into a new variable assigned at the top of the enclosing block()
+ * or foreach() body, and replaces every copy of it there that reads the same
+ * variables. An expression outside any block() gets one around its statement
+ * (around the value of an assignment). The expression must not assign or read
+ * variables assigned in that block, since it now runs first. With protect, the
+ * assignment wraps the expression in the nullAccessProtection fix once.
+ * Version tracking: See dslSuggestionsApp.html for app version.
+ */
+
+var DSLRefactor = (function() {
+    'use strict';
+
+    var FIX_STYLES = ['traditional', 'method'];
+
+    // Words the parser gives a meaning of their own
+    var RESERVED_NAMES = ['true', 'false', 'null', 'var', 'let', 'const', 'block', 'foreach', 'vector'];
+    var NAME_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+    // Traditional template of a wrapper fix: name({expression}, {defaultAltValue})
+    var WRAPPER_TEMPLATE_PATTERN = /^([A-Za-z_$][\w$]*)\(\{expression\},\s*\{defaultAltValue\}\)$/;
+
+    function getConfig(options) {
+        if (options.config) {
+            return options.config;
+        }
+        return typeof dslSuggestionsConfigData !== 'undefined' ? dslSuggestionsConfigData : {};
+    }
+
+    /**
+     * Wrapper functions the config's fix templates produce
+     * @returns {object} name -> { rule, traditional, method } templates
+     */
+    function getWrapperTemplates(config) {
+        var wrappers = {};
+        var rules = (config && config.suggestionRules) || {};
+
+        for (var ruleName in rules) {
+            if (!rules.hasOwnProperty(ruleName)) {
+                continue;
+            }
+
+            var templates = rules[ruleName].fixTemplates;
+            if (!templates || typeof templates.traditional !== 'string' || typeof templates.method !== 'string') {
+                continue;
+            }
+
+            var match = WRAPPER_TEMPLATE_PATTERN.exec(templates.traditional);
+            if (match && templates.method.indexOf('.' + match[1] + '(') !== -1) {
+                wrappers[match[1]] = { rule: ruleName, traditional: templates.traditional, method: templates.method };
+            }
+        }
+
+        return wrappers;
+    }
+
+    // Brackets open around the first placeholder in a template
+    function bracketDepth(template, placeholder) {
+        var before = template.substring(0, template.indexOf(placeholder));
+        return before.replace(/[^(\[]/g, '').length - before.replace(/[^)\]]/g, '').length;
+    }
+
+    function fillTemplate(template, values) {
+        // A function as replacement, so '$' in the code is copied as is
+        return template.replace(/\{(\w+)\}/g, function(placeholder, key) {
+            return values.hasOwnProperty(key) ? values[key] : placeholder;
+        });
+    }
+
+    // A wrapper call in either form: { node, name, form, expression, defaultValue }
+    // (expression/defaultValue are null when the argument count does not fit)
+    function matchWrapperCall(node, wrappers) {
+        if (node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+            wrappers.hasOwnProperty(node.callee.name)) {
+            var fits = node.arguments.length === 2;
+            return {
+                node: node,
+                name: node.callee.name,
+                form: 'traditional',
+                expression: fits ? node.arguments[0] : null,
+                defaultValue: fits ? node.arguments[1] : null
+            };
+        }
+
+        if (node.type === 'MethodCall' && wrappers.hasOwnProperty(node.method.name)) {
+            var fitsMethod = node.arguments.length === 1;
+            return {
+                node: node,
+                name: node.method.name,
+                form: 'method',
+                expression: fitsMethod ? node.object : null,
+                defaultValue: fitsMethod ? node.arguments[0] : null
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Rewrite ifNaN()/ifNull()-style wrapper calls into one fix style.
+     * @param {string} code - DSL code
+     * @param {object} options - { style: 'traditional'|'method', config (default: loaded
+     *   config), selection: { start, end } offsets (default: the whole code) }
+     * @returns {object} { code, edits: [{ start, end, line, column, newText }] (one per
+     *   outermost converted call, offsets into the given code), converted (number of calls),
+     *   skipped: [{ line, column, text, reason }] }
+     */
+    function convertFixStyle(code, options) {
+        options = options || {};
+        var style = options.style;
+        if (FIX_STYLES.indexOf(style) === -1) {
+            throw new Error('Unknown fix style: ' + style + ' (expected traditional or method)');
+        }
+
+        var wrappers = getWrapperTemplates(getConfig(options));
+        var program = DSLParser.parse(code);
+        var lineIndex = DSLParser.createLineIndex(code);
+        var result = { code: code, edits: [], converted: 0, skipped: [] };
+
+        // Calls in the other form, by node position
+        var pending = {};
+        var pendingCalls = [];
+        var unusableCalls = [];
+        DSLParser.walk(program, function(current) {
+            var call = matchWrapperCall(current, wrappers);
+            if (!call || call.form === style) {
+                return;
+            }
+            if (!call.expression) {
+                unusableCalls.push(call);
+                return;
+            }
+            pending[current.start + ':' + current.end + ':' + current.type] = call;
+            pendingCalls.push(call);
+        });
+
+        function lookup(node) {
+            return pending[node.start + ':' + node.end + ':' + node.type] || null;
+        }
+
+        function nextToken(offset) {
+            for (var t = 0; t < program.tokens.length; t++) {
+                if (program.tokens[t].start >= offset) {
+                    return program.tokens[t];
+                }
+            }
+            return null;
+        }
+
+        function hasComments(from, to) {
+            return program.comments.some(function(comment) {
+                return comment.start >= from && comment.end <= to;
+            });
+        }
+
+        // Source text of a node with the calls in it converted
+        function textOf(node) {
+            var parts = [];
+            var position = node.start;
+            DSLParser.walk(node, function(current) {
+                var call = lookup(current);
+                if (!call) {
+                    return;
+                }
+                parts.push(code.substring(position, current.start), convert(call));
+                position = current.end;
+                return false;
+            });
+            parts.push(code.substring(position, node.end));
+            return parts.join('');
+        }
+
+        // Comments between the call's parts, as { before, after } an argument;
+        // null when there are comments the other form has no place for
+        function commentGaps(call, expression) {
+            var node = call.node;
+            var head = node.type === 'MethodCall' ? node.method : node.callee;
+            var open = nextToken(head.end);
+            var gaps = { expression: { before: '', after: '' }, defaultValue: { before: '', after: '' } };
+
+            if (hasComments(node.type === 'MethodCall' ? call.expression.end : node.start, open.start)) {
+                return null;
+            }
+            if (node.type === 'CallExpression') {
+                var comma = nextToken(call.expression.end);
+                gaps.expression.before = code.substring(open.end, call.expression.start);
+                gaps.expression.after = code.substring(call.expression.end, comma.start);
+                gaps.defaultValue.before = code.substring(comma.end, call.defaultValue.start);
+            } else {
+                gaps.defaultValue.before = code.substring(open.end, call.defaultValue.start);
+            }
+            gaps.defaultValue.after = code.substring(call.defaultValue.end, node.end - 1);
+
+            // Inside the parentheses the other form drops
+            if (expression !== call.expression) {
+                gaps.expression.before += code.substring(call.expression.start + 1, expression.start);
+                gaps.expression.after = code.substring(expression.end, call.expression.end - 1) + gaps.expression.after;
+            }
+            return gaps;
+        }
+
+        // Argument text with the comments written around it
+        function withComments(text, gap) {
+            var before = gap.before.replace(/^\s+/, '');
+            var after = gap.after.replace(/\s+$/, '');
+            if (after && /\/\/[^\n]*$/.test(after.replace(/\/\*[\s\S]*?\*\//g, ''))) {
+                after += '\n';
+            }
+            return before + text + (after ? (/^\s/.test(after) ? '' : ' ') + after : '');
+        }
+
+        // A line break (after a // comment) only stays inside the call where brackets are open
+        function breaksOutside(template, values) {
+            return ['expression', 'defaultAltValue'].some(function(name) {
+                return values[name].indexOf('\n') !== -1 && bracketDepth(template, '{' + name + '}') === 0;
+            });
+        }
+
+        function convert(call) {
+            var template = wrappers[call.name][style];
+            var expression = call.expression;
+
+            // The template adds its own parentheses around the expression
+            if (expression.type === 'Parenthesized' && (style === 'traditional' || template.indexOf('({expression})') !== -1)) {
+                expression = expression.expression;
+            }
+
+            var converted = result.converted;
+            var skipped = result.skipped.length;
+            var gaps = commentGaps(call, expression);
+            var values = gaps && {
+                expression: withComments(textOf(expression), gaps.expression),
+                defaultAltValue: withComments(textOf(call.defaultValue), gaps.defaultValue)
+            };
+
+            // A method-form call takes the next method without parentheses
+            var bare = template.replace('({expression})', '{expression}');
+            if (values && style === 'method' && (expression.type === 'MethodCall' || lookup(expression)) &&
+                !breaksOutside(bare, values)) {
+                template = bare;
+            }
+
+            if (!values || breaksOutside(template, values)) {
+                // Left as written, with the calls inside it converted once
+                result.converted = converted;
+                result.skipped.length = skipped;
+                delete pending[call.node.start + ':' + call.node.end + ':' + call.node.type];
+                var start = lineIndex.positionAt(call.node.start);
+                result.skipped.push({
+                    line: start.line,
+                    column: start.column,
+                    text: DSLParser.getText(code, call.node),
+                    reason: 'its comments have no place in ' + style + ' form'
+                });
+                return textOf(call.node);
+            }
+
+            result.converted++;
+            return fillTemplate(template, values);
+        }
+
+        var selection = options.selection || { start: 0, end: code.length };
+        if (selection.start === selection.end) {
+            // Cursor: the innermost call around it
+            var innermost = null;
+            for (var i = 0; i < pendingCalls.length; i++) {
+                var node = pendingCalls[i].node;
+                if (node.start <= selection.start && selection.start <= node.end &&
+                    (!innermost || node.end - node.start < innermost.end - innermost.start)) {
+                    innermost = node;
+                }
+            }
+            selection = innermost ? { start: innermost.start, end: innermost.end } : selection;
+        }
+
+        function inSelection(node) {
+            return node.start >= selection.start && node.end <= selection.end;
+        }
+
+        for (var u = 0; u < unusableCalls.length; u++) {
+            var unusable = unusableCalls[u];
+            if (inSelection(unusable.node)) {
+                var start = lineIndex.positionAt(unusable.node.start);
+                result.skipped.push({
+                    line: start.line,
+                    column: start.column,
+                    text: DSLParser.getText(code, unusable.node),
+                    reason: unusable.form === 'traditional' ? 'expected 2 arguments' : 'expected 1 argument'
+                });
+            }
+        }
+
+        DSLParser.walk(program, function(current) {
+            var call = lookup(current);
+            if (!call || !inSelection(current)) {
+                return;
+            }
+
+            var position = lineIndex.positionAt(current.start);
+            var newText = convert(call);
+            if (newText !== DSLParser.getText(code, current)) {
+                result.edits.push({
+                    start: current.start,
+                    end: current.end,
+                    line: position.line,
+                    column: position.column,
+                    newText: newText
+                });
+            }
+            return false;
+        });
+
+        var parts = [];
+        var offset = 0;
+        for (var e = 0; e < result.edits.length; e++) {
+            parts.push(code.substring(offset, result.edits[e].start), result.edits[e].newText);
+            offset = result.edits[e].end;
+        }
+        parts.push(code.substring(offset));
+        result.code = parts.join('');
+
+        return result;
+    }
+
+    /**
+     * Variables of a parsed program and the identifiers that refer to them.
+     * @param {object} program - DSLParser.parse() result
+     * @param {string} code - The parsed code
+     * @returns {object} { scopes: [{ node, parent, names }] (the program's first), variables:
+     *   [{ name, scope, declaration, references }], identifiers: [{ node, variable }] (in
+     *   source order; variable is null for names never assigned), assigned: identifiers
+     *   that assign their variable (assignment targets, foreach iterators), invalid:
+     *   [{ node, scope, text }], identifierAt(offset) }
+     */
+    function analyzeScopes(program, code) {
+        var scopes = [];
+        var variables = [];
+        var identifiers = [];
+        var assigned = [];
+        var invalid = [];
+
+        function createScope(node, parent) {
+            var scope = { node: node, parent: parent, names: {} };
+            scopes.push(scope);
+            return scope;
+        }
+
+        function lookup(scope, name) {
+            for (var current = scope; current; current = current.parent) {
+                if (current.names.hasOwnProperty(name)) {
+                    return current.names[name];
+                }
+            }
+            return null;
+        }
+
+        function declare(scope, identifier) {
+            var variable = { name: identifier.name, scope: scope, declaration: identifier, references: [] };
+            scope.names[identifier.name] = variable;
+            variables.push(variable);
+            return variable;
+        }
+
+        function reference(identifier, variable) {
+            identifiers.push({ node: identifier, variable: variable });
+            if (variable) {
+                variable.references.push(identifier);
+            }
+        }
+
+        function visitAll(nodes, scope) {
+            for (var i = 0; i < nodes.length; i++) {
+                visit(nodes[i], scope);
+            }
+        }
+
+        function visit(node, scope) {
+            if (!node) {
+                return;
+            }
+
+            switch (node.type) {
+                case 'Identifier':
+                    reference(node, lookup(scope, node.name));
+                    return;
+                case 'Assignment':
+                    // The value is read before the name is assigned
+                    visit(node.value, scope);
+                    if (node.target.type === 'Identifier') {
+                        var existing = node.declaration ? null : lookup(scope, node.target.name);
+                        reference(node.target, existing || declare(scope, node.target));
+                        assigned.push(node.target);
+                    } else {
+                        visit(node.target, scope);
+                    }
+                    return;
+                case 'Block':
+                    visitAll(node.body, createScope(node, scope));
+                    return;
+                case 'Foreach':
+                    visit(node.collection, scope);
+                    var loop = createScope(node, scope);
+                    if (node.iterator && node.iterator.type === 'Identifier') {
+                        reference(node.iterator, declare(loop, node.iterator));
+                        assigned.push(node.iterator);
+                    } else {
+                        visit(node.iterator, loop);
+                    }
+                    visitAll(node.body, loop);
+                    return;
+                case 'MemberExpression':
+                    visit(node.object, scope);
+                    return;
+                case 'MethodCall':
+                    visit(node.object, scope);
+                    visitAll(node.arguments, scope);
+                    return;
+                case 'CallExpression':
+                    // A plain name called is a function, not a variable
+                    if (node.callee.type !== 'Identifier') {
+                        visit(node.callee, scope);
+                    }
+                    visitAll(node.arguments, scope);
+                    return;
+                case 'Vector':
+                    visitAll(node.arguments, scope);
+                    return;
+                case 'Invalid':
+                    invalid.push({ node: node, scope: scope, text: DSLParser.getText(code, node) });
+                    return;
+            }
+
+            var keys = DSLParser.VISITOR_KEYS[node.type] || [];
+            for (var k = 0; k < keys.length; k++) {
+                var child = node[keys[k]];
+                if (Array.isArray(child)) {
+                    visitAll(child, scope);
+                } else {
+                    visit(child, scope);
+                }
+            }
+        }
+
+        visitAll(program.body, createScope(program, null));
+        identifiers.sort(function(a, b) {
+            return a.node.start - b.node.start;
+        });
+
+        return {
+            scopes: scopes,
+            variables: variables,
+            identifiers: identifiers,
+            assigned: assigned,
+            invalid: invalid,
+            // The identifier the offset is in or right after
+            identifierAt: function(offset) {
+                for (var i = 0; i < identifiers.length; i++) {
+                    var node = identifiers[i].node;
+                    if (node.start <= offset && offset <= node.end) {
+                        return identifiers[i];
+                    }
+                }
+                return null;
+            }
+        };
+    }
+
+    function isWithin(node, outer) {
+        return node.start >= outer.start && node.end <= outer.end;
+    }
+
+    function mentions(text, name) {
+        return new RegExp('(^|[^\\w$])' + name.replace(/\$/g, '\\$') + '(?![\\w$])').test(text);
+    }
+
+    function checkName(name) {
+        if (!NAME_PATTERN.test(name || '') || RESERVED_NAMES.indexOf(name) !== -1) {
+            return '"' + name + '" is not a valid variable name';
+        }
+        return null;
+    }
+
+    // Why name cannot be a new variable of scope used over range, or null
+    function findNameConflict(scopes, scope, range, name) {
+        for (var s = scope; s; s = s.parent) {
+            if (s.names.hasOwnProperty(name)) {
+                return '"' + name + '" already exists (line ' + s.names[name].declaration.loc.start.line + ')';
+            }
+        }
+        for (var i = 0; i < scopes.identifiers.length; i++) {
+            var other = scopes.identifiers[i].node;
+            if (other.name === name && isWithin(other, range)) {
+                return '"' + name + '" is already used in this scope (line ' + other.loc.start.line + ')';
+            }
+        }
+        return null;
+    }
+
+    // Why range cannot be changed safely: an unparsed region in it mentions one of names
+    function findUnparsedUse(scopes, range, names) {
+        for (var i = 0; i < scopes.invalid.length; i++) {
+            var region = scopes.invalid[i];
+            if (!isWithin(region.node, range)) {
+                continue;
+            }
+            for (var n = 0; n < names.length; n++) {
+                if (mentions(region.text, names[n])) {
+                    return 'Line ' + region.node.loc.start.line + ' could not be parsed and may use "' + names[n] + '"';
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check a rename of the variable at offset
+     * @param {object} scopes - analyzeScopes() result
+     * @param {number} offset - Offset in (or right after) a use or assignment of the variable
+     * @param {string} newName - New variable name
+     * @returns {object} { variable, references: identifier nodes to rename, error (null
+     *   when the rename can be made) }
+     */
+    function planRename(scopes, offset, newName) {
+        var found = scopes.identifierAt(offset);
+        var plan = { variable: found ? found.variable : null, references: [], error: null };
+
+        if (!found) {
+            plan.error = 'No variable at this position';
+            return plan;
+        }
+        var name = found.node.name;
+        var variable = found.variable;
+        if (!variable) {
+            plan.error = '"' + name + '" is not assigned in this code';
+            return plan;
+        }
+        if (newName === name) {
+            plan.error = 'The variable is already named "' + name + '"';
+            return plan;
+        }
+
+        plan.error = checkName(newName) ||
+            findNameConflict(scopes, variable.scope, variable.scope.node, newName) ||
+            findUnparsedUse(scopes, variable.scope.node, [name, newName]);
+        if (plan.error) {
+            return plan;
+        }
+
+        plan.references = variable.references.slice().sort(function(a, b) {
+            return a.start - b.start;
+        });
+        return plan;
+    }
+
+    /**
+     * Rename the variable at a position and every identifier that refers to it.
+     * @param {string} code - DSL code
+     * @param {object} options - { offset: in (or right after) a use or assignment of
+     *   the variable, newName }
+     * @returns {object} { code, edits: [{ start, end, line, column, newText }], renamed
+     *   (number of identifiers), error (why nothing was renamed, or null) }
+     */
+    function renameVariable(code, options) {
+        options = options || {};
+        var program = DSLParser.parse(code);
+        var plan = planRename(analyzeScopes(program, code), options.offset, options.newName);
+        var result = { code: code, edits: [], renamed: 0, error: plan.error };
+        if (plan.error) {
+            return result;
+        }
+
+        for (var i = 0; i < plan.references.length; i++) {
+            var node = plan.references[i];
+            result.edits.push({
+                start: node.start,
+                end: node.end,
+                line: node.loc.start.line,
+                column: node.loc.start.column,
+                newText: options.newName
+            });
+        }
+
+        result.code = applyEdits(code, result.edits);
+        result.renamed = plan.references.length;
+        return result;
+    }
+
+    // Edits sorted by offset, none overlapping
+    function applyEdits(code, edits) {
+        var parts = [];
+        var position = 0;
+        for (var i = 0; i < edits.length; i++) {
+            parts.push(code.substring(position, edits[i].start), edits[i].newText);
+            position = edits[i].end;
+        }
+        parts.push(code.substring(position));
+        return parts.join('');
+    }
+
+    // Token text of a node, so copies that differ in spacing or comments compare equal
+    function tokenKey(tokens, node) {
+        var low = 0;
+        var high = tokens.length;
+        while (low < high) {
+            var mid = (low + high) >> 1;
+            if (tokens[mid].start < node.start) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        var parts = [];
+        for (var i = low; i < tokens.length && tokens[i].end <= node.end; i++) {
+            parts.push(tokens[i].type + ' ' + tokens[i].value);
+        }
+        return parts.join('\n');
+    }
+
+    // Identifiers in a node with their variables, in source order
+    function identifiersIn(scopes, node) {
+        return scopes.identifiers.filter(function(entry) {
+            return isWithin(entry.node, node);
+        });
+    }
+
+    // ParentSeason.Name -> parentSeasonName; anything but a Node chain -> value
+    function suggestName(node) {
+        var parts = [];
+        var isChain = true;
+        DSLParser.walk(node, function(current) {
+            if (current.type === 'Identifier') {
+                parts.push(current.name.replace(/[^A-Za-z0-9]/g, ''));
+            } else if (current.type !== 'MemberExpression') {
+                isChain = false;
+            }
+        });
+
+        var name = parts.map(function(part, index) {
+            return (index === 0 ? part.charAt(0).toLowerCase() : part.charAt(0).toUpperCase()) + part.slice(1);
+        }).join('');
+        return isChain && NAME_PATTERN.test(name) ? name : 'value';
+    }
+
+    // Default value the rule's fix would insert (the rule utilities decide, where loaded)
+    function defaultValue(ruleConfig, placeholder) {
+        if (typeof DSLRuleUtils !== 'undefined') {
+            return DSLRuleUtils.Edit.defaultValue(ruleConfig.defaultAltValue, placeholder);
+        }
+        return ruleConfig.defaultAltValue || placeholder;
+    }
+
+    // Next numbered placeholder not in the code yet (DEF_VAL_NULL_SAFETY_3 after ..._2)
+    function nextPlaceholder(code, prefix) {
+        var pattern = new RegExp(prefix + '(\\d+)', 'g');
+        var highest = 0;
+        var match;
+        while ((match = pattern.exec(code)) !== null) {
+            highest = Math.max(highest, parseInt(match[1], 10));
+        }
+        return prefix + (highest + 1);
+    }
+
+    /**
+     * Move an expression into a new variable at the top of its block() and replace its copies.
+     * @param {string} code - DSL code
+     * @param {object} options - { selection: { start, end } offsets (empty: the Node chain
+     *   at the cursor), name (default: from the expression, e.g. parentSeasonName), protect
+     *   (wrap the expression in the nullAccessProtection fix), style: fix style of that
+     *   wrapper (default: the rule's fixStyle), config (default: loaded config) }
+     * @returns {object} { code, edits: [{ start, end, line, column, newText }], name,
+     *   expression (source text), replaced (number of copies), error (why nothing was
+     *   extracted, or null) }
+     */
+    function extractVariable(code, options) {
+        options = options || {};
+        var config = getConfig(options);
+        var program = DSLParser.parse(code);
+        var lineIndex = DSLParser.createLineIndex(code);
+        var scopes = analyzeScopes(program, code);
+        var result = { code: code, edits: [], name: null, expression: null, replaced: 0, error: null };
+
+        function fail(message) {
+            result.error = message;
+            return result;
+        }
+
+        var nodes = [];
+        DSLParser.walk(program, function(current, parent) {
+            if (parent) {
+                nodes.push({ node: current, parent: parent });
+            }
+        });
+
+        function parentOf(node) {
+            for (var i = 0; i < nodes.length; i++) {
+                if (nodes[i].node === node) {
+                    return nodes[i].parent;
+                }
+            }
+            return null;
+        }
+
+        // Positions a copy cannot be replaced in
+        function isFixedPosition(node, parent) {
+            return (parent.type === 'Assignment' && parent.target === node) ||
+                (parent.type === 'CallExpression' && parent.callee === node);
+        }
+
+        var selection = options.selection || { start: 0, end: 0 };
+        var start = selection.start;
+        var end = selection.end;
+        while (start < end && /\s/.test(code.charAt(start))) {
+            start++;
+        }
+        while (end > start && /\s/.test(code.charAt(end - 1))) {
+            end--;
+        }
+
+        // The smallest expression around the selection
+        var target = null;
+        for (var i = 0; i < nodes.length; i++) {
+            var candidate = nodes[i].node;
+            if (candidate.start <= start && end <= candidate.end &&
+                (!target || candidate.end - candidate.start < target.end - target.start)) {
+                target = candidate;
+            }
+        }
+        if (!target) {
+            return fail('No expression at this position');
+        }
+
+        var parent = parentOf(target);
+        if (target.type === 'Identifier' && parent.type === 'MemberExpression' && parent.property === target) {
+            target = parent;
+            parent = parentOf(target);
+        }
+        if (start === end) {
+            // Cursor: the whole Node chain it is in
+            while ((parent.type === 'MemberExpression' || parent.type === 'IndexExpression') && parent.object === target) {
+                target = parent;
+                parent = parentOf(target);
+            }
+        }
+
+        if (target.type === 'Identifier') {
+            return fail('"' + target.name + '" is a single name already');
+        }
+        if (target.type === 'Assignment' || target.type === 'Invalid' || isFixedPosition(target, parent)) {
+            return fail('Select an expression that is read, not assigned or called');
+        }
+        if (DSLParser.findNodes(target, ['Assignment', 'Block', 'Foreach']).length > 0) {
+            return fail('Expressions with assignments, block() or foreach() cannot be extracted');
+        }
+
+        // The block() or foreach() body holding the expression, else its top-level statement
+        var container = null;
+        var current = target;
+        var above = parent;
+        while (above.type !== 'Program') {
+            if ((above.type === 'Block' || above.type === 'Foreach') && above.body.indexOf(current) !== -1) {
+                container = above;
+                break;
+            }
+            current = above;
+            above = parentOf(current);
+        }
+
+        var scope;
+        var body;
+        var wrap = null;
+        if (container) {
+            for (var s = 0; s < scopes.scopes.length; s++) {
+                if (scopes.scopes[s].node === container) {
+                    scope = scopes.scopes[s];
+                }
+            }
+            body = { start: container.body[0].start, end: container.body[container.body.length - 1].end };
+        } else {
+            // A new block() around the statement, or around the value it assigns
+            wrap = current.type === 'Assignment' ? current.value : current;
+            if (!isWithin(target, wrap)) {
+                return fail('Select an expression that is read, not assigned or called');
+            }
+            for (var d = 0; d < scopes.variables.length; d++) {
+                var declared = scopes.variables[d];
+                if (declared.scope === scopes.scopes[0] && isWithin(declared.declaration, wrap)) {
+                    return fail('"' + declared.name + '" would become local to the new block()');
+                }
+            }
+            scope = scopes.scopes[0];
+            body = wrap;
+        }
+
+        // The expression now runs before the rest of the body
+        var read = identifiersIn(scopes, target);
+        for (var r = 0; r < read.length; r++) {
+            var references = read[r].variable ? read[r].variable.references : [];
+            for (var f = 0; f < references.length; f++) {
+                if (scopes.assigned.indexOf(references[f]) !== -1 && isWithin(references[f], body)) {
+                    return fail('"' + read[r].node.name + '" is assigned on line ' + references[f].loc.start.line +
+                        ', so the expression cannot move to the top of ' + (container ? 'the block' : 'a new block()'));
+                }
+            }
+        }
+
+        var name = options.name;
+        var nameError;
+        if (name) {
+            nameError = checkName(name) || findNameConflict(scopes, scope, body, name);
+        } else {
+            var base = suggestName(target);
+            name = base;
+            for (var n = 2; findNameConflict(scopes, scope, body, name); n++) {
+                name = base + n;
+            }
+        }
+        var names = [name].concat(read.map(function(entry) {
+            return entry.node.name;
+        }));
+        nameError = nameError || findUnparsedUse(scopes, body, names);
+        if (nameError) {
+            return fail(nameError);
+        }
+
+        // Copies read the same variables as the expression itself
+        var key = tokenKey(program.tokens, target);
+        var occurrences = [];
+        for (var o = 0; o < nodes.length; o++) {
+            var copy = nodes[o].node;
+            if (copy.type !== target.type || !isWithin(copy, body) || isFixedPosition(copy, nodes[o].parent) ||
+                tokenKey(program.tokens, copy) !== key) {
+                continue;
+            }
+            var copyRead = identifiersIn(scopes, copy);
+            var same = copyRead.length === read.length;
+            for (var v = 0; same && v < read.length; v++) {
+                same = copyRead[v].variable === read[v].variable;
+            }
+            if (same) {
+                occurrences.push(copy);
+            }
+        }
+        occurrences.sort(function(x, y) {
+            return x.start - y.start;
+        });
+
+        result.name = name;
+        result.expression = DSLParser.getText(code, target);
+        result.replaced = occurrences.length;
+
+        var value = result.expression;
+        if (options.protect && !matchWrapperCall(target, getWrapperTemplates(config))) {
+            var ruleConfig = (config.suggestionRules || {}).nullAccessProtection || {};
+            var style = options.style || ruleConfig.fixStyle || FIX_STYLES[0];
+            var template = (ruleConfig.fixTemplates && ruleConfig.fixTemplates[style]) || 'ifNull({expression}, {defaultAltValue})';
+            var inner = target.type === 'Parenthesized' ? target.expression : target;
+            value = fillTemplate(template, {
+                expression: DSLParser.getText(code, inner),
+                object: inner.type === 'MemberExpression' ? DSLParser.getText(code, inner.object) : DSLParser.getText(code, inner),
+                property: inner.type === 'MemberExpression' ? inner.property.name : '',
+                defaultAltValue: defaultValue(ruleConfig, nextPlaceholder(code, 'DEF_VAL_NULL_SAFETY_'))
+            });
+        }
+
+        var replacements = occurrences.map(function(node) {
+            return { start: node.start, end: node.end, newText: name };
+        });
+        var edits;
+        if (container) {
+            var first = container.body[0];
+            var firstLine = lineIndex.positionAt(first.start);
+            var separator = ' ';
+            if (firstLine.line !== lineIndex.positionAt(container.start).line) {
+                // Own line, indented like the first statement
+                var lineText = code.substring(first.start - firstLine.column, first.start);
+                separator = (code.indexOf('\r\n') !== -1 ? '\r\n' : '\n') + /^[ \t]*/.exec(lineText)[0];
+            }
+            edits = [{ start: first.start, end: first.start, newText: name + ' = ' + value + ',' + separator }].concat(replacements);
+        } else {
+            var inWrap = replacements.map(function(edit) {
+                return { start: edit.start - wrap.start, end: edit.end - wrap.start, newText: edit.newText };
+            });
+            edits = [{
+                start: wrap.start,
+                end: wrap.end,
+                newText: 'block(' + name + ' = ' + value + ', ' + applyEdits(DSLParser.getText(code, wrap), inWrap) + ')'
+            }];
+        }
+
+        for (var e = 0; e < edits.length; e++) {
+            var position = lineIndex.positionAt(edits[e].start);
+            result.edits.push({
+                start: edits[e].start,
+                end: edits[e].end,
+                line: position.line,
+                column: position.column,
+                newText: edits[e].newText
+            });
+        }
+        result.code = applyEdits(code, result.edits);
+        return result;
+    }
+
+    return {
+        FIX_STYLES: FIX_STYLES,
+        getWrapperTemplates: getWrapperTemplates,
+        convertFixStyle: convertFixStyle,
+        analyzeScopes: analyzeScopes,
+        planRename: planRename,
+        renameVariable: renameVariable,
+        extractVariable: extractVariable
+    };
+})();
+
+// Make available globally for the app
+if (typeof window !== 'undefined') {
+    window.DSLRefactor = DSLRefactor;
+}
+
+// Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DSLRefactor;
+}
@@ -0,0 +1,454 @@
+/*
+ * FILE: dslRuleSettings.js
+ *
+ * ARTIFACT INFO (for proper Claude artifact creation):
+ * - ID: dslRuleSettings.js
+ * - Title: dslRuleSettings
+ * - Type: application/vnd.ant.code (language: javascript)
+ *
+ * ARCHITECTURAL BOUNDARY: Suggestions (App UI)
+ * LOADED BY: dslSuggestionsApp.html, dslSuggestionsNode.js (for dslSuggestCli.js)
+ * PROVIDES: DSLRuleSettings global object
+ *
+ * DESCRIPTION:
+ * Per-rule settings chosen in the app's Rule Settings panel or imported from a
+ * profile. Overrides are kept in localStorage as { ruleName: { key: value } }
+ * (enabled, severity, autoFixEnabled, defaultAltValue from the panel; any rule
+ * key such as libraryNodes or functionNames from a profile) and only hold values
+ * that differ from the shipped dslSuggestionsConfigData. applyOverrides() merges
+ * them over the shipped rule configs with the engine's applyConfigDefaults() and
+ * returns a new config object; the shipped config is never modified.
+ *
+ * A preset from config.presets (performance, safety, style, strict) can be chosen
+ * as the base: applyPreset() applies it with the engine's applyConfigPreset() and
+ * the overrides then hold the values that differ from the preset.
+ *
+ * Profiles are JSON files for sharing settings between installations:
+ *   { "type": "dsl-suggestions-profile", "formatVersion": 1, "name": "...",
+ *     "extends": "performance",
+ *     "suggestionRules": { "nonOptimalNodeAccess": { "libraryNodes": [...] } } }
+ * exportProfile() writes either the overrides or every rule's effective values;
+ * "extends" (optional) names the preset the profile builds on. validateProfile()
+ * rejects other top-level keys and checks the rules with the engine's
+ * validateSuggestionsConfig() (the rules' config schemas). A valid profile is
+ * reduced to a preset and overrides. compareConfigs() lists what applying it
+ * would change.
+ * Version tracking: See dslSuggestionsApp.html for app version.
+ */
+
+var DSLRuleSettings = (function() {
+    'use strict';
+
+    var STORAGE_KEY = 'dslSuggestions.ruleSettings';
+    var PRESET_STORAGE_KEY = 'dslSuggestions.rulePreset';
+    var PROFILE_TYPE = 'dsl-suggestions-profile';
+    var PROFILE_FORMAT_VERSION = 1;
+    var PROFILE_KEYS = ['type', 'formatVersion', 'name', 'exported', 'extends', 'suggestionRules'];
+
+    // Settings the panel edits, in display order
+    var KEYS = ['enabled', 'severity', 'autoFixEnabled', 'defaultAltValue'];
+    var SEVERITIES = ['error', 'warning', 'info'];
+
+    // localStorage can be missing or throw (privacy modes, some file:// pages)
+    function getStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function isStringArray(value) {
+        return Array.isArray(value) && value.every(function(item) {
+            return typeof item === 'string';
+        });
+    }
+
+    function isStringMap(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return false;
+        }
+        for (var key in value) {
+            if (value.hasOwnProperty(key) && typeof value[key] !== 'string') {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    function sameValue(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    // Panel keys have a fixed type; other keys may hold any setting value
+    function isValidValue(key, value) {
+        if (key === 'severity') {
+            return SEVERITIES.indexOf(value) !== -1;
+        }
+        if (key === 'defaultAltValue') {
+            return typeof value === 'string';
+        }
+        if (key === 'enabled' || key === 'autoFixEnabled') {
+            return typeof value === 'boolean';
+        }
+        return typeof value === 'string' || typeof value === 'boolean' || typeof value === 'number' ||
+               isStringArray(value) || isStringMap(value);
+    }
+
+    // Drop values of the wrong type (hand-edited or older storage)
+    function sanitize(overrides) {
+        var clean = {};
+        if (!overrides || typeof overrides !== 'object') {
+            return clean;
+        }
+
+        for (var ruleName in overrides) {
+            if (!overrides.hasOwnProperty(ruleName) || !overrides[ruleName] || typeof overrides[ruleName] !== 'object') {
+                continue;
+            }
+
+            var rule = {};
+            var count = 0;
+            for (var key in overrides[ruleName]) {
+                if (overrides[ruleName].hasOwnProperty(key) && isValidValue(key, overrides[ruleName][key])) {
+                    rule[key] = overrides[ruleName][key];
+                    count++;
+                }
+            }
+            if (count > 0) {
+                clean[ruleName] = rule;
+            }
+        }
+
+        return clean;
+    }
+
+    /**
+     * Overrides saved by the panel ({} when there are none or storage is unavailable)
+     */
+    function load() {
+        var storage = getStorage();
+        if (!storage) {
+            return {};
+        }
+
+        try {
+            return sanitize(JSON.parse(storage.getItem(STORAGE_KEY) || '{}'));
+        } catch (error) {
+            console.warn('[RuleSettings] Ignoring unreadable saved settings:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Save overrides; an empty set removes the stored entry
+     * @returns {boolean} False when storage is unavailable
+     */
+    function save(overrides) {
+        var storage = getStorage();
+        if (!storage) {
+            return false;
+        }
+
+        var clean = sanitize(overrides);
+        try {
+            if (Object.keys(clean).length === 0) {
+                storage.removeItem(STORAGE_KEY);
+            } else {
+                storage.setItem(STORAGE_KEY, JSON.stringify(clean));
+            }
+            return true;
+        } catch (error) {
+            console.warn('[RuleSettings] Could not save settings:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Preset chosen in the panel (null when none is saved)
+     */
+    function loadPreset() {
+        var storage = getStorage();
+        if (!storage) {
+            return null;
+        }
+
+        try {
+            return storage.getItem(PRESET_STORAGE_KEY) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Save the chosen preset; null removes the stored entry
+     * @returns {boolean} False when storage is unavailable
+     */
+    function savePreset(presetName) {
+        var storage = getStorage();
+        if (!storage) {
+            return false;
+        }
+
+        try {
+            if (presetName) {
+                storage.setItem(PRESET_STORAGE_KEY, presetName);
+            } else {
+                storage.removeItem(PRESET_STORAGE_KEY);
+            }
+            return true;
+        } catch (error) {
+            console.warn('[RuleSettings] Could not save preset:', error.message);
+            return false;
+        }
+    }
+
+    function clear() {
+        var cleared = save({});
+        return savePreset(null) && cleared;
+    }
+
+    /**
+     * Presets in config as [{ name, label, description }], in config order
+     */
+    function listPresets(config) {
+        var presets = (config && config.presets) || {};
+        return Object.keys(presets).map(function(name) {
+            return { name: name, label: presets[name].label || name, description: presets[name].description || '' };
+        });
+    }
+
+    /**
+     * Config with the preset applied; the config itself when presetName is empty or
+     * not one of config.presets (e.g. a saved preset removed from the config)
+     */
+    function applyPreset(config, presetName) {
+        return (presetName && applyConfigPreset(config, presetName)) || config;
+    }
+
+    /**
+     * Value of a setting for a rule in config, including config.defaults
+     */
+    function getSetting(config, ruleName, key) {
+        var ruleConfig = config && config.suggestionRules && config.suggestionRules[ruleName];
+        if (!ruleConfig) {
+            return undefined;
+        }
+
+        var merged = applyConfigDefaults(ruleConfig, config.defaults);
+        return merged[key];
+    }
+
+    /**
+     * Shipped config with the overrides merged over its rule configs
+     * @param {object} config - Shipped config (dslSuggestionsConfigData)
+     * @param {object} overrides - From load()
+     * @returns {object} New config sharing everything but the overridden rules
+     */
+    function applyOverrides(config, overrides) {
+        var result = {};
+        for (var key in config) {
+            if (config.hasOwnProperty(key)) {
+                result[key] = config[key];
+            }
+        }
+
+        result.suggestionRules = {};
+        var rules = config.suggestionRules || {};
+        for (var ruleName in rules) {
+            if (!rules.hasOwnProperty(ruleName)) {
+                continue;
+            }
+            result.suggestionRules[ruleName] = overrides && overrides[ruleName] ?
+                applyConfigDefaults(overrides[ruleName], rules[ruleName]) :
+                rules[ruleName];
+        }
+
+        return result;
+    }
+
+    /**
+     * Profile for the current settings
+     * @param {object} config - Shipped config
+     * @param {object} overrides - From load()
+     * @param {object} options - { name, preset: written as "extends",
+     *   full: true to write every rule's effective values }
+     */
+    function exportProfile(config, overrides, options) {
+        options = options || {};
+
+        var profile = {
+            type: PROFILE_TYPE,
+            formatVersion: PROFILE_FORMAT_VERSION,
+            name: options.name || 'DSL Suggestions settings',
+            exported: new Date().toISOString()
+        };
+        if (options.preset) {
+            profile.extends = options.preset;
+        }
+        profile.suggestionRules = {};
+
+        var rules = options.full ?
+            applyOverrides(applyPreset(config, options.preset), overrides).suggestionRules :
+            sanitize(overrides);
+        for (var ruleName in rules) {
+            if (rules.hasOwnProperty(ruleName)) {
+                profile.suggestionRules[ruleName] = options.full ?
+                    applyConfigDefaults(rules[ruleName], config.defaults) :
+                    rules[ruleName];
+            }
+        }
+
+        return profile;
+    }
+
+    /**
+     * Check a parsed profile against the rules' config schemas.
+     * @returns {object} { errors: [message], name, preset, overrides } - preset is the
+     *   profile's "extends" (or null); overrides holds only the values that differ from
+     *   the shipped config with that preset (empty when there are errors)
+     */
+    function validateProfile(profile, config) {
+        var errors = [];
+        var overrides = {};
+
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            return { errors: ['Profile must be a JSON object'], name: null, preset: null, overrides: {} };
+        }
+        // Reported like unknown rule settings, e.g. "preset" written for "extends"
+        for (var profileKey in profile) {
+            if (profile.hasOwnProperty(profileKey) && PROFILE_KEYS.indexOf(profileKey) === -1) {
+                errors.push(profileKey + ' is not a known setting (profile keys: ' + PROFILE_KEYS.join(', ') + ')');
+            }
+        }
+        if (profile.type !== undefined && profile.type !== PROFILE_TYPE) {
+            errors.push('type: expected "' + PROFILE_TYPE + '", found "' + profile.type + '"');
+        }
+        if (profile.formatVersion !== undefined && profile.formatVersion > PROFILE_FORMAT_VERSION) {
+            errors.push('formatVersion: ' + profile.formatVersion + ' is newer than this app supports (' +
+                PROFILE_FORMAT_VERSION + ')');
+        }
+
+        var preset = profile.extends === undefined ? null : profile.extends;
+        if (preset !== null && !applyConfigPreset(config, preset)) {
+            errors.push('extends: unknown preset "' + preset + '" (available: ' +
+                listPresets(config).map(function(item) {
+                    return item.name;
+                }).join(', ') + ')');
+            preset = null;
+        }
+
+        // A profile may consist of a preset only
+        var rules = profile.suggestionRules;
+        if (rules === undefined && profile.extends !== undefined) {
+            rules = {};
+        }
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            errors.push('suggestionRules: missing or not an object');
+            rules = {};
+        }
+
+        // Same schema check as the config itself gets when the engine loads
+        errors = errors.concat(validateSuggestionsConfig({ suggestionRules: rules }, { partial: true }));
+
+        var base = applyPreset(config, preset);
+        var shippedRules = base.suggestionRules || {};
+        for (var ruleName in rules) {
+            if (!rules.hasOwnProperty(ruleName) || !shippedRules.hasOwnProperty(ruleName)) {
+                continue;
+            }
+
+            var shipped = applyConfigDefaults(shippedRules[ruleName], base.defaults);
+            for (var key in rules[ruleName]) {
+                if (rules[ruleName].hasOwnProperty(key) && !sameValue(rules[ruleName][key], shipped[key])) {
+                    overrides[ruleName] = overrides[ruleName] || {};
+                    overrides[ruleName][key] = rules[ruleName][key];
+                }
+            }
+        }
+
+        return {
+            errors: errors,
+            name: typeof profile.name === 'string' ? profile.name : null,
+            preset: errors.length > 0 ? null : preset,
+            overrides: errors.length > 0 ? {} : overrides
+        };
+    }
+
+    /**
+     * Per-rule differences between two configs
+     * @returns {array} [{ rule, label, changes: [{ key, from, to, added, removed }] }];
+     *   added/removed are set for lists of strings
+     */
+    function compareConfigs(fromConfig, toConfig) {
+        var result = [];
+        var rules = toConfig.suggestionRules || {};
+
+        for (var ruleName in rules) {
+            if (!rules.hasOwnProperty(ruleName)) {
+                continue;
+            }
+
+            var before = applyConfigDefaults((fromConfig.suggestionRules || {})[ruleName] || {}, fromConfig.defaults);
+            var after = applyConfigDefaults(rules[ruleName], toConfig.defaults);
+            var keys = Object.keys(after);
+            Object.keys(before).forEach(function(key) {
+                if (keys.indexOf(key) === -1) {
+                    keys.push(key);
+                }
+            });
+
+            var changes = [];
+            for (var i = 0; i < keys.length; i++) {
+                var key = keys[i];
+                if (sameValue(before[key], after[key])) {
+                    continue;
+                }
+
+                var change = { key: key, from: before[key], to: after[key] };
+                if (isStringArray(before[key]) && isStringArray(after[key])) {
+                    change.added = after[key].filter(function(item) {
+                        return before[key].indexOf(item) === -1;
+                    });
+                    change.removed = before[key].filter(function(item) {
+                        return after[key].indexOf(item) === -1;
+                    });
+                }
+                changes.push(change);
+            }
+
+            if (changes.length > 0) {
+                result.push({ rule: ruleName, label: rules[ruleName].label || ruleName, changes: changes });
+            }
+        }
+
+        return result;
+    }
+
+    return {
+        KEYS: KEYS,
+        SEVERITIES: SEVERITIES,
+        load: load,
+        save: save,
+        clear: clear,
+        loadPreset: loadPreset,
+        savePreset: savePreset,
+        listPresets: listPresets,
+        applyPreset: applyPreset,
+        getSetting: getSetting,
+        applyOverrides: applyOverrides,
+        exportProfile: exportProfile,
+        validateProfile: validateProfile,
+        compareConfigs: compareConfigs
+    };
+})();
+
+// Make available globally for the app
+if (typeof window !== 'undefined') {
+    window.DSLRuleSettings = DSLRuleSettings;
+}
+
+// Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DSLRuleSettings;
+}
@@ -13,6 +13,7 @@
  * DESCRIPTION:
  * Shared utility functions for DSL suggestion rules.
  * Trimmed from 440 lines to ~120 lines by keeping only the functions actually used.
+ * Validation is used by the engine's config schema check (validateSuggestionsConfig).
  * Version tracking: See dslSuggestionsApp.html for app version.
  */
 
@@ -126,6 +127,153 @@ var DSLRuleUtils = {
             }
             return result;
         }
+    },
+
+    // =========================================================================
+    // EDIT UTILITIES
+    // =========================================================================
+    Edit: {
+        /**
+         * Build a text edit for a suggestion's edits list
+         * @param {object} start - {line (1-based), column (0-based)}
+         * @param {object} end - {line, column}, exclusive
+         * @param {string} newText - Replacement text ('' deletes the range)
+         * @returns {object} { range: { start, end }, newText }
+         */
+        replace: function(start, end, newText) {
+            return {
+                range: {
+                    start: { line: start.line, column: start.column },
+                    end: { line: end.line, column: end.column }
+                },
+                newText: newText
+            };
+        },
+
+        /**
+         * Use the same edits for every fix style
+         * @param {array} edits - Edits built with replace()
+         * @returns {object} { traditional: edits, method: edits }
+         */
+        forAllStyles: function(edits) {
+            return {
+                traditional: edits,
+                method: edits
+            };
+        },
+
+        /**
+         * Replace each range with a fix template, for every fix style
+         * @param {object} templates - ruleConfig.fixTemplates ({ traditional, method })
+         * @param {string} fallback - Template for a style without one
+         * @param {object} values - Placeholder values for the template
+         * @param {array} ranges - [{ start, end }] positions to replace
+         * @returns {object} { traditional: edits, method: edits }
+         */
+        fromTemplates: function(templates, fallback, values, ranges) {
+            var result = {};
+            var styles = ['traditional', 'method'];
+
+            for (var i = 0; i < styles.length; i++) {
+                var template = (templates && templates[styles[i]]) || fallback;
+                var newText = DSLRuleUtils.Message.replacePlaceholders(template, values);
+                result[styles[i]] = [];
+                for (var r = 0; r < ranges.length; r++) {
+                    result[styles[i]].push(DSLRuleUtils.Edit.replace(ranges[r].start, ranges[r].end, newText));
+                }
+            }
+
+            return result;
+        },
+
+        /**
+         * Value a wrapping fix inserts for {defaultAltValue}
+         * @param {string} value - ruleConfig.defaultAltValue
+         * @param {string} placeholder - Numbered placeholder, e.g. DEF_VAL_NULL_SAFETY_1
+         * @returns {string} The value when it is a single DSL expression, otherwise the
+         *   placeholder (a description such as "ref, string, etc." is not inserted)
+         */
+        defaultValue: function(value, placeholder) {
+            if (typeof value !== 'string' || !value.trim() || typeof DSLParser === 'undefined') {
+                return placeholder;
+            }
+
+            var parsed = DSLParser.parse(value);
+            var usable = parsed.errors.length === 0 && parsed.body.length === 1 && parsed.body[0].type !== 'Assignment';
+            return usable ? value : placeholder;
+        }
+    },
+
+    // =========================================================================
+    // VALIDATION UTILITIES
+    // =========================================================================
+    Validation: {
+        /**
+         * Validate a required property exists
+         * @param {object} obj - Object to check
+         * @param {string} prop - Property name
+         * @param {string} path - Path for error message
+         * @returns {string|null} Error message or null if valid
+         */
+        validateRequiredProperty: function(obj, prop, path) {
+            if (!obj || !obj.hasOwnProperty(prop)) {
+                return path + '.' + prop + ' is required';
+            }
+            return null;
+        },
+
+        /**
+         * Validate a boolean property
+         * @param {*} value - Value to check
+         * @param {string} path - Path for error message
+         * @returns {string|null} Error message or null if valid
+         */
+        validateBoolean: function(value, path) {
+            if (typeof value !== 'boolean') {
+                return path + ' must be a boolean';
+            }
+            return null;
+        },
+
+        /**
+         * Validate an enum property
+         * @param {*} value - Value to check
+         * @param {array} validValues - Array of valid values
+         * @param {string} path - Path for error message
+         * @returns {string|null} Error message or null if valid
+         */
+        validateEnum: function(value, validValues, path) {
+            if (validValues.indexOf(value) === -1) {
+                return path + ' must be one of: ' + validValues.join(', ');
+            }
+            return null;
+        },
+
+        /**
+         * Validate a string property
+         * @param {*} value - Value to check
+         * @param {string} path - Path for error message
+         * @returns {string|null} Error message or null if valid
+         */
+        validateString: function(value, path) {
+            if (typeof value !== 'string') {
+                return path + ' must be a string';
+            }
+            return null;
+        },
+
+        /**
+         * Validate an array property
+         * @param {*} value - Value to check
+         * @param {string} path - Path for error message
+         * @returns {string|null} Error message or null if valid
+         */
+        validateArray: function(value, path) {
+            if (!Array.isArray(value)) {
+                return path + ' must be an array';
+            }
+            return null;
+        }
     }
 };
 
@@ -1,7 +1,7 @@
 /*
  * FILE: dslRules.js
- * VERSION: v1.01
- * LAST UPDATED: 2025-10-29
+ * VERSION: v1.11
+ * LAST UPDATED: 2026-10-19
  *
  * ARTIFACT INFO (for proper Claude artifact creation):
  * - ID: dslRules.js
@@ -22,23 +22,96 @@
  * - No registry file needed
  * - Simpler debugging and maintenance
  * - Faster page load
+ *
+ * HOW THE RULES READ THE CODE:
+ * - divisionOperations and nullAccessProtection check the logical statements the
+ *   engine builds from the parsed tree (checkStatement)
+ * - extraneousBlocks walks the parsed tree (checkAST)
+ * - variableNaming finds assignments in the line text; its rename resolves the
+ *   variable's references through the tree's block()/foreach() scopes
+ * - queryFunctions, uniqueKey, nonOptimalNodeAccess and mathOperationsParens
+ *   still scan each line's text (check()), skipping matches inside strings
+ * Only the checkStatement rules see an expression split across lines as a whole;
+ * the line rules check each line on its own, so e.g. mathOperationsParens misses
+ * "a +" followed by "b * c" on the next line.
+ *
+ * v1.02:
+ * - divisionOperations and nullAccessProtection implement checkStatement() so a
+ *   division or Node.prop chain split across lines is checked as one expression
+ *
+ * v1.03:
+ * - nullAccessProtection fix honours the fixStyle passed by the engine before the
+ *   UI form flag, so headless callers can choose traditional or method
+ * - divisionOperations fix passes the matched text (not the match array) to
+ *   _isAlreadyWrapped, which threw as soon as auto-fix was enabled
+ *
+ * v1.04:
+ * - divisionOperations keeps balanced parentheses inside the expression and treats
+ *   the method form (expression).ifNaN(...) as already wrapped
+ * - nullAccessProtection skips accesses already wrapped in a skipIfWrappedIn function
+ *   (either form), so repeated fix passes settle instead of nesting ifNull()
+ *
+ * v1.05:
+ * - Suggestions carry edits for each fix style ({traditional: [...], method: [...]},
+ *   each {range: {start, end}, newText}); the engine applies those instead of fix()
+ * - Instance counters are reset by the engine, not on line 1
+ * - variableNaming's edits rename identifier tokens only (it still finds the
+ *   assignment in the line text), extraneousBlocks unwraps a single-argument
+ *   block() (new checkAST),
+ *   mathOperationsParens and the wrapping rules edit just the matched expression
+ *
+ * v1.06:
+ * - Rules whose results depend only on the checked statement or line are marked
+ *   cacheable, so the engine can reuse them for unchanged statements
+ *
+ * v1.07:
+ * - divisionOperations and nullAccessProtection fixes insert ruleConfig.defaultAltValue
+ *   when one is configured (rule settings panel); otherwise the numbered
+ *   DEF_VAL_... placeholders as before
+ *
+ * v1.08:
+ * - Each rule declares configSchema: its settings beyond the common ones and the
+ *   placeholders its message and fix templates can use (validateSuggestionsConfig)
+ *
+ * v1.09:
+ * - variableNaming renames the variable through block()/foreach() scopes
+ *   (DSLRefactor) instead of every identifier of the same name, and offers no fix
+ *   when the camelCase name is already taken; fix() uses the same rename
+ *
+ * v1.10:
+ * - extraneousBlocks offers no fix for a block() whose argument is or contains an
+ *   assignment (the variable would leave the block's scope); fix() applies the same
+ *   unwrap as the edits instead of returning the code unchanged
+ * - divisionOperations and nullAccessProtection insert the config's defaultAltValue
+ *   only when it is a single DSL expression ("0.0"); a description such as the
+ *   shipped "ref, string, etc." keeps the numbered DEF_VAL_... placeholders
+ *
+ * v1.11:
+ * - variableNaming keeps the scopes it renames through on the analysis context
+ *   instead of on the shared rule object, so analyses don't see each other's tree
  */
 
 var DSL_RULES = [
     // Rule 1: Division Operations
     {
         name: 'divisionOperations',
-        version: 'v2.00',
+        version: 'v2.06',
         _instanceCounter: 0,
+        // Results depend only on the checked statement/line text
+        cacheable: true,
+        // Settings beyond the common ones, and the placeholders each template can use
+        configSchema: {
+            suggestion: { type: 'template', placeholders: ['expression'] },
+            fixTemplates: { type: 'templates', placeholders: ['expression', 'defaultAltValue'] },
+            skipIfWrappedIn: 'stringArray',
+            errorOnZeroLiteral: 'boolean',
+            errorMessage: { type: 'template', placeholders: ['expression'] },
+            defaultAltValue: 'string'
+        },
 
         check: function(line, lineNumber, allLines, context, config) {
             var suggestions = [];
 
-            // Reset counter at start of new analysis
-            if (lineNumber === 1) {
-                this._instanceCounter = 0;
-            }
-
             if (context && context.isInComment) {
                 return suggestions;
             }
@@ -56,41 +129,79 @@ var DSL_RULES = [
 
             var lineWithoutStrings = DSLRuleUtils.String.removeStringLiterals(line);
 
+            return this._findDivisions(line, lineWithoutStrings, line, function(offset) {
+                return { line: lineNumber, column: offset };
+            }, ruleConfig);
+        },
+
+        // v2.01 - Logical statements let a division inside a multi-line block() argument
+        // be seen as one expression
+        checkStatement: function(statement, context, config) {
+            var ruleConfig = config.suggestionRules.divisionOperations;
+
+            if (!ruleConfig || !ruleConfig.enabled) {
+                return [];
+            }
+
+            // Comments are already masked out of statement.code
+            var codeWithoutStrings = DSLRuleUtils.String.removeStringLiterals(statement.code);
+
+            return this._findDivisions(statement.code, codeWithoutStrings, statement.text, statement.positionAt, ruleConfig);
+        },
+
+        // Find divisions in text. Positions come from textWithoutStrings, the suggested
+        // expression is taken from originalText at the same offsets.
+        _findDivisions: function(text, textWithoutStrings, originalText, positionAt, ruleConfig) {
+            var suggestions = [];
+
             // Find all division operators (skip /=)
             var divisionPattern = /\/(?!=)/g;  // Match / but not /=
             var match;
             var processedExpressions = {};  // Track already processed expressions
+            var occurrences = [];  // {suggestion, ranges} per reported expression
 
-            while ((match = divisionPattern.exec(lineWithoutStrings)) !== null) {
+            while ((match = divisionPattern.exec(textWithoutStrings)) !== null) {
                 var divPosition = match.index;
 
-                if (DSLRuleUtils.String.isInsideString(line, divPosition)) {
+                if (DSLRuleUtils.String.isInsideString(text, divPosition)) {
                     continue;
                 }
 
                 // Extract the full expression containing this division
-                var expression = this._extractExpression(lineWithoutStrings, divPosition);
+                var bounds = this._extractExpressionBounds(textWithoutStrings, divPosition);
+                var rawExpression = originalText.substring(bounds.start, bounds.end);
+                var expression = rawExpression.trim();
 
                 if (!expression || expression.trim() === '') {
                     continue;
                 }
 
-                // Skip if we've already processed this expression
-                if (processedExpressions[expression]) {
+                var expressionStart = bounds.start + rawExpression.indexOf(expression);
+                var expressionEnd = expressionStart + expression.length;
+
+                // v2.04 - A repeated expression is fixed along with the first suggestion for it
+                if (processedExpressions.hasOwnProperty(expression)) {
+                    var occurrence = processedExpressions[expression];
+                    if (occurrence && occurrence.starts.indexOf(expressionStart) === -1 &&
+                        !this._isWrappedAt(originalText, expressionStart, expressionEnd, ruleConfig)) {
+                        occurrence.starts.push(expressionStart);
+                        occurrence.ranges.push({ start: positionAt(expressionStart), end: positionAt(expressionEnd) });
+                    }
                     continue;
                 }
-                processedExpressions[expression] = true;
+                processedExpressions[expression] = null;
 
                 // Check if expression is already wrapped
-                if (this._isAlreadyWrapped(lineWithoutStrings, expression, ruleConfig)) {
+                if (this._isAlreadyWrapped(originalText, expression, ruleConfig)) {
                     continue;
                 }
 
                 var suggestionMsg = ruleConfig.suggestion ||
                     'Division operation detected. Consider using ifNaN({expression}, 0) to prevent division by zero errors.';
 
+                // Multi-line expressions are shown on one line in the message
                 suggestionMsg = DSLRuleUtils.Message.replacePlaceholders(suggestionMsg, {
-                    expression: expression
+                    expression: expression.replace(/\s*\n\s*/g, ' ')
                 });
 
                 // Increment instance counter
@@ -100,9 +211,11 @@ var DSL_RULES = [
                 var hasDifferentForms = ruleConfig.fixTemplates &&
                                        ruleConfig.fixTemplates.traditional !== ruleConfig.fixTemplates.method;
 
-                suggestions.push({
-                    line: lineNumber,
-                    column: divPosition,
+                var position = positionAt(divPosition);
+
+                var suggestion = {
+                    line: position.line,
+                    column: position.column,
                     message: suggestionMsg,
                     severity: ruleConfig.severity || 'warning',
                     rule: this.name,
@@ -111,22 +224,47 @@ var DSL_RULES = [
                     hasDifferentForms: hasDifferentForms,
                     original: expression,
                     instanceNumber: this._instanceCounter
-                });
+                };
+                suggestions.push(suggestion);
+
+                processedExpressions[expression] = {
+                    suggestion: suggestion,
+                    starts: [expressionStart],
+                    ranges: [{ start: positionAt(expressionStart), end: positionAt(expressionEnd) }]
+                };
+                occurrences.push(processedExpressions[expression]);
+            }
+
+            // v2.04 - Edits wrap every unwrapped occurrence, sharing one placeholder
+            // v2.05 - A configured defaultAltValue replaces the numbered placeholder
+            // v2.06 - Only when it is a single DSL expression (DSLRuleUtils.Edit.defaultValue)
+            for (var i = 0; i < occurrences.length; i++) {
+                var reported = occurrences[i].suggestion;
+                reported.edits = DSLRuleUtils.Edit.fromTemplates(ruleConfig.fixTemplates, 'ifNaN({expression}, {defaultAltValue})', {
+                    expression: reported.original,
+                    defaultAltValue: DSLRuleUtils.Edit.defaultValue(ruleConfig.defaultAltValue, 'DEF_VAL_DIV_BY_ZERO_' + reported.instanceNumber)
+                }, occurrences[i].ranges);
             }
 
             return suggestions;
         },
 
-        _extractExpression: function(line, divPosition) {
+        _extractExpressionBounds: function(line, divPosition) {
             // Delimiters that mark expression boundaries
             var startDelimiters = ['=', ',', '('];
             var endDelimiters = [',', ')'];
 
+            // v2.03 - Balanced parentheses are part of the expression, e.g. (a + b) / c
             // Find start of expression (go backwards from division)
             var start = 0;
+            var depth = 0;
             for (var i = divPosition - 1; i >= 0; i--) {
                 var char = line.charAt(i);
-                if (startDelimiters.indexOf(char) !== -1) {
+                if (char === ')') {
+                    depth++;
+                } else if (char === '(' && depth > 0) {
+                    depth--;
+                } else if (depth === 0 && startDelimiters.indexOf(char) !== -1) {
                     start = i + 1;
                     break;
                 }
@@ -134,17 +272,20 @@ var DSL_RULES = [
 
             // Find end of expression (go forwards from division)
             var end = line.length;
+            depth = 0;
             for (var i = divPosition + 1; i < line.length; i++) {
                 var char = line.charAt(i);
-                if (endDelimiters.indexOf(char) !== -1) {
+                if (char === '(') {
+                    depth++;
+                } else if (char === ')' && depth > 0) {
+                    depth--;
+                } else if (depth === 0 && endDelimiters.indexOf(char) !== -1) {
                     end = i;
                     break;
                 }
             }
 
-            // Extract and trim the expression
-            var expression = line.substring(start, end).trim();
-            return expression;
+            return { start: start, end: end };
         },
 
         _isAlreadyWrapped: function(line, expression, ruleConfig) {
@@ -162,6 +303,35 @@ var DSL_RULES = [
                 if (wrappedPattern.test(line)) {
                     return true;
                 }
+
+                // v2.03 - Method form: (expression).ifNaN(...)
+                var methodPattern = new RegExp('\\(\\s*' + escapedExpression + '\\s*\\)\\s*\\.\\s*' + funcName + '\\s*\\(');
+                if (methodPattern.test(line)) {
+                    return true;
+                }
+            }
+
+            return false;
+        },
+
+        // v2.04 - Whether the expression at start..end is the argument of a skip function
+        // (traditional form) or the parenthesised object of one (method form)
+        _isWrappedAt: function(text, start, end, ruleConfig) {
+            var skipFunctions = ruleConfig.skipIfWrappedIn || [];
+            var before = text.substring(0, start);
+            var after = text.substring(end);
+
+            for (var i = 0; i < skipFunctions.length; i++) {
+                var funcName = DSLRuleUtils.Regex.escape(skipFunctions[i]);
+
+                if (new RegExp('\\b' + funcName + '\\s*\\(\\s*$').test(before)) {
+                    return true;
+                }
+
+                if (/\(\s*$/.test(before) &&
+                    new RegExp('^\\s*\\)\\s*\\.\\s*' + funcName + '\\s*\\(').test(after)) {
+                    return true;
+                }
             }
 
             return false;
@@ -189,11 +359,16 @@ var DSL_RULES = [
 
             // Generate fixed code based on template with sequenced placeholder
             var instanceNum = suggestion.instanceNumber || 1;
-            var defaultValue = 'DEF_VAL_DIV_BY_ZERO_' + instanceNum;
+            var defaultValue = DSLRuleUtils.Edit.defaultValue(ruleConfig.defaultAltValue, 'DEF_VAL_DIV_BY_ZERO_' + instanceNum);
             var fixedCode = template
                 .replace('{expression}', suggestion.original)
                 .replace('{defaultAltValue}', defaultValue);
 
+            // v2.01 - Expressions spanning several lines can't be matched line by line
+            if (suggestion.original.indexOf('\n') !== -1) {
+                return this._fixMultiLine(code, suggestion.original, fixedCode, ruleConfig);
+            }
+
             // Process line by line to avoid double-wrapping when multiple identical expressions exist
             var lines = code.split('\n');
             var modified = false;
@@ -207,7 +382,7 @@ var DSL_RULES = [
 
                 while ((match = pattern.exec(line)) !== null) {
                     // Check if this specific occurrence is already wrapped
-                    if (!this._isAlreadyWrapped(line, match, ruleConfig)) {
+                    if (!this._isAlreadyWrapped(line, match[0], ruleConfig)) {
                         // Replace this occurrence
                         newLine += line.substring(lastIndex, match.index) + fixedCode;
                         lastIndex = match.index + match[0].length;
@@ -225,6 +400,26 @@ var DSL_RULES = [
             }
 
             return lines.join('\n');
+        },
+
+        _fixMultiLine: function(code, original, fixedCode, ruleConfig) {
+            var skipFunctions = ruleConfig.skipIfWrappedIn || [];
+            var result = '';
+            var lastIndex = 0;
+            var index;
+
+            while ((index = code.indexOf(original, lastIndex)) !== -1) {
+                // Already wrapped if a skip function's "(" directly precedes this occurrence
+                var before = code.substring(lastIndex, index);
+                var wrapped = skipFunctions.some(function(funcName) {
+                    return new RegExp('\\b' + DSLRuleUtils.Regex.escape(funcName) + '\\s*\\(\\s*$').test(before);
+                });
+
+                result += before + (wrapped ? original : fixedCode);
+                lastIndex = index + original.length;
+            }
+
+            return result + code.substring(lastIndex);
         }
     },
 
@@ -233,15 +428,16 @@ var DSL_RULES = [
         name: 'queryFunctions',
         version: 'v2.00',
         _instanceCounter: 0,
+        // Results depend only on the checked statement/line text
+        cacheable: true,
+        configSchema: {
+            suggestion: { type: 'template', placeholders: ['function'] },
+            functionNames: 'stringArray'
+        },
 
         check: function(line, lineNumber, allLines, context, config) {
             var suggestions = [];
 
-            // Reset counter at start of new analysis
-            if (lineNumber === 1) {
-                this._instanceCounter = 0;
-            }
-
             if (context && context.isInComment) {
                 return suggestions;
             }
@@ -307,15 +503,15 @@ var DSL_RULES = [
         name: 'uniqueKey',
         version: 'v2.00',
         _instanceCounter: 0,
+        // Results depend only on the checked statement/line text
+        cacheable: true,
+        configSchema: {
+            function: 'string'
+        },
 
         check: function(line, lineNumber, allLines, context, config) {
             var suggestions = [];
 
-            // Reset counter at start of new analysis
-            if (lineNumber === 1) {
-                this._instanceCounter = 0;
-            }
-
             if (context && context.isInComment) {
                 return suggestions;
             }
@@ -367,17 +563,17 @@ var DSL_RULES = [
     // Rule 4: Variable Naming
     {
         name: 'variableNaming',
-        version: 'v2.00',
+        version: 'v2.03',
         _instanceCounter: 0,
+        configSchema: {
+            suggestion: { type: 'template', placeholders: ['varName', 'correctedName'] },
+            fixTemplates: { type: 'templates', placeholders: ['varName', 'correctedName'] },
+            separatorCharacters: 'stringArray'
+        },
 
         check: function(line, lineNumber, allLines, context, config) {
             var suggestions = [];
 
-            // Reset counter at start of new analysis
-            if (lineNumber === 1) {
-                this._instanceCounter = 0;
-            }
-
             if (context && context.isInComment) {
                 return suggestions;
             }
@@ -427,6 +623,13 @@ var DSL_RULES = [
                     var hasDifferentForms = ruleConfig.fixTemplates &&
                                            ruleConfig.fixTemplates.traditional !== ruleConfig.fixTemplates.method;
 
+                    var nameColumn = position + match[0].lastIndexOf(varName);
+                    var rename = this._planRename(context, lineNumber, nameColumn, camelCaseName);
+
+                    if (rename.error) {
+                        suggestionMsg += ' Not renamed automatically: ' + rename.error + '.';
+                    }
+
                     suggestions.push({
                         line: lineNumber,
                         column: position,
@@ -434,10 +637,15 @@ var DSL_RULES = [
                         severity: ruleConfig.severity || 'info',
                         rule: this.name,
                         label: ruleConfig.label || this.name,
-                        fixable: true,  // Show as fixable for display purposes (shows both forms)
+                        fixable: !rename.error,
                         hasDifferentForms: hasDifferentForms,
                         original: varName,
-                        instanceNumber: this._instanceCounter
+                        fixed: camelCaseName,
+                        instanceNumber: this._instanceCounter,
+                        edits: rename.error ? null : DSLRuleUtils.Edit.fromTemplates(ruleConfig.fixTemplates, '{correctedName}', {
+                            varName: varName,
+                            correctedName: camelCaseName
+                        }, rename.ranges)
                     });
                 }
             }
@@ -445,6 +653,45 @@ var DSL_RULES = [
             return suggestions;
         },
 
+        // v2.02 - Ranges of the identifiers that refer to the variable assigned at
+        // lineNumber/column, resolved through block()/foreach() scopes, so strings,
+        // comments, .property names and other blocks' variables of the same name are
+        // left alone. error says why the rename is refused (e.g. newName is taken)
+        _planRename: function(context, lineNumber, column, newName) {
+            if (typeof DSLRefactor === 'undefined' || !context || !context.ast) {
+                return { ranges: [], error: 'The code could not be analyzed' };
+            }
+
+            // v2.03 - Scopes are worked out once per analysis, on its context
+            if (!context._variableScopes) {
+                context._variableScopes = DSLRefactor.analyzeScopes(context.ast, context.lines.join('\n'));
+            }
+            var scopes = context._variableScopes;
+
+            var identifiers = scopes.identifiers;
+            var offset = -1;
+            for (var i = 0; i < identifiers.length; i++) {
+                var start = identifiers[i].node.loc.start;
+                if (start.line === lineNumber && start.column === column) {
+                    offset = identifiers[i].node.start;
+                    break;
+                }
+            }
+            if (offset === -1) {
+                return { ranges: [], error: 'The assignment could not be parsed' };
+            }
+
+            var plan = DSLRefactor.planRename(scopes, offset, newName);
+            return {
+                ranges: plan.references.map(function(node) {
+                    return { start: node.loc.start, end: node.loc.end };
+                }),
+                error: plan.error
+            };
+        },
+
+        // v2.02 - Same scope-aware rename as the edits; the code is left as it is
+        // when the rename is refused
         fix: function(code, suggestion, config) {
             var ruleConfig = config.suggestionRules.variableNaming;
 
@@ -452,16 +699,24 @@ var DSL_RULES = [
                 return code;
             }
 
-            if (!suggestion.original || !suggestion.fixed) {
+            if (!suggestion.original || !suggestion.fixed || typeof DSLRefactor === 'undefined') {
                 return code;
             }
 
-            var originalPattern = new RegExp(
-                '\\b' + DSLRuleUtils.Regex.escape(suggestion.original) + '\\b',
-                'g'
-            );
+            var lines = code.split('\n');
+            var lineText = lines[suggestion.line - 1];
+            var column = lineText === undefined ? -1 : lineText.indexOf(suggestion.original, suggestion.column);
+            if (column === -1) {
+                return code;
+            }
 
-            return code.replace(originalPattern, suggestion.fixed);
+            var offset = column;
+            for (var i = 0; i < suggestion.line - 1; i++) {
+                offset += lines[i].length + 1;
+            }
+
+            var result = DSLRefactor.renameVariable(code, { offset: offset, newName: suggestion.fixed });
+            return result.error ? code : result.code;
         }
     },
 
@@ -470,15 +725,16 @@ var DSL_RULES = [
         name: 'nonOptimalNodeAccess',
         version: 'v2.00',
         _instanceCounter: 0,
+        // Results depend only on the checked statement/line text
+        cacheable: true,
+        configSchema: {
+            suggestion: { type: 'template', placeholders: ['library', 'node'] },
+            libraryNodes: 'stringArray'
+        },
 
         check: function(line, lineNumber, allLines, context, config) {
             var suggestions = [];
 
-            // Reset counter at start of new analysis
-            if (lineNumber === 1) {
-                this._instanceCounter = 0;
-            }
-
             if (context && context.isInComment) {
                 return suggestions;
             }
@@ -551,17 +807,20 @@ var DSL_RULES = [
     // Rule 6: Null Access Protection
     {
         name: 'nullAccessProtection',
-        version: 'v2.00',
+        version: 'v2.06',
         _instanceCounter: 0,
+        // Results depend only on the checked statement/line text
+        cacheable: true,
+        configSchema: {
+            suggestion: { type: 'template', placeholders: ['object', 'property', 'expression'] },
+            fixTemplates: { type: 'templates', placeholders: ['object', 'property', 'expression', 'defaultAltValue'] },
+            skipIfWrappedIn: 'stringArray',
+            defaultAltValue: 'string'
+        },
 
         check: function(line, lineNumber, allLines, context, config) {
             var suggestions = [];
 
-            // Reset counter at start of new analysis
-            if (lineNumber === 1) {
-                this._instanceCounter = 0;
-            }
-
             if (context && context.isInComment) {
                 return suggestions;
             }
@@ -573,27 +832,62 @@ var DSL_RULES = [
             }
 
             var lineWithoutStrings = DSLRuleUtils.String.removeStringLiterals(line);
-            var propertyAccessPattern = /([a-zA-Z_$][a-zA-Z0-9_$]*)\.([a-zA-Z_$][a-zA-Z0-9_$]*)/g;
+
+            return this._findPropertyAccess(line, lineWithoutStrings, function(offset) {
+                return { line: lineNumber, column: offset };
+            }, ruleConfig);
+        },
+
+        // v2.01 - Logical statements let a Node.prop chain split across lines be matched
+        checkStatement: function(statement, context, config) {
+            var ruleConfig = config.suggestionRules.nullAccessProtection;
+
+            if (!ruleConfig || !ruleConfig.enabled) {
+                return [];
+            }
+
+            // Comments are already masked out of statement.code
+            var codeWithoutStrings = DSLRuleUtils.String.removeStringLiterals(statement.code);
+
+            return this._findPropertyAccess(statement.code, codeWithoutStrings, statement.positionAt, ruleConfig);
+        },
+
+        _findPropertyAccess: function(text, textWithoutStrings, positionAt, ruleConfig) {
+            var suggestions = [];
+
+            // Whitespace is allowed around the dot so chains can continue on the next line
+            var propertyAccessPattern = /([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\.\s*([a-zA-Z_$][a-zA-Z0-9_$]*)/g;
             var match;
 
-            while ((match = propertyAccessPattern.exec(lineWithoutStrings)) !== null) {
+            while ((match = propertyAccessPattern.exec(textWithoutStrings)) !== null) {
                 var object = match[1];
                 var property = match[2];
                 var position = match.index;
 
-                if (DSLRuleUtils.String.isInsideString(line, position)) {
+                if (DSLRuleUtils.String.isInsideString(text, position)) {
+                    continue;
+                }
+
+                // Same-line whitespace around the dot is not a property access (e.g. "1 . 5")
+                if (match[0].length !== object.length + property.length + 1 && match[0].indexOf('\n') === -1) {
+                    propertyAccessPattern.lastIndex = position + object.length;
                     continue;
                 }
 
                 // Skip if this is a function call (property followed by opening parenthesis)
                 var matchEnd = position + match[0].length;
-                var nextChar = lineWithoutStrings.charAt(matchEnd);
+                var nextChar = textWithoutStrings.charAt(matchEnd);
                 if (nextChar === '(') {
                     continue; // This is a function call, not a property access concern
                 }
 
-                var hasOptionalChaining = lineWithoutStrings.indexOf(object + '?.') !== -1;
-                var hasNullCheck = this._hasNullCheck(lineWithoutStrings, object);
+                var hasOptionalChaining = textWithoutStrings.indexOf(object + '?.') !== -1;
+                var hasNullCheck = this._hasNullCheck(textWithoutStrings, object);
+
+                // v2.03 - Already protected by a fix: ifNull(Node.prop, ...) or (Node.prop).ifNull(...)
+                if (this._isAlreadyWrapped(textWithoutStrings, position, matchEnd, ruleConfig)) {
+                    continue;
+                }
 
                 if (!hasOptionalChaining && !hasNullCheck) {
                     var suggestionMsg = ruleConfig.suggestion ||
@@ -614,17 +908,27 @@ var DSL_RULES = [
                     var hasDifferentForms = ruleConfig.fixTemplates &&
                                            ruleConfig.fixTemplates.traditional !== ruleConfig.fixTemplates.method;
 
+                    var location = positionAt(position);
+                    var original = text.substring(position, matchEnd);
+
                     suggestions.push({
-                        line: lineNumber,
-                        column: position,
+                        line: location.line,
+                        column: location.column,
                         message: suggestionMsg,
                         severity: ruleConfig.severity || 'warning',
                         rule: this.name,
                         label: ruleConfig.label || this.name,
                         fixable: true,  // Show as fixable for display purposes (shows both forms)
                         hasDifferentForms: hasDifferentForms,
-                        original: expression,
-                        instanceNumber: this._instanceCounter
+                        original: original,
+                        instanceNumber: this._instanceCounter,
+                        // v2.04 - Wrap this access only (the old fix() replaced every copy in the code)
+                        edits: DSLRuleUtils.Edit.fromTemplates(ruleConfig.fixTemplates, 'ifNull({expression})', {
+                            object: object,
+                            property: property,
+                            expression: original,
+                            defaultAltValue: DSLRuleUtils.Edit.defaultValue(ruleConfig.defaultAltValue, 'DEF_VAL_NULL_SAFETY_' + this._instanceCounter)
+                        }, [{ start: location, end: positionAt(matchEnd) }])
                     });
                 }
             }
@@ -632,6 +936,29 @@ var DSL_RULES = [
             return suggestions;
         },
 
+        _isAlreadyWrapped: function(text, start, end, ruleConfig) {
+            var skipFunctions = ruleConfig.skipIfWrappedIn || [];
+            var before = text.substring(0, start);
+            var after = text.substring(end);
+
+            for (var i = 0; i < skipFunctions.length; i++) {
+                var funcName = DSLRuleUtils.Regex.escape(skipFunctions[i]);
+
+                // Traditional form: first argument of the wrapping function
+                if (new RegExp('\\b' + funcName + '\\s*\\(\\s*$').test(before)) {
+                    return true;
+                }
+
+                // Method form: (Node.prop).ifNull(...)
+                if (/\(\s*$/.test(before) &&
+                    new RegExp('^\\s*\\)\\s*\\.\\s*' + funcName + '\\s*\\(').test(after)) {
+                    return true;
+                }
+            }
+
+            return false;
+        },
+
         _hasNullCheck: function(line, varName) {
             var nullCheckPatterns = [
                 new RegExp('if\\s*\\(\\s*' + varName + '\\s*[!=]='),
@@ -717,9 +1044,9 @@ var DSL_RULES = [
             }
 
             // Get fixStyle (traditional or method)
-            // Check for forced form selection from UI
-            var fixStyle = (typeof window !== 'undefined' && window.__forceFormSelection) ||
-                          ruleConfig.fixStyle || 'traditional';
+            // Engine sets fixStyle from the style option / form selection; fall back to UI flag
+            var fixStyle = ruleConfig.fixStyle ||
+                          (typeof window !== 'undefined' && window.__forceFormSelection) || 'traditional';
             var template = ruleConfig.fixTemplates && ruleConfig.fixTemplates[fixStyle];
 
             if (!template) {
@@ -733,12 +1060,12 @@ var DSL_RULES = [
                 return code; // Can't parse, return unchanged
             }
 
-            var object = parts[0];
-            var property = parts[1];
+            var object = parts[0].trim();
+            var property = parts[1].trim();
 
             // Use rule-specific sequenced placeholder
             var instanceNum = suggestion.instanceNumber || 1;
-            var defaultAltValue = 'DEF_VAL_NULL_SAFETY_' + instanceNum;
+            var defaultAltValue = DSLRuleUtils.Edit.defaultValue(ruleConfig.defaultAltValue, 'DEF_VAL_NULL_SAFETY_' + instanceNum);
 
             // Replace placeholders in template
             var fixed = DSLRuleUtils.Message.replacePlaceholders(template, {
@@ -760,17 +1087,15 @@ var DSL_RULES = [
     // Rule 7: Math Operations Parens
     {
         name: 'mathOperationsParens',
-        version: 'v2.00',
+        version: 'v2.01',
         _instanceCounter: 0,
+        // Results depend only on the checked statement/line text
+        cacheable: true,
+        configSchema: {},
 
         check: function(line, lineNumber, allLines, context, config) {
             var suggestions = [];
 
-            // Reset counter at start of new analysis
-            if (lineNumber === 1) {
-                this._instanceCounter = 0;
-            }
-
             if (context && context.isInComment) {
                 return suggestions;
             }
@@ -816,7 +1141,14 @@ var DSL_RULES = [
                         label: ruleConfig.label || this.name,
                         fixable: ruleConfig.autoFixEnabled || false,
                         original: original,
-                        instanceNumber: this._instanceCounter
+                        instanceNumber: this._instanceCounter,
+                        edits: DSLRuleUtils.Edit.forAllStyles([
+                            DSLRuleUtils.Edit.replace(
+                                { line: lineNumber, column: position },
+                                { line: lineNumber, column: position + original.length },
+                                fixed
+                            )
+                        ])
                     });
                 }
             }
@@ -854,17 +1186,13 @@ var DSL_RULES = [
     // Rule 8: Extraneous Blocks
     {
         name: 'extraneousBlocks',
-        version: 'v2.00',
+        version: 'v2.02',
         _instanceCounter: 0,
+        configSchema: {},
 
         check: function(line, lineNumber, allLines, context, config) {
             var suggestions = [];
 
-            // Reset counter at start of new analysis
-            if (lineNumber === 1) {
-                this._instanceCounter = 0;
-            }
-
             if (context && context.isInComment) {
                 return suggestions;
             }
@@ -933,8 +1261,125 @@ var DSL_RULES = [
             return suggestions;
         },
 
+        // v2.01 - block() with a single argument, found on the AST so the wrapper may
+        // span lines; the edit replaces the block with its argument
+        // v2.02 - No edit when the argument assigns a variable (see _unwrap)
+        checkAST: function(ast, context, config) {
+            var suggestions = [];
+            var ruleConfig = config.suggestionRules.extraneousBlocks;
+
+            if (!ruleConfig || !ruleConfig.enabled) {
+                return suggestions;
+            }
+
+            var code = context.lines.join('\n');
+            var self = this;
+
+            DSLParser.walk(ast, function(node, parent) {
+                if (node.type !== 'Block' || node.body.length !== 1 || node.body[0].type === 'Invalid') {
+                    return;
+                }
+
+                var replacement = self._unwrap(ast, code, node, parent);
+
+                self._instanceCounter++;
+
+                suggestions.push({
+                    line: node.loc.start.line,
+                    column: node.loc.start.column,
+                    message: ruleConfig.suggestion || 'Unnecessary block() wrapper for a single statement.',
+                    severity: ruleConfig.severity || 'info',
+                    rule: self.name,
+                    label: ruleConfig.label || self.name,
+                    fixable: replacement !== null,
+                    hasDifferentForms: false,
+                    original: DSLParser.getText(code, node),
+                    instanceNumber: self._instanceCounter,
+                    edits: DSLRuleUtils.Edit.forAllStyles(replacement === null ? [] : [
+                        DSLRuleUtils.Edit.replace(node.loc.start, node.loc.end, replacement)
+                    ])
+                });
+            });
+
+            return suggestions;
+        },
+
+        /**
+         * Text that replaces a single-argument block(), or null when it cannot go:
+         * comments inside the wrapper would be lost, and an assignment (anywhere in
+         * the argument) would move the block's variable into the enclosing scope
+         */
+        _unwrap: function(ast, code, node, parent) {
+            var inner = node.body[0];
+
+            var hasComments = ast.comments.some(function(comment) {
+                return comment.start >= node.start && comment.end <= node.end &&
+                       (comment.end <= inner.start || comment.start >= inner.end);
+            });
+            if (hasComments || DSLParser.findNodes(inner, 'Assignment').length > 0) {
+                return null;
+            }
+
+            var replacement = DSLParser.getText(code, inner);
+            return this._needsParens(node, inner, parent) ? '(' + replacement + ')' : replacement;
+        },
+
+        // Whether the block's argument needs parentheses once the block() is removed
+        _needsParens: function(node, inner, parent) {
+            var simpleTypes = ['Identifier', 'Literal', 'MemberExpression', 'IndexExpression', 'CallExpression',
+                               'MethodCall', 'Block', 'Foreach', 'Vector', 'Parenthesized'];
+
+            if (simpleTypes.indexOf(inner.type) !== -1 || !parent) {
+                return false;
+            }
+
+            // Statement positions take any expression
+            if (parent.type === 'Program' || parent.type === 'Block') {
+                return false;
+            }
+
+            if (inner.type === 'Assignment') {
+                return true;
+            }
+
+            // Argument and right-hand side positions are delimited already
+            if ((parent.type === 'CallExpression' || parent.type === 'MethodCall' || parent.type === 'Vector') &&
+                parent.arguments.indexOf(node) !== -1) {
+                return false;
+            }
+            if (parent.type === 'Foreach' && parent.body.indexOf(node) !== -1) {
+                return false;
+            }
+
+            return !((parent.type === 'Assignment' && parent.value === node) || parent.type === 'Parenthesized');
+        },
+
+        // v2.02 - Same unwrap as the edits, for the block() the suggestion points at;
+        // brace blocks from check() are left as they are
         fix: function(code, suggestion, config) {
-            return code;
+            var ruleConfig = config.suggestionRules.extraneousBlocks;
+
+            if (!ruleConfig || !ruleConfig.autoFixEnabled || !suggestion.original || typeof DSLParser === 'undefined') {
+                return code;
+            }
+
+            var ast = DSLParser.parse(code);
+            var target = null;
+            var targetParent = null;
+            DSLParser.walk(ast, function(node, parent) {
+                if (!target && node.type === 'Block' && node.body.length === 1 && node.body[0].type !== 'Invalid' &&
+                    node.loc.start.line === suggestion.line && node.loc.start.column === suggestion.column &&
+                    DSLParser.getText(code, node) === suggestion.original) {
+                    target = node;
+                    targetParent = parent;
+                }
+            });
+
+            var replacement = target ? this._unwrap(ast, code, target, targetParent) : null;
+            if (replacement === null) {
+                return code;
+            }
+            return code.substring(0, target.start) + replacement + code.substring(target.end);
         }
     }
 ];
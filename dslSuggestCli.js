@@ -0,0 +1,592 @@
+#!/usr/bin/env node
+/*
+ * FILE: dslSuggestCli.js
+ *
+ * ARTIFACT INFO (for proper Claude artifact creation):
+ * - ID: dslSuggestCli.js
+ * - Title: dslSuggestCli
+ * - Type: application/vnd.ant.code (language: javascript)
+ *
+ * ARCHITECTURAL BOUNDARY: Suggestions (command line)
+ * LOADS: dslSuggestionsNode.js (config, utilities, parser, rules, engine), dslRefactor.js,
+ *        dslFormatter.js
+ * PROVIDES: dsl-suggest command
+ *
+ * DESCRIPTION:
+ * Lints .dsl files without a browser, for pre-commit hooks and CI.
+ *
+ *   dsl-suggest [options] <file|directory|glob>...
+ *
+ * Prints one line per suggestion as `file:line:col severity rule message`
+ * (line and column are 1-based) and exits 1 when any suggestion meets the
+ * --fail-on severity, 2 on usage or file errors, 0 otherwise. Output piped
+ * into a reader that stops early (e.g. head) ends the run without an error.
+ *
+ * --fix runs applyCodeSuggestions on each file and writes the result back,
+ * then reports what is left. --dry-run prints a unified diff instead of
+ * writing. --style picks the traditional or method fix form. --convert
+ * rewrites the ifNaN()/ifNull() calls already in the files to one form (after
+ * the fixes when combined with --fix); --format pretty-prints the files last
+ * (--width overrides the config's formatting width). --dry-run shows these as
+ * a diff too.
+ *
+ * --preset applies one of the config's presets (performance, safety, style,
+ * strict); --profile applies a settings profile exported from the app, on top
+ * of the preset it extends or the one given with --preset.
+ *
+ * --reporter sarif|json|junit prints one SARIF 2.1.0, JSON or JUnit XML
+ * document for all files instead of the text lines (see
+ * dslSuggestionsReporters.js).
+ * Version tracking: See dslSuggestionsApp.html for app version.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var SEVERITY_LEVELS = { info: 1, warning: 2, error: 3 };
+var FIX_STYLES = { traditional: true, method: true };
+var REPORTERS = { text: true, sarif: true, json: true, junit: true };
+var SKIP_DIRECTORIES = { 'node_modules': true, '.git': true };
+
+var USAGE = [
+    'Usage: dsl-suggest [options] <file|directory|glob>...',
+    '',
+    'Options:',
+    '  --fail-on <level>   Exit 1 when a suggestion is at least this severe:',
+    '                      info, warning (default), error or none',
+    '  --fix               Apply auto-fixes and write the files back',
+    '  --dry-run           With --fix, --convert or --format (--fix if none): print',
+    '                      a unified diff of the changes instead of writing files',
+    '  --style <form>      Fix form: traditional (default) or method',
+    '  --convert <form>    Rewrite existing ifNaN()/ifNull() calls to the',
+    '                      traditional or method form and write the files back',
+    '  --format            Pretty-print the files and write them back',
+    '  --width <columns>   Line width for --format (default: config formatting.width)',
+    '  --preset <name>     Rule preset: performance, safety, style or strict',
+    '  --profile <file>    Rule settings profile (JSON, as exported by the app)',
+    '  --reporter <name>   Output format: text (default), sarif, json or junit',
+    '  --quiet             Only print suggestions, no summary line',
+    '  --verbose           Show engine log output on stderr',
+    '  -h, --help          Show this help',
+    '  -v, --version       Show engine and config versions',
+    '',
+    'Directories are searched recursively for .dsl files. Quote globs',
+    '(e.g. "rules/**/*.dsl") so they are expanded the same way on every shell.'
+].join('\n');
+
+// Parse command line arguments into options and file patterns
+function parseArgs(argv) {
+    var options = {
+        failOn: 'warning',
+        fix: false,
+        dryRun: false,
+        style: 'traditional',
+        convert: null,
+        format: false,
+        width: null,
+        preset: null,
+        profile: null,
+        reporter: 'text',
+        quiet: false,
+        verbose: false,
+        help: false,
+        version: false,
+        patterns: []
+    };
+
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        var value = null;
+
+        // Support --option=value as well as --option value
+        var eq = arg.indexOf('=');
+        if (arg.indexOf('--') === 0 && eq !== -1) {
+            value = arg.substring(eq + 1);
+            arg = arg.substring(0, eq);
+        }
+
+        switch (arg) {
+            case '--fail-on':
+                options.failOn = value !== null ? value : argv[++i];
+                if (options.failOn !== 'none' && !SEVERITY_LEVELS[options.failOn]) {
+                    throw new Error('--fail-on must be one of info, warning, error, none');
+                }
+                break;
+            case '--fix':
+                options.fix = true;
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--style':
+                options.style = value !== null ? value : argv[++i];
+                if (!FIX_STYLES[options.style]) {
+                    throw new Error('--style must be traditional or method');
+                }
+                break;
+            case '--convert':
+                options.convert = value !== null ? value : argv[++i];
+                if (!FIX_STYLES[options.convert]) {
+                    throw new Error('--convert must be traditional or method');
+                }
+                break;
+            case '--format':
+                options.format = true;
+                break;
+            case '--width':
+                var width = value !== null ? value : argv[++i];
+                if (!/^\d+$/.test(width || '') || parseInt(width, 10) < 20) {
+                    throw new Error('--width must be a number of at least 20');
+                }
+                options.width = parseInt(width, 10);
+                break;
+            case '--preset':
+                options.preset = value !== null ? value : argv[++i];
+                if (!options.preset) {
+                    throw new Error('--preset needs a preset name');
+                }
+                break;
+            case '--profile':
+                options.profile = value !== null ? value : argv[++i];
+                if (!options.profile) {
+                    throw new Error('--profile needs a file');
+                }
+                break;
+            case '--reporter':
+                options.reporter = value !== null ? value : argv[++i];
+                if (!REPORTERS[options.reporter]) {
+                    throw new Error('--reporter must be one of ' + Object.keys(REPORTERS).join(', '));
+                }
+                break;
+            case '--quiet':
+                options.quiet = true;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '-v':
+            case '--version':
+                options.version = true;
+                break;
+            default:
+                if (arg.charAt(0) === '-' && arg !== '-') {
+                    throw new Error('Unknown option: ' + arg);
+                }
+                options.patterns.push(arg);
+        }
+    }
+
+    // A dry run is a fix (or conversion, or formatting) that is only shown
+    if (options.dryRun) {
+        options.fix = options.fix || !(options.convert || options.format);
+        if (options.reporter !== 'text') {
+            throw new Error('--dry-run prints a diff and cannot be combined with --reporter ' + options.reporter);
+        }
+    }
+
+    return options;
+}
+
+// Convert a glob (*, **, ?) to a regular expression over '/'-separated paths
+function globToRegExp(glob) {
+    var source = '';
+    for (var i = 0; i < glob.length; i++) {
+        var ch = glob.charAt(i);
+        if (ch === '*') {
+            if (glob.charAt(i + 1) === '*') {
+                // '**/' matches zero or more directories
+                if (glob.charAt(i + 2) === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else {
+            source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp('^' + source + '$');
+}
+
+// Recursively list files under a directory
+function walkDirectory(dir, files) {
+    var entries = fs.readdirSync(dir);
+    entries.sort();
+    for (var i = 0; i < entries.length; i++) {
+        if (SKIP_DIRECTORIES[entries[i]]) {
+            continue;
+        }
+        var fullPath = path.join(dir, entries[i]);
+        var stat = fs.statSync(fullPath);
+        if (stat.isDirectory()) {
+            walkDirectory(fullPath, files);
+        } else if (stat.isFile()) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+// Expand one argument (file, directory or glob) to a list of files
+function expandPattern(pattern) {
+    var normalized = pattern.split(path.sep).join('/');
+
+    if (!/[*?]/.test(normalized)) {
+        if (!fs.existsSync(pattern)) {
+            throw new Error('No such file or directory: ' + pattern);
+        }
+        if (fs.statSync(pattern).isDirectory()) {
+            return walkDirectory(pattern, []).filter(function(file) {
+                return path.extname(file) === '.dsl';
+            });
+        }
+        return [pattern];
+    }
+
+    // Walk from the longest directory prefix without wildcards
+    var parts = normalized.split('/');
+    var baseParts = [];
+    while (parts.length > 1 && !/[*?]/.test(parts[0])) {
+        baseParts.push(parts.shift());
+    }
+    var base = baseParts.length ? baseParts.join('/') : '.';
+    if (baseParts.length === 1 && baseParts[0] === '') {
+        base = '/';
+    }
+    if (!fs.existsSync(base) || !fs.statSync(base).isDirectory()) {
+        return [];
+    }
+
+    var matcher = globToRegExp(parts.join('/'));
+    return walkDirectory(base, []).filter(function(file) {
+        var relative = path.relative(base, file).split(path.sep).join('/');
+        return matcher.test(relative);
+    });
+}
+
+// Expand all arguments, keeping first-seen order and dropping duplicates
+function resolveFiles(patterns) {
+    var seen = {};
+    var files = [];
+    var unmatched = [];
+
+    for (var i = 0; i < patterns.length; i++) {
+        var matches = expandPattern(patterns[i]);
+        if (matches.length === 0) {
+            unmatched.push(patterns[i]);
+        }
+        for (var j = 0; j < matches.length; j++) {
+            var key = path.resolve(matches[j]);
+            if (!seen[key]) {
+                seen[key] = true;
+                files.push(matches[j]);
+            }
+        }
+    }
+
+    return { files: files, unmatched: unmatched };
+}
+
+// Plain-text message: drop **bold** markers and keep it on one line
+function plainMessage(message) {
+    return String(message || '')
+        .replace(/\*\*/g, '')
+        .replace(/\s*\n\s*/g, ' ')
+        .trim();
+}
+
+// Format one suggestion as file:line:col severity rule message
+function formatSuggestion(file, suggestion) {
+    var line = suggestion.line || 1;
+    var column = (suggestion.column || 0) + 1;
+    return file + ':' + line + ':' + column + ' ' +
+        (suggestion.severity || 'info') + ' ' +
+        (suggestion.rule || 'unknown') + ' ' +
+        plainMessage(suggestion.message);
+}
+
+function toPosix(file) {
+    return file.split(path.sep).join('/');
+}
+
+// Shipped config with --preset and --profile applied; throws with a message for stderr
+function buildConfig(engine, options) {
+    var settings = engine.ruleSettings;
+    var config = engine.config;
+    var preset = options.preset;
+    var rules = {};
+
+    if (options.profile) {
+        var profile;
+        try {
+            profile = JSON.parse(fs.readFileSync(options.profile, 'utf8'));
+        } catch (error) {
+            throw new Error('cannot read profile ' + options.profile + ': ' + error.message);
+        }
+
+        var validation = settings.validateProfile(profile, config);
+        if (validation.errors.length > 0) {
+            throw new Error('invalid profile ' + options.profile + ':\n  ' + validation.errors.join('\n  '));
+        }
+        preset = preset || validation.preset;
+        // The profile's own values, so they also hold on top of a different --preset
+        rules = profile.suggestionRules || {};
+    }
+
+    if (preset && !engine.applyConfigPreset(config, preset)) {
+        throw new Error('unknown preset ' + preset + ' (available: ' + settings.listPresets(config).map(function(item) {
+            return item.name;
+        }).join(', ') + ')');
+    }
+
+    return settings.applyOverrides(settings.applyPreset(config, preset), rules);
+}
+
+function meetsSeverity(severity, failOn) {
+    if (failOn === 'none') {
+        return false;
+    }
+    return (SEVERITY_LEVELS[severity] || SEVERITY_LEVELS.info) >= SEVERITY_LEVELS[failOn];
+}
+
+// Lint the files and return the process exit code
+function run(argv, stdout, stderr) {
+    var options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        stderr.write('dsl-suggest: ' + error.message + '\n\n' + USAGE + '\n');
+        return 2;
+    }
+
+    if (options.help) {
+        stdout.write(USAGE + '\n');
+        return 0;
+    }
+
+    // Engine and rules log progress with console.log; keep stdout for results
+    var originalLog = console.log;
+    console.log = options.verbose ? function() {
+        stderr.write(Array.prototype.join.call(arguments, ' ') + '\n');
+    } : function() {};
+
+    try {
+        var engine = require('./dslSuggestionsNode.js');
+
+        if (options.version) {
+            stdout.write('dsl-suggest (engine ' + engine.dslSuggestionsVersion() +
+                ', config ' + engine.getSuggestionsConfigVersion() + ')\n');
+            return 0;
+        }
+
+        if (options.patterns.length === 0) {
+            stderr.write('dsl-suggest: no files given\n\n' + USAGE + '\n');
+            return 2;
+        }
+
+        var config;
+        try {
+            config = buildConfig(engine, options);
+        } catch (error) {
+            stderr.write('dsl-suggest: ' + error.message + '\n');
+            return 2;
+        }
+
+        var resolved;
+        try {
+            resolved = resolveFiles(options.patterns);
+        } catch (error) {
+            stderr.write('dsl-suggest: ' + error.message + '\n');
+            return 2;
+        }
+        for (var u = 0; u < resolved.unmatched.length; u++) {
+            stderr.write('dsl-suggest: no .dsl files match ' + resolved.unmatched[u] + '\n');
+        }
+        if (resolved.files.length === 0) {
+            return 2;
+        }
+
+        var total = 0;
+        var failing = 0;
+        var readErrors = 0;
+        var changedFiles = 0;
+        var fixCount = 0;
+        var convertCount = 0;
+        var reports = [];
+        var DSLDiff = options.dryRun ? require('./dslDiff.js') : null;
+        var DSLRefactor = options.convert ? require('./dslRefactor.js') : null;
+        var DSLFormatter = options.format ? require('./dslFormatter.js') : null;
+        var width = options.width || (config.formatting && config.formatting.width) || null;
+
+        for (var f = 0; f < resolved.files.length; f++) {
+            var file = resolved.files[f];
+            var code;
+            try {
+                code = fs.readFileSync(file, 'utf8');
+            } catch (error) {
+                stderr.write('dsl-suggest: cannot read ' + file + ': ' + error.message + '\n');
+                readErrors++;
+                continue;
+            }
+
+            // Rules split on '\n'; normalise Windows line endings first
+            var lineEnding = code.indexOf('\r\n') !== -1 ? '\r\n' : '\n';
+            code = code.replace(/\r\n?/g, '\n');
+
+            if (options.fix || options.convert || options.format) {
+                var fixed = code;
+                if (options.fix) {
+                    var fixReport = engine.applyCodeSuggestionsWithReport(code, { style: options.style, config: config });
+                    fixed = fixReport.code;
+                    fixCount += fixReport.applied.length;
+                    if (!fixReport.converged) {
+                        stderr.write('dsl-suggest: ' + file + ': fixes did not settle after ' +
+                            fixReport.iterations + ' passes, result may be incomplete\n');
+                    }
+                }
+                if (options.convert) {
+                    var conversion = DSLRefactor.convertFixStyle(fixed, { style: options.convert, config: config });
+                    fixed = conversion.code;
+                    convertCount += conversion.converted;
+                    for (var k = 0; k < conversion.skipped.length; k++) {
+                        var skipped = conversion.skipped[k];
+                        stderr.write('dsl-suggest: ' + file + ':' + skipped.line + ':' + (skipped.column + 1) +
+                            ': not converted, ' + skipped.text + ' (' + skipped.reason + ')\n');
+                    }
+                }
+                if (options.format) {
+                    var formatted = DSLFormatter.format(fixed, { width: width, config: config });
+                    fixed = formatted.code;
+                    for (var m = 0; m < formatted.errors.length; m++) {
+                        var formatError = formatted.errors[m];
+                        stderr.write('dsl-suggest: ' + file + ':' + formatError.line + ':' + (formatError.column + 1) +
+                            ': ' + formatError.message + ' - left as written\n');
+                    }
+                }
+                if (fixed !== code) {
+                    changedFiles++;
+                    if (options.dryRun) {
+                        stdout.write(DSLDiff.unifiedDiff(code, fixed, {
+                            fromFile: 'a/' + toPosix(file),
+                            toFile: 'b/' + toPosix(file)
+                        }));
+                    } else {
+                        try {
+                            fs.writeFileSync(file, fixed.split('\n').join(lineEnding), 'utf8');
+                        } catch (error) {
+                            stderr.write('dsl-suggest: cannot write ' + file + ': ' + error.message + '\n');
+                            readErrors++;
+                            continue;
+                        }
+                    }
+                    code = fixed;
+                }
+
+                // Diff output owns stdout; a dry run only counts what is left
+                if (options.dryRun) {
+                    var remaining = engine.analyzeDSL(code, { config: config }).suggestions;
+                    for (var r = 0; r < remaining.length; r++) {
+                        if (meetsSeverity(remaining[r].severity, options.failOn)) {
+                            failing++;
+                        }
+                    }
+                    total += remaining.length;
+                    continue;
+                }
+            }
+
+            var results = engine.analyzeDSL(code, { config: config });
+            var suggestions = results.suggestions.slice().sort(function(a, b) {
+                return (a.line - b.line) || ((a.column || 0) - (b.column || 0));
+            });
+
+            for (var s = 0; s < suggestions.length; s++) {
+                if (options.reporter === 'text') {
+                    stdout.write(formatSuggestion(file, suggestions[s]) + '\n');
+                }
+                if (meetsSeverity(suggestions[s].severity, options.failOn)) {
+                    failing++;
+                }
+            }
+            total += suggestions.length;
+            reports.push({ file: toPosix(file), code: code, results: results });
+        }
+
+        // Structured reporters write one document covering every file
+        if (options.reporter !== 'text') {
+            var DSLReporters = require('./dslSuggestionsReporters.js');
+            stdout.write(DSLReporters[options.reporter](reports, {
+                config: config,
+                rules: engine.rules,
+                engineVersion: engine.dslSuggestionsVersion(),
+                configVersion: engine.getSuggestionsConfigVersion()
+            }));
+        }
+
+        if (!options.quiet) {
+            if (options.fix || options.convert || options.format) {
+                var changes = [];
+                if (options.fix) {
+                    changes.push(fixCount + ' fix' + (fixCount === 1 ? '' : 'es') + ', ' + options.style + ' form');
+                }
+                if (options.convert) {
+                    changes.push(convertCount + ' call' + (convertCount === 1 ? '' : 's') +
+                        ' converted to ' + options.convert + ' form');
+                }
+                if (options.format) {
+                    changes.push('formatted, width ' + (width || DSLFormatter.DEFAULT_WIDTH));
+                }
+                var done = options.fix ? 'fixed' : (options.convert ? 'converted' : 'formatted');
+                stderr.write('\n' + changedFiles + ' file' + (changedFiles === 1 ? '' : 's') +
+                    (options.dryRun ? ' would be ' + done : ' ' + done) +
+                    ' (' + changes.join('; ') + ')');
+            }
+            stderr.write('\n' + total + ' suggestion' + (total === 1 ? '' : 's') +
+                ' in ' + resolved.files.length + ' file' + (resolved.files.length === 1 ? '' : 's') +
+                (options.failOn !== 'none' ? ' (' + failing + ' at or above ' + options.failOn + ')' : '') +
+                '\n');
+        }
+
+        if (readErrors > 0) {
+            return 2;
+        }
+        return failing > 0 ? 1 : 0;
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+if (require.main === module) {
+    // A reader that stops early (e.g. `| head`) closes the pipe; stop quietly with
+    // the exit code the run already set instead of an unhandled EPIPE trace
+    [process.stdout, process.stderr].forEach(function(stream) {
+        stream.on('error', function(error) {
+            if (error.code === 'EPIPE') {
+                process.exit(process.exitCode || 0);
+            }
+            throw error;
+        });
+    });
+
+    process.exitCode = run(process.argv.slice(2), process.stdout, process.stderr);
+}
+
+module.exports = {
+    run: run,
+    parseArgs: parseArgs,
+    buildConfig: buildConfig,
+    resolveFiles: resolveFiles,
+    formatSuggestion: formatSuggestion
+};
@@ -1,7 +1,7 @@
 /*
  * FILE: dslSuggestionsApp.js
- * VERSION: v2.10
- * LAST UPDATED: 2025-01-09
+ * VERSION: v2.24
+ * LAST UPDATED: 2026-10-19
  * 
  * ARTIFACT INFO (for proper Claude artifact creation):
  * - ID: dslSuggestionsApp.js
@@ -10,7 +10,11 @@
  * 
  * ARCHITECTURAL BOUNDARY: Suggestions
  * AUTO-LOADED BY: dslSuggestionsApp.html
- * PROVIDES: getSuggestions(), showAllPossibleSuggestions(), closeRulesPopup(), copyRuleExample(), debugExtraneousBlock(), clearSuggestionInput(), copyToClipboard(), dslSuggestionsAppVersion(), showVersionPopup(), closeVersionPopup(), updateSuggestionDisplay()
+ * PROVIDES: getSuggestions(), showAllPossibleSuggestions(), closeRulesPopup(), copyRuleExample(), debugExtraneousBlock(), clearSuggestionInput(), copyToClipboard(), dslSuggestionsAppVersion(), showVersionPopup(), closeVersionPopup(), updateSuggestionDisplay(),
+ *           toggleFixReview(), setFixDecision(), setAllFixDecisions(), setDiffViewMode(), jumpToNextChange(),
+ *           toggleLiveAnalysis(), toggleRuleSettings(), setRuleSetting(), resetRuleSettings(),
+ *           exportRuleProfile(), importRuleProfile(), applyRuleProfile(), cancelRuleProfile(),
+ *           convertInputForm(), formatInput(), extractVariableInput()
  * 
  * DESCRIPTION:
  * JavaScript logic for standalone DSL Suggestions application.
@@ -22,6 +26,30 @@
  * v2.08: Removed app interference - now displays engine output directly without modification.
  * v2.09: Added updateSuggestionDisplay function to control which suggestion forms are shown.
  * v2.10: Fixed critical bug - moved global function exposure out of catch block to proper location.
+ * v2.14: Fix review mode - each fixable suggestion is listed with a before/after preview and
+ *        Accept/Reject buttons; the applied output is rebuilt from the accepted fixes only.
+ * v2.15: Diff view of the input against the applied output - line and character highlighting,
+ *        side-by-side or unified layout, and a control to jump to the next change.
+ * v2.16: The input textarea becomes a DSLCodeEditor (line numbers, severity icons, underlines
+ *        with hover messages) marked with the suggestions of the last analysis.
+ * v2.17: Optional live analysis after a typing pause. All analyses share an engine cache, so
+ *        only statements edited since the last analysis are re-checked.
+ * v2.18: Analysis and auto-fix run in a Web Worker (DSLAnalysisClient) so large inputs do not
+ *        freeze the page; a newer input cancels the pending requests. Without a worker the
+ *        engine runs on the page as before.
+ * v2.19: Rule Settings panel - enabled, severity, auto-fix and default value per rule, saved in
+ *        localStorage (DSLRuleSettings) and merged over the shipped config for every analysis.
+ * v2.20: Rule settings profiles - export the changes or the full rule config as JSON, import a
+ *        profile after validating it and previewing the per-rule changes.
+ * v2.21: Rule presets (performance, safety, style, strict) selectable in the Rule Settings
+ *        panel; the panel's changes and imported profiles apply on top of the chosen preset.
+ * v2.22: Convert Form - rewrites the ifNaN()/ifNull() calls in the input (or the selected
+ *        part of it) to the Display Form (DSLRefactor.convertFixStyle) and re-analyses.
+ * v2.23: Format - pretty-prints the input with DSLFormatter (width and indent from the
+ *        config's formatting section) and re-analyses.
+ * v2.24: Extract Variable - moves the selected expression (or the Node chain at the cursor)
+ *        into a variable at the top of its block() (DSLRefactor.extractVariable), optionally
+ *        null protected in the Display Form, and re-analyses.
  */
 
 // App version
@@ -29,7 +57,40 @@
 // var DSL_SUGGESTIONS_APP_VERSION = '2.09';
 
 // v2.10 - Fixed function exposure bug
-var DSL_SUGGESTIONS_APP_VERSION = '2.10';
+// var DSL_SUGGESTIONS_APP_VERSION = '2.10';
+
+// v2.14 - Fix review mode
+// var DSL_SUGGESTIONS_APP_VERSION = '2.14';
+
+// v2.15 - Diff view
+// var DSL_SUGGESTIONS_APP_VERSION = '2.15';
+
+// v2.16 - Code editor for the input
+// var DSL_SUGGESTIONS_APP_VERSION = '2.16';
+
+// v2.17 - Live analysis
+// var DSL_SUGGESTIONS_APP_VERSION = '2.17';
+
+// v2.18 - Analysis worker
+// var DSL_SUGGESTIONS_APP_VERSION = '2.18';
+
+// v2.19 - Rule settings panel
+// var DSL_SUGGESTIONS_APP_VERSION = '2.19';
+
+// v2.20 - Rule settings profiles
+// var DSL_SUGGESTIONS_APP_VERSION = '2.20';
+
+// v2.21 - Rule presets
+// var DSL_SUGGESTIONS_APP_VERSION = '2.21';
+
+// v2.22 - Convert input between traditional and method form
+// var DSL_SUGGESTIONS_APP_VERSION = '2.22';
+
+// v2.23 - Format input
+// var DSL_SUGGESTIONS_APP_VERSION = '2.23';
+
+// v2.24 - Extract variable
+var DSL_SUGGESTIONS_APP_VERSION = '2.24';
 
 function dslSuggestionsAppVersion() {
     return 'v' + DSL_SUGGESTIONS_APP_VERSION;
@@ -41,6 +102,46 @@ var originalSuggestions = '';
 // v3.03 - Store original input code for reapplying with different forms
 var originalInputCode = '';
 
+// v2.14 - Fix review state: decisions survive a form change, not a new input
+var fixReviewEnabled = false;
+var fixReviewDecisions = {};  // fix key -> 'accepted' | 'rejected'
+var fixReviewItems = [];      // fixable suggestions currently listed
+
+// v2.15 - Diff view state
+var diffViewMode = 'split';   // 'split' (side by side) | 'unified'
+var diffViewChange = -1;      // index of the change last jumped to
+var lastAppliedCode = null;   // plain text shown in Suggestions Applied
+
+// v2.16 - DSLCodeEditor wrapping the suggestionInput textarea (null if not loaded)
+var codeEditor = null;
+
+// v2.17 - Live analysis state
+var LIVE_ANALYSIS_DELAY_MS = 500;  // typing pause before re-analysing
+var liveAnalysisEnabled = false;
+var liveAnalysisTimer = null;
+var analysisCache = null;          // engine cache shared by every analysis of the input
+
+// v2.18 - Analysis worker (null without worker support; the engine then runs on the page)
+var analysisWorker = null;
+var workerRequests = [];           // requests still pending, cancelled by newer input
+var workerResults = {              // worker results for workerResults.code
+    code: null,
+    analysis: null,
+    fixed: {}                      // form -> fixed code
+};
+
+// v2.19 - Rule settings saved by the panel, and the config they produce (built on first use)
+var ruleSettingsOverrides = {};
+var effectiveConfig = null;
+
+// v2.20 - Overrides of a validated profile waiting for Apply (null when none)
+var pendingProfileOverrides = null;
+
+// v2.21 - Preset the rule settings build on (null: shipped config), and the one of a
+// validated profile waiting for Apply
+var ruleSettingsPreset = null;
+var pendingProfilePreset = null;
+
 // v2.13 - Store last valid checkbox state
 var lastCheckboxState = {
     traditional: true,
@@ -266,9 +367,186 @@ function getSuggestions() {
         return;
     }
 
+    analyzeInputCode(code, function(error) {
+        if (error) {
+            console.error('Error in getSuggestions:', error);
+            alert('Error generating suggestions: ' + error.message);
+        }
+    });
+}
+
+// v2.23 - Pretty-print the input; regions with syntax errors stay as written
+function formatInput() {
+    var input = document.getElementById('suggestionInput');
+    var code = input.value;
+
+    if (!code.trim()) {
+        alert('Please enter some code to format.');
+        return;
+    }
+    if (typeof DSLFormatter === 'undefined') {
+        alert('dslFormatter.js is not loaded.');
+        return;
+    }
+
+    var result = DSLFormatter.format(code, { config: getEffectiveConfig() });
+    if (result.errors.length > 0) {
+        alert('Left as written:\n' + result.errors.map(function(error) {
+            return 'Line ' + error.line + ': ' + error.message;
+        }).join('\n'));
+    }
+    if (!result.changed) {
+        return;
+    }
+
+    input.value = result.code;
+    getSuggestions();
+}
+
+// v2.24 - Move the selected expression (or the Node chain at the cursor) into a variable at the
+//         top of its block(); the suggested name can be changed before anything is replaced
+function extractVariableInput() {
+    var input = document.getElementById('suggestionInput');
+    var code = input.value;
+
+    if (!code.trim()) {
+        alert('Please enter some code to extract from.');
+        return;
+    }
+    if (typeof DSLRefactor === 'undefined') {
+        alert('dslRefactor.js is not loaded.');
+        return;
+    }
+
+    var traditionalRadio = document.getElementById('showTraditionalForm');
+    var protectCheckbox = document.getElementById('extractNullProtection');
+    var options = {
+        selection: { start: input.selectionStart, end: input.selectionEnd },
+        protect: !!(protectCheckbox && protectCheckbox.checked),
+        style: (traditionalRadio && traditionalRadio.checked) ? 'traditional' : 'method',
+        config: getEffectiveConfig()
+    };
+
+    var result = DSLRefactor.extractVariable(code, options);
+    if (result.error) {
+        alert('Nothing extracted: ' + result.error + '.');
+        return;
+    }
+
+    var name = prompt('Variable for ' + result.expression + ' (' + result.replaced +
+        (result.replaced === 1 ? ' copy' : ' copies') + '):', result.name);
+    if (name === null) {
+        return;
+    }
+    name = name.trim();
+    if (name && name !== result.name) {
+        options.name = name;
+        result = DSLRefactor.extractVariable(code, options);
+        if (result.error) {
+            alert('Nothing extracted: ' + result.error + '.');
+            return;
+        }
+    }
+
+    input.value = result.code;
+    getSuggestions();
+}
+
+// v2.22 - Rewrite the wrapper calls of the input (or of its selection) in the Display Form
+function convertInputForm() {
+    var input = document.getElementById('suggestionInput');
+    var code = input.value;
+
+    if (!code.trim()) {
+        alert('Please enter some code to convert.');
+        return;
+    }
+    if (typeof DSLRefactor === 'undefined') {
+        alert('dslRefactor.js is not loaded.');
+        return;
+    }
+
+    var traditionalRadio = document.getElementById('showTraditionalForm');
+    var selectedForm = (traditionalRadio && traditionalRadio.checked) ? 'traditional' : 'method';
+    var options = { style: selectedForm, config: getEffectiveConfig() };
+    if (input.selectionStart !== input.selectionEnd) {
+        options.selection = { start: input.selectionStart, end: input.selectionEnd };
+    }
+
+    var result = DSLRefactor.convertFixStyle(code, options);
+    if (result.skipped.length > 0) {
+        alert('Left as written:\n' + result.skipped.map(function(call) {
+            return 'Line ' + call.line + ': ' + call.text + ' (' + call.reason + ')';
+        }).join('\n'));
+    }
+    if (result.converted === 0) {
+        if (result.skipped.length > 0) {
+            return;
+        }
+        alert('Nothing to convert: every ifNaN()/ifNull() call ' + (options.selection ? 'in the selection ' : '') +
+            'is already in ' + selectedForm + ' form. Pick the other Display Form to convert the other way.');
+        return;
+    }
+
+    input.value = result.code;
+    getSuggestions();
+}
+
+// v2.17 - Populate all outputs for the given input (shared by getSuggestions and live analysis)
+// v2.18 - Asynchronous when the worker runs the analysis; callback(error, cacheStats) follows
+//         the output update, and is not called when a newer input replaced this one
+function analyzeInputCode(code, callback) {
+    callback = callback || function() {};
+
+    // v2.14 - Review decisions belong to the code they were made on
+    if (code !== originalInputCode) {
+        fixReviewDecisions = {};
+    }
+
     // v3.03 - Store original input code for reapplying with different forms
     originalInputCode = code;
 
+    cancelWorkerRequests();
+
+    if (!analysisWorker) {
+        if (analysisCache) {
+            analysisCache.hits = 0;
+            analysisCache.misses = 0;
+        }
+        renderInputAnalysis(function(error) {
+            callback(error, analysisCache ? { hits: analysisCache.hits, misses: analysisCache.misses } : null);
+        });
+        return;
+    }
+
+    var traditionalRadio = document.getElementById('showTraditionalForm');
+    var selectedForm = (traditionalRadio && traditionalRadio.checked) ? 'traditional' : 'method';
+
+    var analyzeRequest = trackWorkerRequest(analysisWorker.analyze(code, { config: getEffectiveConfig() }));
+    var fixRequest = trackWorkerRequest(analysisWorker.fix(code, { config: getEffectiveConfig(), style: selectedForm }));
+
+    Promise.all([analyzeRequest, fixRequest]).then(function(responses) {
+        workerResults = { code: code, analysis: responses[0].result, fixed: {} };
+        workerResults.fixed[selectedForm] = responses[1].result.code;
+
+        var cacheStats = {
+            hits: responses[0].cacheStats.hits + responses[1].cacheStats.hits,
+            misses: responses[0].cacheStats.misses + responses[1].cacheStats.misses
+        };
+        renderInputAnalysis(function(error) {
+            callback(error, cacheStats);
+        });
+    }, function(error) {
+        if (error.cancelled) {
+            return;
+        }
+        disableAnalysisWorker(error);
+        renderInputAnalysis(callback);
+    });
+}
+
+// v2.17 - Update every output from the analysis of originalInputCode
+function renderInputAnalysis(callback) {
     try {
         // Generate suggestions with color coding and applied suggestions
         if (typeof generateCodeSuggestions === 'function') {
@@ -281,9 +559,507 @@ function getSuggestions() {
         // Generate applied suggestions with selected form
         updateAppliedSuggestions();
 
+        // v2.16 - Underline the suggestions in the input
+        updateEditorMarkers();
+    } catch (error) {
+        callback(error);
+        return;
+    }
+    callback(null);
+}
+
+// v2.18 - Remember a worker request until it settles, so newer input can cancel it
+function trackWorkerRequest(request) {
+    workerRequests.push(request);
+
+    function forget() {
+        var index = workerRequests.indexOf(request);
+        if (index !== -1) {
+            workerRequests.splice(index, 1);
+        }
+    }
+    request.then(forget, forget);
+    return request;
+}
+
+function cancelWorkerRequests() {
+    var pending = workerRequests;
+    workerRequests = [];
+    if (analysisWorker) {
+        for (var i = 0; i < pending.length; i++) {
+            analysisWorker.cancel(pending[i].id);
+        }
+    }
+}
+
+// v2.18 - True while the worker has not answered for the current input (its outputs are
+//         updated when it does)
+function isWorkerAnalysisPending() {
+    return !!analysisWorker && workerResults.code !== originalInputCode;
+}
+
+// v2.18 - Fix the analysed input for another form in the worker, then show it
+function requestWorkerFix(code, selectedForm) {
+    trackWorkerRequest(analysisWorker.fix(code, { config: getEffectiveConfig(), style: selectedForm })).then(function(response) {
+        if (workerResults.code === code) {
+            workerResults.fixed[selectedForm] = response.result.code;
+            updateAppliedSuggestions();
+        }
+    }, function(error) {
+        if (error.cancelled) {
+            return;
+        }
+        disableAnalysisWorker(error);
+        updateAppliedSuggestions();
+    });
+}
+
+// v2.18 - Stop using the worker after a failure; the engine runs on the page from now on
+function disableAnalysisWorker(error) {
+    console.error('[App] Analysis worker failed, running the engine on the page:', error.message);
+    if (analysisWorker) {
+        analysisWorker.terminate();
+        analysisWorker = null;
+    }
+    workerRequests = [];
+    workerResults = { code: null, analysis: null, fixed: {} };
+}
+
+// v2.17 - Analyse code through the shared cache; unchanged statements reuse earlier results
+// v2.18 - The worker's analysis is used when it is for this code
+function analyzeInput(code) {
+    if (workerResults.code === code && workerResults.analysis) {
+        return workerResults.analysis;
+    }
+    if (!analysisCache && typeof createAnalysisCache === 'function') {
+        analysisCache = createAnalysisCache();
+    }
+    return analyzeDSL(code, { config: getEffectiveConfig(), cache: analysisCache });
+}
+
+// v2.19 - Shipped config with the saved rule settings merged in
+// v2.21 - ... on top of the chosen preset
+function getEffectiveConfig() {
+    if (effectiveConfig) {
+        return effectiveConfig;
+    }
+
+    var shipped = typeof getLoadedSuggestionsConfig === 'function' ? getLoadedSuggestionsConfig() : {};
+    if (!shipped.suggestionRules || typeof DSLRuleSettings === 'undefined') {
+        // Config still loading (or settings unavailable): don't keep this one
+        return shipped;
+    }
+
+    effectiveConfig = DSLRuleSettings.applyOverrides(DSLRuleSettings.applyPreset(shipped, ruleSettingsPreset),
+        ruleSettingsOverrides);
+    return effectiveConfig;
+}
+
+// v2.19 - Show or hide the Rule Settings panel
+function toggleRuleSettings() {
+    var panel = document.getElementById('ruleSettingsPanel');
+    if (!panel) {
+        return;
+    }
+
+    var show = panel.style.display === 'none';
+    panel.style.display = show ? 'block' : 'none';
+    if (show) {
+        renderRuleSettings();
+    }
+}
+
+// v2.19 - One row per rule in the shipped config, showing the effective settings
+function renderRuleSettings() {
+    var listElement = document.getElementById('ruleSettingsList');
+    var summaryElement = document.getElementById('ruleSettingsSummary');
+    var shipped = typeof getLoadedSuggestionsConfig === 'function' ? getLoadedSuggestionsConfig() : {};
+
+    if (!listElement) {
+        return;
+    }
+    if (!shipped.suggestionRules || typeof DSLRuleSettings === 'undefined') {
+        listElement.innerHTML = '<div class="rule-settings-empty">Rule settings functionality not loaded.</div>';
+        return;
+    }
+
+    var config = getEffectiveConfig();
+    renderRulePresets(shipped);
+
+    var html = [
+        '<table class="rule-settings-table">' +
+            '<tr><th>Rule</th><th>Enabled</th><th>Severity</th><th>Auto-Fix</th><th>Default Value</th></tr>'
+    ];
+    var modified = 0;
+
+    for (var ruleName in shipped.suggestionRules) {
+        if (!shipped.suggestionRules.hasOwnProperty(ruleName)) {
+            continue;
+        }
+
+        var shippedRule = shipped.suggestionRules[ruleName];
+        var isModified = ruleSettingsOverrides.hasOwnProperty(ruleName);
+        var otherKeys = isModified ? Object.keys(ruleSettingsOverrides[ruleName]).filter(function(key) {
+            return DSLRuleSettings.KEYS.indexOf(key) === -1;
+        }) : [];
+        var name = escapeHtml(ruleName);
+        var enabled = DSLRuleSettings.getSetting(config, ruleName, 'enabled');
+        var severity = DSLRuleSettings.getSetting(config, ruleName, 'severity');
+        var autoFix = DSLRuleSettings.getSetting(config, ruleName, 'autoFixEnabled');
+        if (isModified) {
+            modified++;
+        }
+
+        var options = DSLRuleSettings.SEVERITIES.map(function(level) {
+            return '<option value="' + level + '"' + (level === severity ? ' selected' : '') + '>' + level + '</option>';
+        }).join('');
+
+        // Only rules whose fix templates insert a default value get the field; a value fixes
+        // do not insert (the shipped "ref, string, etc.") is shown as the field's hint
+        var templates = JSON.stringify(shippedRule.fixTemplates || {});
+        var defaultValue = DSLRuleSettings.getSetting(config, ruleName, 'defaultAltValue') || '';
+        var insertsDefault = DSLRuleUtils.Edit.defaultValue(defaultValue, '') !== '';
+        var defaultValueCell = templates.indexOf('{defaultAltValue}') === -1 ? '-' :
+            '<input type="text" value="' + escapeHtml(insertsDefault ? defaultValue : '') + '"' +
+                ' placeholder="numbered placeholder' + (!insertsDefault && defaultValue ? ', e.g. ' + escapeHtml(defaultValue) : '') + '"' +
+                ' onchange="setRuleSetting(\'' + name + '\', \'defaultAltValue\', this.value)">';
+
+        html.push(
+            '<tr class="rule-settings-row' + (isModified ? ' rule-settings-modified' : '') + '">' +
+                '<td><span class="rule-settings-label">' + escapeHtml(shippedRule.label || ruleName) + '</span> ' +
+                    '<span class="rule-settings-name">' + name + '</span>' +
+                    // v2.20 - Settings changed by a profile but not editable here
+                    (otherKeys.length > 0 ? '<div class="rule-settings-extra">Also changed: ' + escapeHtml(otherKeys.join(', ')) + '</div>' : '') +
+                    '</td>' +
+                '<td><input type="checkbox"' + (enabled ? ' checked' : '') +
+                    ' onchange="setRuleSetting(\'' + name + '\', \'enabled\', this.checked)"></td>' +
+                '<td><select onchange="setRuleSetting(\'' + name + '\', \'severity\', this.value)">' + options + '</select></td>' +
+                '<td><input type="checkbox"' + (autoFix ? ' checked' : '') +
+                    ' onchange="setRuleSetting(\'' + name + '\', \'autoFixEnabled\', this.checked)"></td>' +
+                '<td>' + defaultValueCell + '</td>' +
+            '</tr>'
+        );
+    }
+    html.push('</table>');
+
+    listElement.innerHTML = html.join('');
+    if (summaryElement) {
+        var preset = ruleSettingsPreset && shipped.presets && shipped.presets[ruleSettingsPreset];
+        var base = preset ? (preset.label || ruleSettingsPreset) + ' preset' : 'shipped defaults';
+        summaryElement.textContent = modified === 0 ? 'Rule Settings (' + base + ')' :
+            'Rule Settings (' + (preset ? base + ', ' : '') + modified + (modified === 1 ? ' rule' : ' rules') + ' changed)';
+    }
+}
+
+// v2.21 - Fill the preset selector from the config's presets
+function renderRulePresets(shipped) {
+    var select = document.getElementById('rulePresetSelect');
+    var description = document.getElementById('rulePresetDescription');
+    if (!select) {
+        return;
+    }
+
+    var presets = DSLRuleSettings.listPresets(shipped);
+    var selected = null;
+    var html = ['<option value="">None (shipped config)</option>'];
+    for (var i = 0; i < presets.length; i++) {
+        if (presets[i].name === ruleSettingsPreset) {
+            selected = presets[i];
+        }
+        html.push('<option value="' + escapeHtml(presets[i].name) + '"' + (presets[i] === selected ? ' selected' : '') + '>' +
+            escapeHtml(presets[i].label) + '</option>');
+    }
+
+    select.innerHTML = html.join('');
+    if (description) {
+        description.textContent = selected ? selected.description : '';
+    }
+}
+
+// v2.21 - Build on a preset; the panel's own changes stay on top of it
+function selectRulePreset(presetName) {
+    if (typeof DSLRuleSettings === 'undefined') {
+        return;
+    }
+
+    ruleSettingsPreset = presetName || null;
+    if (!DSLRuleSettings.savePreset(ruleSettingsPreset)) {
+        console.warn('[App] Rule settings apply to this page only (localStorage unavailable)');
+    }
+    applyRuleSettings();
+}
+
+// v2.19 - Change one setting; values equal to the shipped config are not stored
+// v2.21 - ... or to the chosen preset
+function setRuleSetting(ruleName, key, value) {
+    if (typeof DSLRuleSettings === 'undefined') {
+        return;
+    }
+
+    var base = DSLRuleSettings.applyPreset(getLoadedSuggestionsConfig(), ruleSettingsPreset);
+    var rule = ruleSettingsOverrides[ruleName] || {};
+
+    // An empty default value means the shipped (or preset) one again
+    if (value === DSLRuleSettings.getSetting(base, ruleName, key) || (key === 'defaultAltValue' && value === '')) {
+        delete rule[key];
+    } else {
+        rule[key] = value;
+    }
+
+    if (Object.keys(rule).length > 0) {
+        ruleSettingsOverrides[ruleName] = rule;
+    } else {
+        delete ruleSettingsOverrides[ruleName];
+    }
+
+    if (!DSLRuleSettings.save(ruleSettingsOverrides)) {
+        console.warn('[App] Rule settings apply to this page only (localStorage unavailable)');
+    }
+    applyRuleSettings();
+}
+
+// v2.19 - Forget all saved settings
+function resetRuleSettings() {
+    ruleSettingsOverrides = {};
+    ruleSettingsPreset = null;
+    if (typeof DSLRuleSettings !== 'undefined') {
+        DSLRuleSettings.clear();
+    }
+    applyRuleSettings();
+}
+
+// v2.19 - Rebuild the config, then the panel and the outputs for the current input
+function applyRuleSettings() {
+    effectiveConfig = null;
+    workerResults = { code: null, analysis: null, fixed: {} };
+    renderRuleSettings();
+
+    if (originalInputCode) {
+        analyzeInputCode(originalInputCode, function(error) {
+            if (error) {
+                console.error('Error applying rule settings:', error);
+            }
+        });
+    }
+}
+
+// v2.20 - Download the settings as a profile (full: every rule's values, not just the changes)
+function exportRuleProfile(full) {
+    if (typeof DSLRuleSettings === 'undefined') {
+        return;
+    }
+
+    var profile = DSLRuleSettings.exportProfile(getLoadedSuggestionsConfig(), ruleSettingsOverrides, {
+        full: !!full,
+        preset: ruleSettingsPreset
+    });
+    var blob = new Blob([JSON.stringify(profile, null, 2) + '\n'], { type: 'application/json' });
+    var link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = full ? 'dsl-suggestions-profile-full.json' : 'dsl-suggestions-profile.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function() {
+        URL.revokeObjectURL(link.href);
+    }, 0);
+}
+
+// v2.20 - File input handler: read the chosen profile and preview it
+function importRuleProfile(input) {
+    var file = input && input.files && input.files[0];
+    if (!file) {
+        return;
+    }
+
+    var reader = new FileReader();
+    reader.onload = function() {
+        previewRuleProfile(String(reader.result), file.name);
+    };
+    reader.onerror = function() {
+        showProfilePreview('<div class="profile-error">Could not read ' + escapeHtml(file.name) + '.</div>');
+    };
+    reader.readAsText(file);
+
+    // Choosing the same file again should fire onchange again
+    input.value = '';
+}
+
+// v2.20 - Validate a profile and list what applying it would change
+function previewRuleProfile(text, fileName) {
+    var profile;
+    pendingProfileOverrides = null;
+    pendingProfilePreset = null;
+
+    try {
+        profile = JSON.parse(text);
     } catch (error) {
-        console.error('Error in getSuggestions:', error);
-        alert('Error generating suggestions: ' + error.message);
+        showProfilePreview('<div class="profile-error">' + escapeHtml(fileName) + ' is not valid JSON: ' +
+            escapeHtml(error.message) + '</div>');
+        return;
+    }
+
+    var shipped = getLoadedSuggestionsConfig();
+    var validation = DSLRuleSettings.validateProfile(profile, shipped);
+    var title = escapeHtml(validation.name || fileName);
+
+    if (validation.errors.length > 0) {
+        showProfilePreview(
+            '<div class="profile-error">Profile ' + title + ' was not imported:</div>' +
+            '<ul class="profile-errors">' + validation.errors.map(function(message) {
+                return '<li>' + escapeHtml(message) + '</li>';
+            }).join('') + '</ul>' +
+            '<button class="secondary" onclick="cancelRuleProfile()">Close</button>'
+        );
+        return;
+    }
+
+    // v2.21 - A profile that extends a preset replaces the chosen one
+    var presetNote = '';
+    if (validation.preset !== ruleSettingsPreset) {
+        var presetInfo = validation.preset && shipped.presets[validation.preset];
+        presetNote = '<div>Preset: ' + escapeHtml(presetInfo ? presetInfo.label || validation.preset : 'none') + '</div>';
+    }
+
+    var changes = DSLRuleSettings.compareConfigs(getEffectiveConfig(),
+        DSLRuleSettings.applyOverrides(DSLRuleSettings.applyPreset(shipped, validation.preset), validation.overrides));
+    if (changes.length === 0 && !presetNote) {
+        showProfilePreview('<div>Profile ' + title + ' matches the current settings.</div>' +
+            '<button class="secondary" onclick="cancelRuleProfile()">Close</button>');
+        return;
+    }
+
+    var html = ['<div>Applying profile ' + title + ' changes ' + changes.length +
+        (changes.length === 1 ? ' rule' : ' rules') + ':</div>' + presetNote];
+    for (var i = 0; i < changes.length; i++) {
+        html.push('<div class="profile-rule"><span class="rule-settings-label">' + escapeHtml(changes[i].label) + '</span> ' +
+            '<span class="rule-settings-name">' + escapeHtml(changes[i].rule) + '</span><ul>');
+        for (var j = 0; j < changes[i].changes.length; j++) {
+            html.push('<li>' + describeSettingChange(changes[i].changes[j]) + '</li>');
+        }
+        html.push('</ul></div>');
+    }
+    html.push('<button onclick="applyRuleProfile()">Apply Profile</button> ' +
+        '<button class="secondary" onclick="cancelRuleProfile()">Cancel</button>');
+
+    pendingProfileOverrides = validation.overrides;
+    pendingProfilePreset = validation.preset;
+    showProfilePreview(html.join(''));
+}
+
+// v2.20 - One line of the profile preview
+function describeSettingChange(change) {
+    var key = '<code>' + escapeHtml(change.key) + '</code>: ';
+
+    if (change.added) {
+        var parts = [];
+        if (change.added.length > 0) {
+            parts.push('adds ' + escapeHtml(change.added.join(', ')));
+        }
+        if (change.removed.length > 0) {
+            parts.push('removes ' + escapeHtml(change.removed.join(', ')));
+        }
+        return key + (parts.length > 0 ? parts.join('; ') : 'reordered');
+    }
+
+    function format(value) {
+        return value === undefined ? '(not set)' : escapeHtml(JSON.stringify(value));
+    }
+    return key + format(change.from) + ' &rarr; ' + format(change.to);
+}
+
+function showProfilePreview(html) {
+    var preview = document.getElementById('profileImportPreview');
+    if (preview) {
+        preview.innerHTML = html;
+        preview.style.display = html ? 'block' : 'none';
+    }
+}
+
+// v2.20 - Replace the saved settings with the previewed profile
+function applyRuleProfile() {
+    if (!pendingProfileOverrides) {
+        return;
+    }
+
+    ruleSettingsOverrides = pendingProfileOverrides;
+    ruleSettingsPreset = pendingProfilePreset;
+    pendingProfileOverrides = null;
+    pendingProfilePreset = null;
+    if (!DSLRuleSettings.save(ruleSettingsOverrides) || !DSLRuleSettings.savePreset(ruleSettingsPreset)) {
+        console.warn('[App] Rule settings apply to this page only (localStorage unavailable)');
+    }
+    showProfilePreview('');
+    applyRuleSettings();
+}
+
+function cancelRuleProfile() {
+    pendingProfileOverrides = null;
+    pendingProfilePreset = null;
+    showProfilePreview('');
+}
+
+// v2.17 - Turn live analysis on or off; turning it on analyses the current input
+function toggleLiveAnalysis() {
+    var checkbox = document.getElementById('liveAnalysisMode');
+    liveAnalysisEnabled = !!(checkbox && checkbox.checked);
+
+    if (liveAnalysisTimer) {
+        clearTimeout(liveAnalysisTimer);
+        liveAnalysisTimer = null;
+    }
+    setLiveAnalysisStatus('');
+
+    if (liveAnalysisEnabled) {
+        runLiveAnalysis();
+    }
+}
+
+// v2.17 - Input listener: restart the typing-pause timer
+function scheduleLiveAnalysis() {
+    if (!liveAnalysisEnabled) {
+        return;
+    }
+
+    if (liveAnalysisTimer) {
+        clearTimeout(liveAnalysisTimer);
+    }
+    liveAnalysisTimer = setTimeout(runLiveAnalysis, LIVE_ANALYSIS_DELAY_MS);
+}
+
+// v2.17 - Re-analyse the input without alerts; errors and timing go to the status line
+function runLiveAnalysis() {
+    liveAnalysisTimer = null;
+
+    var code = document.getElementById('suggestionInput').value;
+    if (!code.trim()) {
+        setLiveAnalysisStatus('');
+        return;
+    }
+
+    var started = Date.now();
+
+    analyzeInputCode(code, function(error, cacheStats) {
+        if (error) {
+            console.error('Error in live analysis:', error);
+            setLiveAnalysisStatus('Live: error - ' + error.message);
+            return;
+        }
+
+        var elapsed = Date.now() - started;
+        if (cacheStats) {
+            setLiveAnalysisStatus('Live: ' + cacheStats.misses + ' checks re-run, ' +
+                cacheStats.hits + ' reused (' + elapsed + ' ms)');
+        } else {
+            setLiveAnalysisStatus('Live: ' + elapsed + ' ms');
+        }
+    });
+}
+
+function setLiveAnalysisStatus(text) {
+    var status = document.getElementById('liveAnalysisStatus');
+    if (status) {
+        status.textContent = text;
     }
 }
 
@@ -294,7 +1070,7 @@ function generateSuggestionsWithBothForms(code) {
     }
 
     // Get raw analysis results
-    var analysis = analyzeDSL(code);
+    var analysis = analyzeInput(code);
     if (!analysis || !analysis.suggestions || analysis.suggestions.length === 0) {
         return 'No suggestions found. Code looks good!';
     }
@@ -341,7 +1117,7 @@ function generateSuggestionsWithColorCoding(code, selectedForm) {
     selectedForm = selectedForm || 'traditional';
 
     // Get raw analysis results
-    var analysis = analyzeDSL(code);
+    var analysis = analyzeInput(code);
     if (!analysis || !analysis.suggestions || analysis.suggestions.length === 0) {
         return 'No suggestions found. Code looks good!';
     }
@@ -469,7 +1245,7 @@ function generateSuggestionsWithColorCoding(code, selectedForm) {
 
 // v3.03 - Update applied suggestions based on selected form
 function updateAppliedSuggestions() {
-    if (!originalInputCode) {
+    if (!originalInputCode || isWorkerAnalysisPending()) {
         return;
     }
 
@@ -478,6 +1254,24 @@ function updateAppliedSuggestions() {
         var traditionalRadio = document.getElementById('showTraditionalForm');
         var selectedForm = (traditionalRadio && traditionalRadio.checked) ? 'traditional' : 'method';
 
+        // v2.14 - In review mode only accepted fixes are applied
+        if (fixReviewEnabled) {
+            updateFixReview(selectedForm);
+            return;
+        }
+
+        // v2.18 - Worker results; another form is fixed in the worker first
+        if (analysisWorker) {
+            if (!workerResults.fixed.hasOwnProperty(selectedForm)) {
+                requestWorkerFix(originalInputCode, selectedForm);
+                return;
+            }
+            setElementContent('suggestionsApplied', workerResults.fixed[selectedForm]);
+            lastAppliedCode = workerResults.fixed[selectedForm];
+            updateDiffView();
+            return;
+        }
+
         // Set form selection for engine to use
         if (typeof window !== 'undefined') {
             window.__forceFormSelection = selectedForm;
@@ -485,8 +1279,13 @@ function updateAppliedSuggestions() {
 
         // Apply auto-fixes with selected form
         if (typeof applyCodeSuggestions === 'function') {
-            var appliedSuggestions = applyCodeSuggestions(originalInputCode);
+            var appliedSuggestions = applyCodeSuggestions(originalInputCode, {
+                config: getEffectiveConfig(),
+                cache: analysisCache
+            });
             setElementContent('suggestionsApplied', appliedSuggestions);
+            lastAppliedCode = appliedSuggestions;
+            updateDiffView();
         } else {
             setElementContent('suggestionsApplied', 'Auto-apply functionality not loaded.');
         }
@@ -503,7 +1302,7 @@ function updateAppliedSuggestions() {
 
 // Update HTML output with color coding based on selected form
 function updateHtmlOutput() {
-    if (!originalInputCode) {
+    if (!originalInputCode || isWorkerAnalysisPending()) {
         return;
     }
 
@@ -527,6 +1326,372 @@ function updateDisplayForm() {
     updateAppliedSuggestions();
 }
 
+// v2.16 - Mark the suggestions of the analysed input in the editor
+function updateEditorMarkers() {
+    if (!codeEditor || typeof analyzeDSL !== 'function' || isWorkerAnalysisPending()) {
+        return;
+    }
+
+    codeEditor.setMarkers(analyzeInput(originalInputCode).suggestions);
+}
+
+// v2.14 - Turn fix review mode on or off (checkbox next to the form selection)
+function toggleFixReview() {
+    var checkbox = document.getElementById('fixReviewMode');
+    fixReviewEnabled = !!(checkbox && checkbox.checked);
+
+    var panel = document.getElementById('fixReviewPanel');
+    if (panel) {
+        panel.style.display = fixReviewEnabled ? 'block' : 'none';
+    }
+
+    updateAppliedSuggestions();
+}
+
+// v2.14 - Identify a fix across re-analysis of the same code
+function getFixKey(suggestion) {
+    return [suggestion.rule, suggestion.line, suggestion.column, suggestion.original].join('|');
+}
+
+// v2.14 - List the fixable suggestions, then apply the accepted ones to the output panel
+function updateFixReview(selectedForm) {
+    var listElement = document.getElementById('fixReviewList');
+    var summaryElement = document.getElementById('fixReviewSummary');
+
+    if (typeof analyzeDSL !== 'function' || typeof applyCodeSuggestionsWithReport !== 'function') {
+        setElementContent('suggestionsApplied', 'Fix review functionality not loaded.');
+        return;
+    }
+
+    var code = originalInputCode;
+    var analysis = analyzeInput(code);
+    var config = getEffectiveConfig();
+
+    // Fixable = a rule with auto-fix on (as in the normal apply) supplied edits for this
+    // form that change the code
+    fixReviewItems = analysis.suggestions.filter(function(suggestion) {
+        if (typeof DSLRuleSettings !== 'undefined' && !DSLRuleSettings.getSetting(config, suggestion.rule, 'autoFixEnabled')) {
+            return false;
+        }
+        var edits = getSuggestionEdits(code, suggestion, selectedForm);
+        return !!edits && edits.length > 0;
+    });
+
+    var accepted = fixReviewItems.filter(function(suggestion) {
+        return fixReviewDecisions[getFixKey(suggestion)] === 'accepted';
+    });
+
+    // Accepted fixes that overlap are applied in later passes, to the code the
+    // fixes before them produced
+    var result = applyCodeSuggestionsWithReport(code, {
+        config: config,
+        style: selectedForm,
+        only: accepted,
+        cache: analysisCache
+    });
+    setElementContent('suggestionsApplied', escapeHtml(result.code));
+    lastAppliedCode = result.code;
+    updateDiffView();
+
+    var counts = { accepted: 0, rejected: 0, pending: 0 };
+    var html = [];
+
+    for (var i = 0; i < fixReviewItems.length; i++) {
+        var suggestion = fixReviewItems[i];
+        var state = fixReviewDecisions[getFixKey(suggestion)] || 'pending';
+        var unapplied = result.unapplied.indexOf(suggestion) !== -1;
+        counts[state]++;
+
+        html.push(
+            '<div class="fix-review-item fix-review-' + state + '">' +
+                '<div class="fix-review-header">' +
+                    '<span class="fix-review-label">' + escapeHtml(suggestion.label || suggestion.rule) + '</span> ' +
+                    '<span class="fix-review-location">Line ' + suggestion.line + ', Col ' + (suggestion.column + 1) + '</span> ' +
+                    '<span class="fix-review-state">' + state + '</span>' +
+                    '<span class="fix-review-actions">' +
+                        '<button onclick="setFixDecision(' + i + ', \'accepted\')"' + (state === 'accepted' ? ' disabled' : '') + '>Accept</button> ' +
+                        '<button class="secondary" onclick="setFixDecision(' + i + ', \'rejected\')"' + (state === 'rejected' ? ' disabled' : '') + '>Reject</button>' +
+                    '</span>' +
+                '</div>' +
+                '<div class="fix-review-message">' + escapeHtml(suggestion.message.replace(/\*\*/g, '')) + '</div>' +
+                '<pre class="fix-review-preview">' + buildFixPreview(code, suggestion, selectedForm) + '</pre>' +
+                (unapplied ? '<div class="fix-review-conflict">The fixes accepted with it changed this code - not applied.</div>' : '') +
+            '</div>'
+        );
+    }
+
+    if (listElement) {
+        listElement.innerHTML = html.length > 0 ? html.join('') : '<div class="fix-review-empty">No fixable suggestions for this form.</div>';
+    }
+    if (summaryElement) {
+        summaryElement.textContent = fixReviewItems.length + ' fixes: ' + counts.accepted + ' accepted, ' +
+            counts.rejected + ' rejected, ' + counts.pending + ' pending';
+    }
+}
+
+// v2.14 - Before/after lines of a single fix (changed lines only)
+function buildFixPreview(code, suggestion, selectedForm) {
+    var fixed = applySuggestionEdits(code, [suggestion], selectedForm).code;
+
+    if (typeof DSLDiff === 'undefined') {
+        return escapeHtml(fixed);
+    }
+
+    var lines = DSLDiff.unifiedDiff(code, fixed, { context: 0 }).split('\n');
+    var html = [];
+
+    // Skip the ---/+++ file headers and @@ hunk headers
+    for (var i = 2; i < lines.length; i++) {
+        var line = lines[i];
+        if (line.charAt(0) === '-') {
+            html.push('<span class="fix-review-before">- ' + escapeHtml(line.substring(1)) + '</span>');
+        } else if (line.charAt(0) === '+') {
+            html.push('<span class="fix-review-after">+ ' + escapeHtml(line.substring(1)) + '</span>');
+        }
+    }
+
+    return html.join('\n');
+}
+
+// v2.14 - Accept or reject one listed fix
+function setFixDecision(index, decision) {
+    var suggestion = fixReviewItems[index];
+    if (!suggestion) {
+        return;
+    }
+
+    fixReviewDecisions[getFixKey(suggestion)] = decision;
+    updateAppliedSuggestions();
+}
+
+// v2.14 - Accept or reject every listed fix
+function setAllFixDecisions(decision) {
+    for (var i = 0; i < fixReviewItems.length; i++) {
+        fixReviewDecisions[getFixKey(fixReviewItems[i])] = decision;
+    }
+    updateAppliedSuggestions();
+}
+
+// v2.15 - Switch the diff view between side by side and unified
+function setDiffViewMode(mode) {
+    diffViewMode = mode === 'unified' ? 'unified' : 'split';
+    updateDiffView();
+}
+
+// v2.15 - Render the input against the applied output in the diff view
+function updateDiffView() {
+    var view = document.getElementById('diffView');
+    if (!view) {
+        return;
+    }
+
+    diffViewChange = -1;
+    updateDiffCounter(0);
+
+    if (!originalInputCode || lastAppliedCode === null || typeof DSLDiff === 'undefined') {
+        view.innerHTML = '';
+        return;
+    }
+
+    var rows = buildDiffRows(originalInputCode, lastAppliedCode);
+    var changes = rows.filter(function(row) {
+        return row.changeStart;
+    }).length;
+
+    if (changes === 0) {
+        view.innerHTML = '<div class="diff-empty">No changes - the fixes leave the code as it is.</div>';
+        return;
+    }
+
+    view.innerHTML = diffViewMode === 'unified' ? renderUnifiedDiff(rows) : renderSplitDiff(rows);
+    updateDiffCounter(changes);
+}
+
+// v2.15 - Rows of the diff: equal lines, and changed lines with deleted and inserted
+// lines paired up for character highlighting. changeStart marks the first row of a change.
+function buildDiffRows(original, fixed) {
+    var ops = DSLDiff.diffLines(original, fixed);
+    var rows = [];
+    var deletes = [];
+    var inserts = [];
+
+    function flush() {
+        var count = Math.max(deletes.length, inserts.length);
+        for (var k = 0; k < count; k++) {
+            var oldOp = deletes[k] || null;
+            var newOp = inserts[k] || null;
+            var segments = oldOp && newOp ? DSLDiff.diffChars(oldOp.line, newOp.line) : null;
+            rows.push({
+                type: 'change',
+                changeStart: k === 0,
+                oldNum: oldOp ? oldOp.oldLine : null,
+                newNum: newOp ? newOp.newLine : null,
+                oldHtml: oldOp ? highlightDiffChars(segments, 'delete', oldOp.line) : null,
+                newHtml: newOp ? highlightDiffChars(segments, 'insert', newOp.line) : null
+            });
+        }
+        deletes = [];
+        inserts = [];
+    }
+
+    for (var i = 0; i < ops.length; i++) {
+        if (ops[i].type === 'delete') {
+            deletes.push(ops[i]);
+        } else if (ops[i].type === 'insert') {
+            inserts.push(ops[i]);
+        } else {
+            flush();
+            rows.push({
+                type: 'equal',
+                changeStart: false,
+                oldNum: ops[i].oldLine,
+                newNum: ops[i].newLine,
+                oldHtml: escapeHtml(ops[i].line),
+                newHtml: escapeHtml(ops[i].line)
+            });
+        }
+    }
+    flush();
+
+    return rows;
+}
+
+// v2.15 - One side of a changed line, with the changed characters marked
+function highlightDiffChars(segments, side, line) {
+    if (!segments) {
+        return escapeHtml(line);
+    }
+
+    var html = '';
+    for (var i = 0; i < segments.length; i++) {
+        if (segments[i].type === 'equal') {
+            html += escapeHtml(segments[i].text);
+        } else if (segments[i].type === side) {
+            html += '<span class="diff-char-' + side + '">' + escapeHtml(segments[i].text) + '</span>';
+        }
+    }
+    return html;
+}
+
+function renderSplitDiff(rows) {
+    var html = ['<table class="diff-table diff-split">'];
+
+    for (var i = 0; i < rows.length; i++) {
+        var row = rows[i];
+        var changed = row.type === 'change';
+        html.push(
+            '<tr class="' + (row.changeStart ? 'diff-change-start' : '') + '">' +
+                '<td class="diff-num">' + (row.oldNum || '') + '</td>' +
+                '<td class="diff-text' + (changed ? (row.oldHtml === null ? ' diff-blank' : ' diff-delete') : '') + '">' + (row.oldHtml || '') + '</td>' +
+                '<td class="diff-num">' + (row.newNum || '') + '</td>' +
+                '<td class="diff-text' + (changed ? (row.newHtml === null ? ' diff-blank' : ' diff-insert') : '') + '">' + (row.newHtml || '') + '</td>' +
+            '</tr>'
+        );
+    }
+
+    html.push('</table>');
+    return html.join('');
+}
+
+// Unified layout lists a change's old lines before its new lines
+function renderUnifiedDiff(rows) {
+    var html = ['<table class="diff-table diff-unified">'];
+    var i = 0;
+
+    function line(cssClass, oldNum, newNum, sign, text) {
+        html.push(
+            '<tr class="' + cssClass + '">' +
+                '<td class="diff-num">' + (oldNum || '') + '</td>' +
+                '<td class="diff-num">' + (newNum || '') + '</td>' +
+                '<td class="diff-text' + (sign === ' ' ? '' : (sign === '-' ? ' diff-delete' : ' diff-insert')) + '">' +
+                    '<span class="diff-sign">' + sign + '</span>' + text +
+                '</td>' +
+            '</tr>'
+        );
+    }
+
+    while (i < rows.length) {
+        if (rows[i].type === 'equal') {
+            line('', rows[i].oldNum, rows[i].newNum, ' ', rows[i].oldHtml);
+            i++;
+            continue;
+        }
+
+        var run = [];
+        do {
+            run.push(rows[i]);
+            i++;
+        } while (i < rows.length && rows[i].type === 'change' && !rows[i].changeStart);
+
+        var first = true;
+        var r;
+        for (r = 0; r < run.length; r++) {
+            if (run[r].oldHtml !== null) {
+                line(first ? 'diff-change-start' : '', run[r].oldNum, null, '-', run[r].oldHtml);
+                first = false;
+            }
+        }
+        for (r = 0; r < run.length; r++) {
+            if (run[r].newHtml !== null) {
+                line(first ? 'diff-change-start' : '', null, run[r].newNum, '+', run[r].newHtml);
+                first = false;
+            }
+        }
+    }
+
+    html.push('</table>');
+    return html.join('');
+}
+
+// v2.15 - Scroll to the next change (wraps around after the last one)
+function jumpToNextChange() {
+    var view = document.getElementById('diffView');
+    if (!view) {
+        return;
+    }
+
+    var starts = view.querySelectorAll('.diff-change-start');
+    if (starts.length === 0) {
+        return;
+    }
+
+    if (diffViewChange >= 0 && starts[diffViewChange]) {
+        starts[diffViewChange].classList.remove('diff-current');
+    }
+    diffViewChange = (diffViewChange + 1) % starts.length;
+    starts[diffViewChange].classList.add('diff-current');
+
+    if (starts[diffViewChange].scrollIntoView) {
+        starts[diffViewChange].scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+    updateDiffCounter(starts.length);
+}
+
+function updateDiffCounter(changes) {
+    var counter = document.getElementById('diffChangeCounter');
+    if (!counter) {
+        return;
+    }
+
+    if (changes === 0) {
+        counter.textContent = '';
+    } else if (diffViewChange < 0) {
+        counter.textContent = changes + (changes === 1 ? ' change' : ' changes');
+    } else {
+        counter.textContent = 'Change ' + (diffViewChange + 1) + ' of ' + changes;
+    }
+}
+
+// v2.14 - Escape text for innerHTML output
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
 // Helper function to get line indentation
 function getIndent(line) {
     var match = line.match(/^(\s*)/);
@@ -772,6 +1937,27 @@ function clearSuggestionInput() {
     setElementContent('suggestionsApplied', '');
     document.getElementById('htmlOutput').innerHTML = '';
 
+    // v2.15 - Clear the diff view
+    lastAppliedCode = null;
+    updateDiffView();
+
+    // v2.16 - Clear the editor's underlines
+    if (codeEditor) {
+        codeEditor.clearMarkers();
+    }
+
+    // v2.14 - Drop the review list with the input
+    fixReviewDecisions = {};
+    fixReviewItems = [];
+    if (document.getElementById('fixReviewList')) {
+        document.getElementById('fixReviewList').innerHTML = '';
+        document.getElementById('fixReviewSummary').textContent = '';
+    }
+
+    // v2.18 - Drop pending worker requests and results
+    cancelWorkerRequests();
+    workerResults = { code: null, analysis: null, fixed: {} };
+
     // Clear stored input code
     originalInputCode = '';
     lastInputCode = '';
@@ -853,6 +2039,28 @@ function showCopyFeedback(element) {
 
 // Initialize version display when page loads
 document.addEventListener('DOMContentLoaded', function() {
+    // v2.16 - Input editor with gutter markers and underlines
+    var input = document.getElementById('suggestionInput');
+    if (input && typeof DSLCodeEditor !== 'undefined') {
+        codeEditor = DSLCodeEditor.create(input);
+    }
+
+    // v2.19 - Saved rule settings
+    if (typeof DSLRuleSettings !== 'undefined') {
+        ruleSettingsOverrides = DSLRuleSettings.load();
+        ruleSettingsPreset = DSLRuleSettings.loadPreset();
+    }
+
+    // v2.18 - Analysis worker (stays null where workers cannot start, e.g. file:// pages)
+    if (typeof DSLAnalysisClient !== 'undefined') {
+        analysisWorker = DSLAnalysisClient.create();
+    }
+
+    // v2.17 - Live analysis re-runs after a typing pause
+    if (input) {
+        input.addEventListener('input', scheduleLiveAnalysis);
+    }
+
     // Update version displays
     if (document.getElementById('appJsVersion')) {
         document.getElementById('appJsVersion').textContent = dslSuggestionsAppVersion();
@@ -886,11 +2094,11 @@ document.addEventListener('DOMContentLoaded', function() {
 });
 
 // v2.10 - CRITICAL FIX: Properly expose functions to global scope
-// v2.11 - Added regenerateAppliedSuggestions to exports
+// v2.14 - Removed regenerateAppliedSuggestions export (function no longer exists; the
+//         reference threw and stopped the exports below it)
 // This MUST be at the file's top level, not inside any function
 if (typeof window !== 'undefined') {
     window.updateSuggestionDisplay = updateSuggestionDisplay;
-    window.regenerateAppliedSuggestions = regenerateAppliedSuggestions;
     window.updateAppliedSuggestions = updateAppliedSuggestions;  // v3.03 - New function for radio control
     window.updateDisplayForm = updateDisplayForm;  // v3.41 - Update both HTML and applied suggestions
     window.getSuggestions = getSuggestions;
@@ -902,6 +2110,24 @@ if (typeof window !== 'undefined') {
     window.dslSuggestionsAppVersion = dslSuggestionsAppVersion;
     window.debugExtraneousBlock = debugExtraneousBlock;
     window.handleScriptError = handleScriptError;
+    window.toggleFixReview = toggleFixReview;  // v2.14 - Fix review mode
+    window.setFixDecision = setFixDecision;
+    window.setAllFixDecisions = setAllFixDecisions;
+    window.setDiffViewMode = setDiffViewMode;  // v2.15 - Diff view
+    window.jumpToNextChange = jumpToNextChange;
+    window.toggleLiveAnalysis = toggleLiveAnalysis;  // v2.17 - Live analysis
+    window.toggleRuleSettings = toggleRuleSettings;  // v2.19 - Rule settings panel
+    window.setRuleSetting = setRuleSetting;
+    window.resetRuleSettings = resetRuleSettings;
+    window.exportRuleProfile = exportRuleProfile;  // v2.20 - Rule settings profiles
+    window.importRuleProfile = importRuleProfile;
+    window.applyRuleProfile = applyRuleProfile;
+    window.cancelRuleProfile = cancelRuleProfile;
+    window.selectRulePreset = selectRulePreset;
+    window.renderRulePresets = renderRulePresets;
+    window.convertInputForm = convertInputForm;  // v2.22 - Convert input form
+    window.formatInput = formatInput;  // v2.23 - Format input
+    window.extractVariableInput = extractVariableInput;  // v2.24 - Extract variable
     
     // Demo functions
     window.demonstrateContinuousExpressions = demonstrateContinuousExpressions;
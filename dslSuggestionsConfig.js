@@ -130,6 +130,7 @@ var dslSuggestionsConfigData = {
         traditional: "ifNull({expression}, {defaultAltValue})",
         method: "({expression}).ifNull({defaultAltValue})"
       },
+      skipIfWrappedIn: ["ifNull"],
       defaultAltValue: "ref, string, etc."
     },
 
@@ -153,6 +154,46 @@ var dslSuggestionsConfigData = {
     }
   },
 
+  // Named presets applied on top of suggestionRules (app Rule Settings, dsl-suggest --preset).
+  // rules: the only rules left enabled; settings: values set on every rule.
+  presets: {
+    performance: {
+      label: "Performance",
+      description: "Query, unique key and node access rules only",
+      rules: ["queryFunctions", "uniqueKey", "nonOptimalNodeAccess"]
+    },
+
+    safety: {
+      label: "Safety",
+      description: "Divide-by-zero and null access protection only",
+      rules: ["divisionOperations", "nullAccessProtection"]
+    },
+
+    style: {
+      label: "Style",
+      description: "Naming, math parentheses and extraneous block rules only",
+      rules: ["variableNaming", "mathOperationsParens", "extraneousBlocks"]
+    },
+
+    strict: {
+      label: "Strict",
+      description: "Every rule reported as an error",
+      settings: { severity: "error" }
+    }
+  },
+
+  // Formatter layout (app Format button, dsl-suggest --format): argument lists longer than
+  // width are broken one argument per line; indent is spaces per level
+  formatting: {
+    width: 100,
+    indent: 4
+  },
+
   // Global library configuration (used by nonOptimalNodeAccess)
   libraries: ["Primary", "Secondary", "Tertiary"]
 };
+
+// Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = dslSuggestionsConfigData;
+}
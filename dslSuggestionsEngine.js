@@ -1,7 +1,7 @@
 /*
  * FILE: dslSuggestionsEngine.js
- * VERSION: v3.00
- * LAST UPDATED: 2025-10-29
+ * VERSION: v3.13
+ * LAST UPDATED: 2026-10-19
  *
  * ARTIFACT INFO (for proper Claude artifact creation):
  * - ID: dslSuggestionsEngine.js
@@ -10,7 +10,9 @@
  *
  * ARCHITECTURAL BOUNDARY: Suggestions
  * PROVIDES: analyzeDSL(), formatSuggestionsOutput(), dslSuggestionsVersion(),
- *           getSuggestionsConfigVersion(), generateCodeSuggestions(), applyCodeSuggestions()
+ *           getSuggestionsConfigVersion(), generateCodeSuggestions(), applyCodeSuggestions(),
+ *           applyCodeSuggestionsWithReport(), applySuggestionEdits(), createAnalysisCache(),
+ *           validateSuggestionsConfig(), applyConfigPreset()
  *
  * DESCRIPTION:
  * Core DSL suggestions engine for analyzing code and providing improvement suggestions.
@@ -22,9 +24,85 @@
  * - Simplified initialization (3 files instead of 10+)
  * - Applies config defaults to rules automatically
  * - Much faster page load (3 HTTP requests instead of 10+)
+ *
+ * v3.01:
+ * - Auto-loads dslParser.js and passes the parsed AST to rules as context.ast
+ * - Parse errors are available to rules as context.parseErrors (never fatal)
+ *
+ * v3.02:
+ * - Builds logical statements (a full comma-separated block() argument, even
+ *   across lines) and passes them to rules as context.statements
+ * - Rules that define checkStatement(statement, context, config) are called once
+ *   per logical statement; their check() still runs on code lines the parser
+ *   could not place in a statement
+ *
+ * v3.03:
+ * - Honours suppression comments: dsl-ignore (same line), dsl-ignore-next-line
+ *   and dsl-ignore-file, each followed by optional rule names
+ * - Suppressed suggestions move to results.suppressed and are counted in
+ *   results.summary.suppressed
+ *
+ * v3.04:
+ * - Runs headless (Node.js): config and rules are read from globals instead of
+ *   window, and the script auto-load only runs when a document is available
+ * - Node.js export of the engine API (see dslSuggestionsNode.js)
+ *
+ * v3.05:
+ * - applyCodeSuggestions(code, options) accepts options.style ('traditional' or
+ *   'method') in place of the form selection lookup, and options.config
+ *
+ * v3.06:
+ * - Fixes are turned into text edits (ranges) against the analysed code; edits that
+ *   overlap an already accepted fix are dropped as conflicts and retried next pass
+ * - Analyse/fix repeats until nothing changes (MAX_FIX_ITERATIONS cap)
+ * - applyCodeSuggestionsWithReport() returns the code plus applied, skipped and
+ *   conflicting fixes; applyCodeSuggestions() returns just the code
+ * - Auto-loads dslDiff.js (line diff used to split a fix into edits)
+ *
+ * v3.07:
+ * - Suggestions may carry edits per fix style ({traditional: [...], method: [...]},
+ *   each edit {range: {start, end}, newText} with 1-based lines, 0-based columns).
+ *   Auto-fix applies those edits as given and only falls back to the rule's
+ *   fix(code, suggestion, config) for suggestions without them
+ * - applySuggestionEdits(code, suggestions, style) applies chosen suggestions
+ *   (for previewing or accepting single fixes)
+ * - Rules that define checkAST(ast, context, config) are called once per analysis
+ * - Instance numbers are reset by the engine only; options.instanceOffsets lets the
+ *   fix loop keep default-value placeholders unique across passes
+ *
+ * v3.08:
+ * - options.cache (from createAnalysisCache()) reuses the results of rules marked
+ *   cacheable for statements and lines whose text did not change since the last
+ *   analysis; only edited statements are re-checked (live analysis in the app)
+ * - applyCodeSuggestionsWithReport() passes options.cache on to its analyses
+ *
+ * v3.09:
+ * - validateSuggestionsConfig() checks a config against the common rule settings and
+ *   each rule's configSchema (unknown settings, types, severities, template
+ *   placeholders); errors name the path, e.g. suggestionRules.x.fixTemplates.method
+ * - The auto-load reports config errors once the rules are loaded
+ *
+ * v3.10:
+ * - applyConfigPreset() returns a config with one of config.presets applied (only the
+ *   preset's rules enabled, its settings set on every rule); presets are validated too
+ *
+ * v3.11:
+ * - config.formatting (width, indent of dslFormatter.js) is validated; schema type 'integer'
+ *
+ * v3.12:
+ * - applyCodeSuggestionsWithReport() options.only limits the fixes to chosen suggestions
+ *   (fix review); one that overlaps another is applied on the next pass, to the code
+ *   the other fix produced, and report.unapplied lists those that never applied
+ *
+ * v3.13:
+ * - options.cache is cleared when the config's content changes, not only when another
+ *   config object is passed (a config edited in place no longer reuses stale results)
  */
 
-var DSL_SUGGESTIONS_ENGINE_VERSION = '3.00';
+var DSL_SUGGESTIONS_ENGINE_VERSION = '3.13';
+
+// Upper bound on analyse/fix passes in applyCodeSuggestions
+var MAX_FIX_ITERATIONS = 10;
 
 // Version information
 function dslSuggestionsVersion() {
@@ -39,6 +117,22 @@ function getSuggestionsConfigVersion() {
     return 'Not Found';
 }
 
+// Get the loaded config (browser global, or global set by dslSuggestionsNode.js)
+function getLoadedSuggestionsConfig() {
+    if (typeof dslSuggestionsConfigData !== 'undefined' && dslSuggestionsConfigData) {
+        return dslSuggestionsConfigData;
+    }
+    return {};
+}
+
+// Get the loaded rules (browser global, or global set by dslSuggestionsNode.js)
+function getLoadedRules() {
+    if (typeof DSL_RULES !== 'undefined' && Array.isArray(DSL_RULES)) {
+        return DSL_RULES;
+    }
+    return [];
+}
+
 // Get current form selection (Traditional vs Method)
 function getCurrentFormSelection() {
     // Check for force flag from app
@@ -88,18 +182,480 @@ function applyConfigDefaults(ruleConfig, defaults) {
     return merged;
 }
 
+/**
+ * Config with a named preset from config.presets applied. The preset's `rules` are
+ * the only rules left enabled and its `settings` are set on every rule.
+ * @returns {object|null} New config (the given one is not modified), or null when
+ *   the config has no preset with that name
+ */
+function applyConfigPreset(config, presetName) {
+    var presets = (config && config.presets) || {};
+    if (!presets.hasOwnProperty(presetName)) {
+        return null;
+    }
+
+    var preset = presets[presetName];
+    var result = {};
+    for (var key in config) {
+        if (config.hasOwnProperty(key)) {
+            result[key] = config[key];
+        }
+    }
+
+    result.suggestionRules = {};
+    for (var ruleName in config.suggestionRules) {
+        if (!config.suggestionRules.hasOwnProperty(ruleName)) {
+            continue;
+        }
+
+        // Preset settings win over the rule's own values
+        var ruleConfig = applyConfigDefaults(preset.settings || {}, config.suggestionRules[ruleName]);
+        if (preset.rules) {
+            ruleConfig.enabled = preset.rules.indexOf(ruleName) !== -1;
+        }
+        result.suggestionRules[ruleName] = ruleConfig;
+    }
+
+    return result;
+}
+
+// Config schema: setting name -> type ('boolean', 'string', 'integer', 'stringArray', 'template',
+// 'templates', 'enum', 'object', 'map', 'ruleNames') or { type, placeholders, values, keys, of, min }.
+// Rules add their own settings through rule.configSchema.
+var CONFIG_FIX_STYLES = ['traditional', 'method'];
+
+var CONFIG_RULE_SCHEMA = {
+    enabled: 'boolean',
+    label: 'string',
+    description: 'string',
+    severity: { type: 'enum', values: ['error', 'warning', 'info'] },
+    suggestionType: 'string',
+    suggestion: { type: 'template', placeholders: [] },
+    autoFixEnabled: 'boolean',
+    fixStyle: { type: 'enum', values: CONFIG_FIX_STYLES }
+};
+
+var CONFIG_SCHEMA = {
+    version: 'string',
+    specification: 'string',
+    lastUpdated: 'string',
+    styling: { type: 'object', keys: { suggestionColor: 'string', suggestionBold: 'boolean' } },
+    defaults: { type: 'object', keys: CONFIG_RULE_SCHEMA },
+    suggestionRules: 'rules',
+    presets: {
+        type: 'map',
+        of: {
+            type: 'object',
+            keys: {
+                label: 'string',
+                description: 'string',
+                rules: 'ruleNames',
+                settings: { type: 'object', keys: CONFIG_RULE_SCHEMA }
+            }
+        }
+    },
+    formatting: {
+        type: 'object',
+        keys: { width: { type: 'integer', min: 20 }, indent: { type: 'integer', min: 1 } }
+    },
+    libraries: 'stringArray'
+};
+
+/**
+ * Check a config against CONFIG_SCHEMA and the rules' configSchema.
+ * @param {object} config - Config to check (e.g. dslSuggestionsConfigData)
+ * @param {object} options - { rules: rule modules (default: loaded rules),
+ *   partial: true for profiles, which may leave out required settings }
+ * @returns {array} Error messages, each starting with the setting's path
+ */
+function validateSuggestionsConfig(config, options) {
+    options = options || {};
+
+    if (typeof DSLRuleUtils === 'undefined' || !DSLRuleUtils.Validation) {
+        console.warn('[Engine] Rule utilities not loaded - config not validated');
+        return [];
+    }
+
+    var Validation = DSLRuleUtils.Validation;
+    var rules = options.rules || getLoadedRules();
+    var errors = [];
+
+    var rulesByName = {};
+    for (var r = 0; r < rules.length; r++) {
+        if (rules[r]) {
+            rulesByName[rules[r].name] = rules[r];
+        }
+    }
+
+    function report(error) {
+        if (error) {
+            errors.push(error);
+        }
+    }
+
+    function join(path, key) {
+        return path ? path + '.' + key : key;
+    }
+
+    function isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function checkPlaceholders(template, placeholders, path) {
+        var pattern = /\{([A-Za-z_$][\w$]*)\}/g;
+        var match;
+        while ((match = pattern.exec(template)) !== null) {
+            if (placeholders.indexOf(match[1]) === -1) {
+                report(path + ' uses unknown placeholder {' + match[1] + '}' + (placeholders.length > 0 ?
+                    ' (available: {' + placeholders.join('}, {') + '})' : ' (none available)'));
+            }
+        }
+    }
+
+    function checkValue(value, spec, path) {
+        if (typeof spec === 'string') {
+            spec = { type: spec };
+        }
+
+        switch (spec.type) {
+            case 'boolean':
+                report(Validation.validateBoolean(value, path));
+                break;
+            case 'string':
+                report(Validation.validateString(value, path));
+                break;
+            case 'enum':
+                report(Validation.validateEnum(value, spec.values, path));
+                break;
+            case 'integer':
+                if (typeof value !== 'number' || value % 1 !== 0 || value < (spec.min || 0)) {
+                    report(path + ' must be a whole number of at least ' + (spec.min || 0));
+                }
+                break;
+            case 'stringArray':
+            case 'ruleNames':
+                var arrayError = Validation.validateArray(value, path);
+                report(arrayError);
+                if (!arrayError) {
+                    for (var i = 0; i < value.length; i++) {
+                        var itemPath = path + '[' + i + ']';
+                        var itemError = Validation.validateString(value[i], itemPath);
+                        report(itemError);
+                        if (!itemError && spec.type === 'ruleNames' && rules.length > 0 &&
+                            !rulesByName.hasOwnProperty(value[i])) {
+                            report(itemPath + ' is not a known rule');
+                        }
+                    }
+                }
+                break;
+            case 'template':
+                var stringError = Validation.validateString(value, path);
+                report(stringError);
+                if (!stringError) {
+                    checkPlaceholders(value, spec.placeholders || [], path);
+                }
+                break;
+            case 'templates':
+                if (!isObject(value)) {
+                    report(path + ' must be an object');
+                    break;
+                }
+                for (var style in value) {
+                    if (!value.hasOwnProperty(style)) {
+                        continue;
+                    }
+                    if (CONFIG_FIX_STYLES.indexOf(style) === -1) {
+                        report(join(path, style) + ' is not a fix style (' + CONFIG_FIX_STYLES.join(', ') + ')');
+                    } else {
+                        checkValue(value[style], { type: 'template', placeholders: spec.placeholders }, join(path, style));
+                    }
+                }
+                break;
+            case 'object':
+                if (!isObject(value)) {
+                    report(path + ' must be an object');
+                } else {
+                    checkObject(value, spec.keys, path);
+                }
+                break;
+            case 'map':
+                if (!isObject(value)) {
+                    report(path + ' must be an object');
+                    break;
+                }
+                for (var name in value) {
+                    if (value.hasOwnProperty(name)) {
+                        checkValue(value[name], spec.of, join(path, name));
+                    }
+                }
+                break;
+            case 'rules':
+                if (!isObject(value)) {
+                    report(path + ' must be an object');
+                } else {
+                    checkRules(value, path);
+                }
+                break;
+        }
+    }
+
+    function checkObject(object, schema, path) {
+        for (var key in object) {
+            if (!object.hasOwnProperty(key)) {
+                continue;
+            }
+            if (!schema.hasOwnProperty(key)) {
+                report(join(path, key) + ' is not a known setting');
+            } else {
+                checkValue(object[key], schema[key], join(path, key));
+            }
+        }
+    }
+
+    function checkRules(ruleConfigs, path) {
+        for (var ruleName in ruleConfigs) {
+            if (!ruleConfigs.hasOwnProperty(ruleName)) {
+                continue;
+            }
+
+            var rulePath = join(path, ruleName);
+            var rule = rulesByName[ruleName];
+            if (!isObject(ruleConfigs[ruleName])) {
+                report(rulePath + ' must be an object');
+                continue;
+            }
+            if (!rule) {
+                // Without loaded rules there is no schema to check the block against
+                if (rules.length > 0) {
+                    report(rulePath + ' is not a known rule');
+                }
+                continue;
+            }
+
+            var schema = {};
+            var key;
+            for (key in CONFIG_RULE_SCHEMA) {
+                schema[key] = CONFIG_RULE_SCHEMA[key];
+            }
+            for (key in rule.configSchema || {}) {
+                schema[key] = rule.configSchema[key];
+            }
+            checkObject(ruleConfigs[ruleName], schema, rulePath);
+        }
+    }
+
+    if (!isObject(config)) {
+        return ['config must be an object'];
+    }
+    if (!options.partial) {
+        report(Validation.validateRequiredProperty(config, 'suggestionRules', 'config'));
+    }
+    checkObject(config, CONFIG_SCHEMA, '');
+
+    return errors;
+}
+
+// Replace comments with spaces (newlines kept) so offsets still line up
+function maskComments(text, comments, offset) {
+    var masked = text.split('');
+    for (var i = 0; i < comments.length; i++) {
+        var from = Math.max(comments[i].start - offset, 0);
+        var to = Math.min(comments[i].end - offset, masked.length);
+        for (var j = from; j < to; j++) {
+            if (masked[j] !== '\n') {
+                masked[j] = ' ';
+            }
+        }
+    }
+    return masked.join('');
+}
+
+// Split parsed code into logical statements: top-level statements and every
+// comma-separated argument of block() / foreach() bodies, however many lines
+// each one spans
+function getLogicalStatements(code, ast) {
+    var statements = [];
+    if (!ast || typeof DSLParser === 'undefined') {
+        return statements;
+    }
+
+    var lineIndex = DSLParser.createLineIndex(code);
+
+    function addStatement(node) {
+        if (!node || node.type === 'Invalid') {
+            return;
+        }
+
+        // Descend into containers so each inner statement is checked on its own
+        var container = node.type === 'Assignment' ? node.value : node;
+        if (container && (container.type === 'Block' || container.type === 'Foreach')) {
+            for (var i = 0; i < container.body.length; i++) {
+                addStatement(container.body[i]);
+            }
+            return;
+        }
+
+        var text = code.substring(node.start, node.end);
+        var inner = ast.comments.filter(function(comment) {
+            return comment.start < node.end && comment.end > node.start;
+        });
+        var start = node.start;
+
+        statements.push({
+            node: node,
+            text: text,
+            code: maskComments(text, inner, start),
+            start: start,
+            end: node.end,
+            startLine: node.loc.start.line,
+            startColumn: node.loc.start.column,
+            endLine: node.loc.end.line,
+            endColumn: node.loc.end.column,
+            // Map an offset within the statement back to a source line/column
+            positionAt: function(offset) {
+                return lineIndex.positionAt(start + offset);
+            }
+        });
+    }
+
+    for (var i = 0; i < ast.body.length; i++) {
+        addStatement(ast.body[i]);
+    }
+
+    return statements;
+}
+
+// Collect suppression directives from comments, e.g.
+//   /* dsl-ignore divisionOperations */              - same line
+//   /* dsl-ignore-next-line nullAccessProtection */  - following line
+//   /* dsl-ignore-file queryFunctions */             - whole file
+// Rule names are separated by commas or spaces; no names means all rules.
+function collectSuppressions(code, ast) {
+    var suppressions = {
+        file: null,
+        lines: {}
+    };
+    var directivePattern = /(?:\/\*|\/\/)\s*(dsl-ignore(?:-next-line|-file)?)\b([^*\n]*)/;
+
+    // Comments from the parser, or a plain line scan when it isn't loaded
+    var comments = [];
+    if (ast) {
+        comments = ast.comments.map(function(comment) {
+            return { text: comment.value, line: comment.line };
+        });
+    } else {
+        var lines = code.split('\n');
+        for (var i = 0; i < lines.length; i++) {
+            var commentStart = lines[i].search(/\/\*|\/\//);
+            if (commentStart !== -1) {
+                comments.push({ text: lines[i].substring(commentStart), line: i + 1 });
+            }
+        }
+    }
+
+    function addRules(target, names) {
+        if (names.length === 0) {
+            return '*';
+        }
+        if (target === '*') {
+            return target;
+        }
+        return (target || []).concat(names);
+    }
+
+    for (var j = 0; j < comments.length; j++) {
+        var match = comments[j].text.match(directivePattern);
+        if (!match) {
+            continue;
+        }
+
+        var names = match[2].split(/[\s,]+/).filter(function(name) {
+            return name !== '';
+        });
+
+        if (match[1] === 'dsl-ignore-file') {
+            suppressions.file = addRules(suppressions.file, names);
+        } else {
+            var line = comments[j].line + (match[1] === 'dsl-ignore-next-line' ? 1 : 0);
+            suppressions.lines[line] = addRules(suppressions.lines[line], names);
+        }
+    }
+
+    return suppressions;
+}
+
+// Check whether a suggestion is switched off by a suppression directive
+function isSuggestionSuppressed(suggestion, suppressions) {
+    function matches(rules) {
+        return rules === '*' || (!!rules && rules.indexOf(suggestion.rule) !== -1);
+    }
+    return matches(suppressions.file) || matches(suppressions.lines[suggestion.line]);
+}
+
+// Cache for analyzeDSL(code, {cache: cache}). Holds the suggestions of cacheable rules
+// per statement/line text for one config (compared by content); hits and misses count
+// reused and re-run checks (reset them to measure a single update)
+function createAnalysisCache() {
+    return {
+        config: null,
+        configText: null,
+        entries: {},
+        hits: 0,
+        misses: 0
+    };
+}
+
+// Copy cached suggestions to where their statement/line is now
+function relocateSuggestions(suggestions, lineDelta) {
+    if (lineDelta === 0) {
+        return suggestions.slice();
+    }
+
+    function moveRange(edit) {
+        return {
+            range: {
+                start: { line: edit.range.start.line + lineDelta, column: edit.range.start.column },
+                end: { line: edit.range.end.line + lineDelta, column: edit.range.end.column }
+            },
+            newText: edit.newText
+        };
+    }
+
+    return suggestions.map(function(suggestion) {
+        var moved = {};
+        for (var key in suggestion) {
+            if (suggestion.hasOwnProperty(key)) {
+                moved[key] = suggestion[key];
+            }
+        }
+        moved.line = suggestion.line + lineDelta;
+
+        if (suggestion.edits) {
+            moved.edits = {};
+            for (var style in suggestion.edits) {
+                if (suggestion.edits.hasOwnProperty(style)) {
+                    moved.edits[style] = suggestion.edits[style].map(moveRange);
+                }
+            }
+        }
+        return moved;
+    });
+}
+
 // Main analysis function
 function analyzeDSL(code, options) {
     options = options || {};
 
     // Get config (either passed in or global)
-    var config = options.config || window.dslSuggestionsConfigData || {};
+    var config = options.config || getLoadedSuggestionsConfig();
 
     // Initialize results
     var results = {
         suggestions: [],
+        suppressed: [],
         summary: {
             total: 0,
+            suppressed: 0,
             byType: {},
             bySeverity: {}
         }
@@ -108,15 +664,88 @@ function analyzeDSL(code, options) {
     // Split code into lines
     var lines = code.split('\n');
 
+    // Parse once so rules can match on AST nodes instead of line text
+    var ast = null;
+    if (typeof DSLParser !== 'undefined') {
+        try {
+            ast = DSLParser.parse(code);
+        } catch (error) {
+            console.warn('[Engine] Parser failed, rules will only see line text:', error);
+        }
+    }
+
+    var statements = getLogicalStatements(code, ast);
+
+    // Lines covered by a logical statement, and lines holding any code at all
+    var statementsByLine = {};
+    var coveredLines = {};
+    var codeLines = {};
+    for (var s = 0; s < statements.length; s++) {
+        var startLine = statements[s].startLine;
+        (statementsByLine[startLine] = statementsByLine[startLine] || []).push(statements[s]);
+        for (var l = startLine; l <= statements[s].endLine; l++) {
+            coveredLines[l] = true;
+        }
+    }
+    if (ast) {
+        for (var t = 0; t < ast.tokens.length; t++) {
+            codeLines[ast.tokens[t].line] = true;
+        }
+    }
+
     // Build context object
     var context = {
         lines: lines,
         totalLines: lines.length,
-        options: options
+        options: options,
+        ast: ast,
+        parseErrors: ast ? ast.errors : [],
+        statements: statements
     };
 
+    // Results of cacheable rules only depend on the checked text and the instance
+    // number reached before it, so unchanged statements reuse them. Entries not
+    // used by this analysis are dropped.
+    var cache = options.cache || null;
+    var usedEntries = {};
+    if (cache) {
+        // v3.13 - The same config object may have been edited since the last analysis
+        var configText = JSON.stringify(config);
+        if (cache.config !== config || cache.configText !== configText) {
+            cache.config = config;
+            cache.configText = configText;
+            cache.entries = {};
+        }
+    }
+
+    function runCached(rule, key, firstLine, check) {
+        if (!cache || !rule.cacheable) {
+            return check();
+        }
+
+        var cacheKey = rule.name + '\u0000' + (rule._instanceCounter || 0) + '\u0000' + key;
+        var entry = usedEntries[cacheKey] || cache.entries[cacheKey];
+
+        if (entry) {
+            cache.hits++;
+            usedEntries[cacheKey] = entry;
+            rule._instanceCounter = (rule._instanceCounter || 0) + entry.count;
+            return relocateSuggestions(entry.suggestions, firstLine - entry.firstLine);
+        }
+
+        cache.misses++;
+        var counterBefore = rule._instanceCounter || 0;
+        var checked = check() || [];
+        usedEntries[cacheKey] = {
+            firstLine: firstLine,
+            suggestions: checked,
+            count: (rule._instanceCounter || 0) - counterBefore
+        };
+        return relocateSuggestions(checked, 0);
+    }
+
     // Use DSL_RULES array directly (no dynamic loading needed!)
-    var ruleModules = window.DSL_RULES || [];
+    var ruleModules = getLoadedRules();
 
     for (var i = 0; i < ruleModules.length; i++) {
         var rule = ruleModules[i];
@@ -133,21 +762,79 @@ function analyzeDSL(code, options) {
             ruleConfig = applyConfigDefaults(ruleConfig, config.defaults);
         }
 
-        // Check each line with this rule
+        // Instance numbers restart with every analysis (the fix loop continues
+        // numbering from earlier passes through options.instanceOffsets)
+        if (rule.hasOwnProperty('_instanceCounter')) {
+            rule._instanceCounter = (options.instanceOffsets && options.instanceOffsets[rule.name]) || 0;
+        }
+
+        var useStatements = ast && typeof rule.checkStatement === 'function';
+
+        // Check each line with this rule (statement-aware rules get each
+        // logical statement where it starts, in source order)
         for (var lineNum = 0; lineNum < lines.length; lineNum++) {
             var line = lines[lineNum];
-
-            var lineSuggestions = rule.check(line, lineNum + 1, lines, context, config);
+            var lineSuggestions = null;
+
+            if (!useStatements) {
+                lineSuggestions = runCached(rule, 'line\u0000' + line, lineNum + 1, function() {
+                    return rule.check(line, lineNum + 1, lines, context, config);
+                });
+            } else if (statementsByLine[lineNum + 1]) {
+                lineSuggestions = [];
+                var lineStatements = statementsByLine[lineNum + 1];
+                for (var k = 0; k < lineStatements.length; k++) {
+                    var statement = lineStatements[k];
+                    // The first line's columns depend on where the statement starts
+                    var statementSuggestions = runCached(rule, 'statement\u0000' + statement.startColumn + '\u0000' + statement.text,
+                        statement.startLine, function() {
+                            return rule.checkStatement(statement, context, config);
+                        });
+                    if (statementSuggestions && statementSuggestions.length > 0) {
+                        lineSuggestions = lineSuggestions.concat(statementSuggestions);
+                    }
+                }
+            } else if (!coveredLines[lineNum + 1] && codeLines[lineNum + 1] && typeof rule.check === 'function') {
+                // Code the parser could not place in a statement
+                lineSuggestions = runCached(rule, 'line\u0000' + line, lineNum + 1, function() {
+                    return rule.check(line, lineNum + 1, lines, context, config);
+                });
+            }
 
             // Add suggestions to results
             if (lineSuggestions && lineSuggestions.length > 0) {
                 results.suggestions = results.suggestions.concat(lineSuggestions);
             }
         }
+
+        // Whole-tree checks (e.g. matching nodes that span several lines)
+        if (ast && typeof rule.checkAST === 'function') {
+            var astSuggestions = rule.checkAST(ast, context, config);
+            if (astSuggestions && astSuggestions.length > 0) {
+                results.suggestions = results.suggestions.concat(astSuggestions);
+            }
+        }
+    }
+
+    if (cache) {
+        cache.entries = usedEntries;
+    }
+
+    // Drop suggestions switched off by dsl-ignore comments
+    var suppressions = collectSuppressions(code, ast);
+    var kept = [];
+    for (var n = 0; n < results.suggestions.length; n++) {
+        if (isSuggestionSuppressed(results.suggestions[n], suppressions)) {
+            results.suppressed.push(results.suggestions[n]);
+        } else {
+            kept.push(results.suggestions[n]);
+        }
     }
+    results.suggestions = kept;
 
     // Calculate summary
     results.summary.total = results.suggestions.length;
+    results.summary.suppressed = results.suppressed.length;
 
     // Group by type and severity
     for (var j = 0; j < results.suggestions.length; j++) {
@@ -190,7 +877,7 @@ function formatSuggestionsOutput(code, suggestions) {
     var result = [];
 
     // Get styling configuration
-    var config = window.dslSuggestionsConfigData || {};
+    var config = getLoadedSuggestionsConfig();
     var suggestionStyle = buildSuggestionStyle(config);
 
     // Add each line with its suggestions
@@ -257,113 +944,545 @@ function generateCodeSuggestions(code) {
     }
 }
 
-// Apply code suggestions - auto-fix functionality
-function applyCodeSuggestions(code) {
-    if (!code || code.trim() === '') {
-        return code;
+// Turn a fix (code before -> code after) into text edits {start, end, newText}
+// over the original code. The line diff keeps fixes that touch several places
+// (e.g. every occurrence of an expression) as separate, small edits.
+function computeFixEdits(before, after) {
+    if (before === after) {
+        return [];
     }
 
-    try {
-        // Get config
-        var config = window.dslSuggestionsConfigData || {};
+    var edits = [];
 
-        // Get current form selection
-        var formSelection = getCurrentFormSelection();
-        console.log('[Engine] Applying fixes with form selection:', formSelection);
+    if (typeof DSLDiff !== 'undefined') {
+        var ops = DSLDiff.diffLines(before, after);
+        var beforeStarts = getLineStartOffsets(before);
+        var afterStarts = getLineStartOffsets(after);
+        var run = null;
 
-        // Build rules to apply from DSL_RULES
-        var rulesToApply = window.DSL_RULES || [];
+        var closeRun = function(oldEnd, newEnd) {
+            if (!run) {
+                return;
+            }
+            var start = lineStartOffset(beforeStarts, before, run.oldStart);
+            var end = lineStartOffset(beforeStarts, before, oldEnd);
+            var newStart = lineStartOffset(afterStarts, after, run.newStart);
+            var newStop = lineStartOffset(afterStarts, after, newEnd);
+            edits.push(narrowEdit(before, start, end, after.substring(newStart, newStop)));
+            run = null;
+        };
 
-        console.log('[Engine] Rules available:', rulesToApply.length);
+        var oldLine = 0;
+        var newLine = 0;
+        for (var i = 0; i < ops.length; i++) {
+            if (ops[i].type === 'equal') {
+                closeRun(oldLine, newLine);
+                oldLine++;
+                newLine++;
+            } else {
+                if (!run) {
+                    run = { oldStart: oldLine, newStart: newLine };
+                }
+                if (ops[i].type === 'delete') {
+                    oldLine++;
+                } else {
+                    newLine++;
+                }
+            }
+        }
+        closeRun(beforeStarts.length, afterStarts.length);
 
-        var modifiedCode = code;
-        var anyChanges = false;
-        var appliedRules = [];
-        var skippedRules = [];
+        // The line diff ignores a missing final newline; fall back if it can't rebuild `after`
+        if (applyTextEdits(before, edits) === after) {
+            return edits;
+        }
+        edits = [];
+    }
 
-        // Apply each rule's fix method
-        for (var i = 0; i < rulesToApply.length; i++) {
-            var rule = rulesToApply[i];
+    edits.push(narrowEdit(before, 0, before.length, after));
+    return edits;
+}
 
-            // Skip if rule not loaded
-            if (!rule || !rule.fix || typeof rule.fix !== 'function') {
-                continue;
-            }
+function getLineStartOffsets(text) {
+    var starts = [0];
+    for (var i = 0; i < text.length; i++) {
+        if (text.charAt(i) === '\n' && i + 1 < text.length) {
+            starts.push(i + 1);
+        }
+    }
+    return text === '' ? [] : starts;
+}
 
-            // Get rule config with defaults applied
-            var ruleConfig = config.suggestionRules && config.suggestionRules[rule.name];
-            if (ruleConfig && config.defaults) {
-                ruleConfig = applyConfigDefaults(ruleConfig, config.defaults);
-            }
+// Offset of a 0-based line start (end of text past the last line)
+function lineStartOffset(starts, text, line) {
+    return line < starts.length ? starts[line] : text.length;
+}
 
-            // Check if rule should be applied
-            if (!ruleConfig) {
-                skippedRules.push(rule.name + ' (no config)');
-                continue;
+// Offset of a {line (1-based), column (0-based)} position, clamped to its line
+function positionToOffset(starts, text, position) {
+    var lineStart = lineStartOffset(starts, text, position.line - 1);
+    var lineEnd = text.indexOf('\n', lineStart);
+    if (lineEnd === -1) {
+        lineEnd = text.length;
+    }
+    return Math.min(lineStart + position.column, lineEnd);
+}
+
+// A suggestion's edits for a fix style as offset edits {start, end, newText},
+// or null when the rule did not provide edits for that style
+function getSuggestionEdits(code, suggestion, style) {
+    var styleEdits = suggestion.edits && suggestion.edits[style || 'traditional'];
+    if (!Array.isArray(styleEdits)) {
+        return null;
+    }
+
+    var starts = getLineStartOffsets(code);
+    var edits = [];
+    for (var i = 0; i < styleEdits.length; i++) {
+        var start = positionToOffset(starts, code, styleEdits[i].range.start);
+        var end = positionToOffset(starts, code, styleEdits[i].range.end);
+        if (code.substring(start, end) !== styleEdits[i].newText) {
+            edits.push({ start: start, end: end, newText: styleEdits[i].newText });
+        }
+    }
+
+    return edits.sort(function(a, b) {
+        return a.start - b.start;
+    });
+}
+
+// Shrink an edit to the characters that actually change
+function narrowEdit(code, start, end, newText) {
+    var oldText = code.substring(start, end);
+    var prefix = 0;
+    while (prefix < oldText.length && prefix < newText.length &&
+           oldText.charAt(prefix) === newText.charAt(prefix)) {
+        prefix++;
+    }
+    var suffix = 0;
+    while (suffix < oldText.length - prefix && suffix < newText.length - prefix &&
+           oldText.charAt(oldText.length - 1 - suffix) === newText.charAt(newText.length - 1 - suffix)) {
+        suffix++;
+    }
+    return {
+        start: start + prefix,
+        end: end - suffix,
+        newText: newText.substring(prefix, newText.length - suffix)
+    };
+}
+
+// Two edits conflict when their ranges overlap or both insert at the same offset
+function editsOverlap(a, b) {
+    if (a.start === b.start) {
+        return true;
+    }
+    return a.start < b.end && b.start < a.end;
+}
+
+function sameEdits(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    for (var i = 0; i < a.length; i++) {
+        if (a[i].start !== b[i].start || a[i].end !== b[i].end || a[i].newText !== b[i].newText) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Apply non-overlapping edits (offsets refer to the unmodified code)
+function applyTextEdits(code, edits) {
+    var sorted = edits.slice().sort(function(a, b) {
+        return b.start - a.start;
+    });
+    for (var i = 0; i < sorted.length; i++) {
+        code = code.substring(0, sorted[i].start) + sorted[i].newText + code.substring(sorted[i].end);
+    }
+    return code;
+}
+
+// Apply the edits of the given suggestions (all from one analysis of `code`).
+// Suggestions whose edits overlap an earlier one are left out.
+// Returns {code, applied, conflicts}
+function applySuggestionEdits(code, suggestions, style) {
+    var result = { code: code, applied: [], conflicts: [] };
+    var allEdits = [];
+
+    for (var i = 0; i < suggestions.length; i++) {
+        var edits = getSuggestionEdits(code, suggestions[i], style);
+        if (!edits || edits.length === 0) {
+            continue;
+        }
+
+        var overlaps = false;
+        for (var e = 0; e < edits.length && !overlaps; e++) {
+            for (var a = 0; a < allEdits.length; a++) {
+                if (editsOverlap(edits[e], allEdits[a])) {
+                    overlaps = true;
+                    break;
+                }
             }
+        }
 
-            if (!ruleConfig.enabled) {
-                skippedRules.push(rule.name + ' (disabled)');
-                continue;
+        if (overlaps) {
+            result.conflicts.push(suggestions[i]);
+        } else {
+            allEdits = allEdits.concat(edits);
+            result.applied.push(suggestions[i]);
+        }
+    }
+
+    result.code = applyTextEdits(code, allEdits);
+    return result;
+}
+
+// Range covered by a fix's edits ({start, end} offsets), null without edits
+function getEditsRange(edits) {
+    if (!edits || edits.length === 0) {
+        return null;
+    }
+    var range = { start: edits[0].start, end: edits[0].end };
+    for (var i = 1; i < edits.length; i++) {
+        range.start = Math.min(range.start, edits[i].start);
+        range.end = Math.max(range.end, edits[i].end);
+    }
+    return range;
+}
+
+// Where a fix's range is once other edits are applied to the code: it moves with the
+// edits before it and grows with those inside it; inside an edit it follows its own
+// text into the new text (null when that text is gone)
+function mapFixRange(code, edits, range) {
+    var text = code.substring(range.start, range.end);
+    var delta = 0;
+    var growth = 0;
+
+    for (var i = 0; i < edits.length; i++) {
+        var edit = edits[i];
+        var change = edit.newText.length - (edit.end - edit.start);
+        if (edit.end <= range.start && edit.start < range.start) {
+            delta += change;
+        } else if (edit.start >= range.start && edit.end <= range.end) {
+            growth += change;
+        } else if (edit.start < range.end && range.start < edit.end) {
+            var at = edit.newText.indexOf(text);
+            if (at === -1) {
+                return null;
+            }
+            var start = edit.start + at;
+            for (var j = 0; j < edits.length; j++) {
+                if (edits[j].end <= edit.start && edits[j] !== edit) {
+                    start += edits[j].newText.length - (edits[j].end - edits[j].start);
+                }
             }
+            return { start: start, end: start + text.length };
+        }
+    }
 
-            if (!ruleConfig.autoFixEnabled) {
-                skippedRules.push(rule.name + ' (auto-fix disabled)');
-                continue;
+    return { start: range.start + delta, end: range.end + delta + growth };
+}
+
+// Short description of a suggestion for fix reports
+function describeFix(suggestion, iteration) {
+    return {
+        rule: suggestion.rule,
+        line: suggestion.line,
+        column: suggestion.column,
+        original: suggestion.original,
+        instanceNumber: suggestion.instanceNumber,
+        iteration: iteration
+    };
+}
+
+// Apply code suggestions - auto-fix functionality, with a report of what happened
+// options.style: 'traditional' or 'method' (default: current form selection)
+// options.config: config to use instead of the loaded one
+// options.maxIterations: analyse/fix passes before giving up (default MAX_FIX_ITERATIONS)
+// options.cache: analysis cache (see createAnalysisCache) used for every pass
+// options.only: suggestions from an analysis of code (v3.12, fix review); only these are
+//   applied, each followed through the passes by the range its edits cover
+// Returns {code, iterations, converged, applied, skipped, conflicts, skippedRules}, plus
+//   unapplied (the options.only suggestions that were never applied) with options.only
+function applyCodeSuggestionsWithReport(code, options) {
+    options = options || {};
+
+    var report = {
+        code: code,
+        iterations: 0,
+        converged: true,
+        applied: [],
+        skipped: [],
+        conflicts: [],
+        skippedRules: []
+    };
+    if (options.only) {
+        report.unapplied = [];
+    }
+
+    if (!code || code.trim() === '') {
+        return report;
+    }
+
+    // Get config
+    var config = options.config || getLoadedSuggestionsConfig();
+
+    // Get form selection (explicit style wins over the UI lookup)
+    var formSelection = options.style || getCurrentFormSelection();
+    console.log('[Engine] Applying fixes with form selection:', formSelection);
+
+    // Build rules to apply from DSL_RULES
+    var rulesToApply = getLoadedRules();
+    var fixers = [];
+
+    console.log('[Engine] Rules available:', rulesToApply.length);
+
+    for (var i = 0; i < rulesToApply.length; i++) {
+        var rule = rulesToApply[i];
+
+        // Skip if rule not loaded
+        if (!rule) {
+            continue;
+        }
+
+        // Get rule config with defaults applied
+        var ruleConfig = config.suggestionRules && config.suggestionRules[rule.name];
+        if (ruleConfig && config.defaults) {
+            ruleConfig = applyConfigDefaults(ruleConfig, config.defaults);
+        }
+
+        // Check if rule should be applied
+        if (!ruleConfig) {
+            report.skippedRules.push({ rule: rule.name, reason: 'no config' });
+            continue;
+        }
+
+        if (!ruleConfig.enabled) {
+            report.skippedRules.push({ rule: rule.name, reason: 'disabled' });
+            continue;
+        }
+
+        if (!ruleConfig.autoFixEnabled) {
+            report.skippedRules.push({ rule: rule.name, reason: 'auto-fix disabled' });
+            continue;
+        }
+
+        // Override fixStyle based on form selection
+        var modifiedRuleConfig = {};
+        for (var key in ruleConfig) {
+            if (ruleConfig.hasOwnProperty(key)) {
+                modifiedRuleConfig[key] = ruleConfig[key];
             }
+        }
+        modifiedRuleConfig.fixStyle = formSelection;
 
-            // Override fixStyle based on form selection
-            var modifiedRuleConfig = {};
-            for (var key in ruleConfig) {
-                if (ruleConfig.hasOwnProperty(key)) {
-                    modifiedRuleConfig[key] = ruleConfig[key];
-                }
+        console.log('[Engine] Applying fixes from', rule.name, 'v' + (rule.version || 'unknown'), 'with style:', modifiedRuleConfig.fixStyle);
+
+        // For rules that need the full config structure, create it
+        var fullConfig = {
+            suggestionRules: {}
+        };
+        fullConfig.suggestionRules[rule.name] = modifiedRuleConfig;
+
+        fixers.push({ rule: rule, config: fullConfig });
+    }
+
+    var maxIterations = options.maxIterations || MAX_FIX_ITERATIONS;
+    var instanceOffsets = {};
+    var reportedSkips = {};
+    var modifiedCode = code;
+
+    // v3.12 - Chosen fixes still to apply, by rule and the range their edits cover
+    var wanted = null;
+    if (options.only) {
+        wanted = [];
+        for (var w = 0; w < options.only.length; w++) {
+            var wantedRange = getEditsRange(getSuggestionEdits(code, options.only[w], formSelection));
+            if (wantedRange) {
+                wanted.push({ rule: options.only[w].rule, range: wantedRange, suggestion: options.only[w] });
             }
-            modifiedRuleConfig.fixStyle = formSelection;
+        }
+    }
 
-            console.log('[Engine] Applying fixes from', rule.name, 'v' + (rule.version || 'unknown'), 'with style:', modifiedRuleConfig.fixStyle);
+    for (var iteration = 1; fixers.length > 0 && !(wanted && wanted.length === 0); iteration++) {
+        if (iteration > maxIterations) {
+            report.converged = false;
+            console.warn('[Engine] Fixes still changing the code after', maxIterations, 'passes, stopping');
+            break;
+        }
+
+        report.iterations = iteration;
 
-            // For rules that need the full config structure, create it
-            var fullConfig = {
-                suggestionRules: {}
-            };
-            fullConfig.suggestionRules[rule.name] = modifiedRuleConfig;
+        // Every fix in this pass is computed against the same code; placeholders
+        // continue after the highest instance number applied so far
+        var analysisResults = analyzeDSL(modifiedCode, {
+            config: config,
+            instanceOffsets: instanceOffsets,
+            cache: options.cache
+        });
+        var accepted = [];
 
-            // Try to find all suggestions for this rule first
-            var analysisResults = analyzeDSL(modifiedCode);
+        for (var f = 0; f < fixers.length; f++) {
+            var fixer = fixers[f];
             var ruleSuggestions = analysisResults.suggestions.filter(function(s) {
-                return s.rule === rule.name;
+                return s.rule === fixer.rule.name;
             });
 
-            // Apply fixes for each suggestion
             for (var j = 0; j < ruleSuggestions.length; j++) {
                 var suggestion = ruleSuggestions[j];
-                var fixedCode = rule.fix(modifiedCode, suggestion, fullConfig);
+                var entry = describeFix(suggestion, iteration);
+                var skipKey = [entry.rule, entry.line, entry.column, entry.original].join('|');
+
+                // Edits from check() are exact; fix() is the fallback for suggestions without them
+                var edits = getSuggestionEdits(modifiedCode, suggestion, formSelection);
+
+                if (!edits && typeof fixer.rule.fix === 'function') {
+                    var fixedCode;
+                    try {
+                        fixedCode = fixer.rule.fix(modifiedCode, suggestion, fixer.config);
+                    } catch (error) {
+                        console.error('[Engine] Fix from', fixer.rule.name, 'failed:', error);
+                        fixedCode = modifiedCode;
+                        entry.reason = 'error: ' + error.message;
+                    }
+                    if (typeof fixedCode === 'string') {
+                        edits = computeFixEdits(modifiedCode, fixedCode);
+                    }
+                }
 
-                if (fixedCode !== modifiedCode) {
-                    modifiedCode = fixedCode;
-                    anyChanges = true;
+                // v3.12 - Not one of the chosen fixes
+                var wantedItem = null;
+                if (wanted) {
+                    var range = getEditsRange(edits);
+                    for (var wi = 0; range && wi < wanted.length && !wantedItem; wi++) {
+                        if (!wanted[wi].taken && wanted[wi].rule === suggestion.rule &&
+                            wanted[wi].range.start === range.start && wanted[wi].range.end === range.end) {
+                            wantedItem = wanted[wi];
+                        }
+                    }
+                    if (!wantedItem) {
+                        continue;
+                    }
+                }
+
+                if (!edits || edits.length === 0) {
+                    if (!reportedSkips[skipKey]) {
+                        reportedSkips[skipKey] = true;
+                        entry.reason = entry.reason || 'no change';
+                        report.skipped.push(entry);
+                    }
+                    continue;
+                }
+
+                var conflictWith = null;
+                var duplicate = false;
+
+                for (var a = 0; a < accepted.length && !conflictWith && !duplicate; a++) {
+                    if (sameEdits(accepted[a].edits, edits)) {
+                        duplicate = true;
+                        break;
+                    }
+                    for (var e = 0; e < edits.length && !conflictWith; e++) {
+                        for (var x = 0; x < accepted[a].edits.length; x++) {
+                            if (editsOverlap(edits[e], accepted[a].edits[x])) {
+                                conflictWith = accepted[a].entry;
+                                break;
+                            }
+                        }
+                    }
                 }
-            }
 
-            if (anyChanges && appliedRules.indexOf(rule.name) === -1) {
-                appliedRules.push(rule.name);
+                if (duplicate) {
+                    entry.reason = 'same edit as another fix';
+                    report.skipped.push(entry);
+                    if (wantedItem) {
+                        wantedItem.taken = true;
+                    }
+                } else if (conflictWith) {
+                    entry.conflictsWith = { rule: conflictWith.rule, line: conflictWith.line, column: conflictWith.column };
+                    report.conflicts.push(entry);
+                } else {
+                    if (wantedItem) {
+                        wantedItem.taken = true;
+                    }
+                    entry.edits = edits;
+                    accepted.push({ entry: entry, edits: edits });
+                    instanceOffsets[fixer.rule.name] = Math.max(instanceOffsets[fixer.rule.name] || 0,
+                                                                suggestion.instanceNumber || 0);
+                }
             }
         }
 
-        // Summary logging
-        if (anyChanges) {
-            console.log('[Engine] Auto-fixes applied from:', appliedRules.join(', '));
-        } else {
-            console.log('[Engine] No auto-fixes were applied');
+        // Nothing left to fix: fixed point reached
+        if (accepted.length === 0) {
+            break;
         }
 
-        if (skippedRules.length > 0) {
-            console.log('[Engine] Rules skipped:', skippedRules.join(', '));
+        var allEdits = [];
+        for (var k = 0; k < accepted.length; k++) {
+            allEdits = allEdits.concat(accepted[k].edits);
+            report.applied.push(accepted[k].entry);
         }
 
-        return modifiedCode;
+        if (wanted) {
+            var passCode = modifiedCode;
+            wanted = wanted.filter(function(item) {
+                if (item.taken) {
+                    return false;
+                }
+                item.range = mapFixRange(passCode, allEdits, item.range);
+                if (!item.range) {
+                    report.unapplied.push(item.suggestion);
+                }
+                return !!item.range;
+            });
+        }
+        modifiedCode = applyTextEdits(modifiedCode, allEdits);
+    }
+
+    report.code = modifiedCode;
+    if (wanted) {
+        for (var u = 0; u < wanted.length; u++) {
+            report.unapplied.push(wanted[u].suggestion);
+        }
+    }
+
+    // Summary logging
+    if (report.applied.length > 0) {
+        var appliedRules = [];
+        for (var n = 0; n < report.applied.length; n++) {
+            if (appliedRules.indexOf(report.applied[n].rule) === -1) {
+                appliedRules.push(report.applied[n].rule);
+            }
+        }
+        console.log('[Engine] Auto-fixes applied from:', appliedRules.join(', '),
+            '(' + report.applied.length + ' fixes, ' + report.iterations + ' passes)');
+    } else {
+        console.log('[Engine] No auto-fixes were applied');
+    }
+
+    if (report.conflicts.length > 0) {
+        console.log('[Engine] Conflicting fixes dropped:', report.conflicts.length);
+    }
+
+    if (report.skippedRules.length > 0) {
+        console.log('[Engine] Rules skipped:', report.skippedRules.map(function(skip) {
+            return skip.rule + ' (' + skip.reason + ')';
+        }).join(', '));
+    }
+
+    return report;
+}
+
+// Apply code suggestions - auto-fix functionality
+// options: see applyCodeSuggestionsWithReport
+function applyCodeSuggestions(code, options) {
+    if (!code || code.trim() === '') {
+        return code;
+    }
 
+    try {
+        return applyCodeSuggestionsWithReport(code, options).code;
     } catch (error) {
         console.error('Error applying suggestions:', error);
         return code; // Return original on error
@@ -378,10 +1497,43 @@ if (typeof window !== 'undefined') {
     window.getSuggestionsConfigVersion = getSuggestionsConfigVersion;
     window.generateCodeSuggestions = generateCodeSuggestions;
     window.applyCodeSuggestions = applyCodeSuggestions;
+    window.applyCodeSuggestionsWithReport = applyCodeSuggestionsWithReport;
+    window.applySuggestionEdits = applySuggestionEdits;
+    window.getSuggestionEdits = getSuggestionEdits;
+    window.createAnalysisCache = createAnalysisCache;
+    window.validateSuggestionsConfig = validateSuggestionsConfig;
+    window.applyConfigPreset = applyConfigPreset;
+}
+
+// Node.js compatibility (load through dslSuggestionsNode.js, which sets up the globals)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        analyzeDSL: analyzeDSL,
+        formatSuggestionsOutput: formatSuggestionsOutput,
+        dslSuggestionsVersion: dslSuggestionsVersion,
+        getSuggestionsConfigVersion: getSuggestionsConfigVersion,
+        generateCodeSuggestions: generateCodeSuggestions,
+        applyCodeSuggestions: applyCodeSuggestions,
+        applyCodeSuggestionsWithReport: applyCodeSuggestionsWithReport,
+        applySuggestionEdits: applySuggestionEdits,
+        getSuggestionEdits: getSuggestionEdits,
+        createAnalysisCache: createAnalysisCache,
+        validateSuggestionsConfig: validateSuggestionsConfig,
+        applyConfigPreset: applyConfigPreset,
+        computeFixEdits: computeFixEdits,
+        applyTextEdits: applyTextEdits,
+        applyConfigDefaults: applyConfigDefaults,
+        getLogicalStatements: getLogicalStatements
+    };
 }
 
 // SIMPLIFIED AUTO-LOAD - Just load config, utilities, and consolidated rules
 (function() {
+    // Headless hosts (Node.js) load config, utilities, parser and rules themselves
+    if (typeof document === 'undefined') {
+        return;
+    }
+
     console.log('[Engine] Initializing DSL Suggestions Engine v' + DSL_SUGGESTIONS_ENGINE_VERSION);
     console.log('[Engine] Optimized architecture: 3 files instead of 10+');
 
@@ -401,15 +1553,33 @@ if (typeof window !== 'undefined') {
                 console.log('[Engine] âœ… Rule utilities loaded successfully');
             }
 
-            // Step 3: Load Consolidated Rules
-            loadConsolidatedRules(function(rulesSuccess) {
-                if (!rulesSuccess) {
-                    console.error('[Engine] Rules failed to load');
+            // Step 3: Load Parser
+            loadDslParser(function(parserSuccess) {
+                if (!parserSuccess) {
+                    console.warn('[Engine] Parser failed, rules will only see line text');
                 } else {
-                    console.log('[Engine] âœ… Consolidated rules loaded successfully');
+                    console.log('[Engine] âœ… Parser loaded successfully');
                 }
 
-                completeInitialization();
+                // Step 4: Load Diff (splits fixes into text edits)
+                loadDslDiff(function(diffSuccess) {
+                    if (!diffSuccess) {
+                        console.warn('[Engine] Diff failed, each fix becomes a single edit');
+                    } else {
+                        console.log('[Engine] âœ… Diff loaded successfully');
+                    }
+
+                    // Step 5: Load Consolidated Rules
+                    loadConsolidatedRules(function(rulesSuccess) {
+                        if (!rulesSuccess) {
+                            console.error('[Engine] Rules failed to load');
+                        } else {
+                            console.log('[Engine] âœ… Consolidated rules loaded successfully');
+                        }
+
+                        completeInitialization();
+                    });
+                });
             });
         });
     });
@@ -468,6 +1638,59 @@ if (typeof window !== 'undefined') {
         document.head.appendChild(script);
     }
 
+    function loadDslParser(callback) {
+        console.log('[Engine] Loading dslParser.js...');
+
+        var script = document.createElement('script');
+        script.src = 'dslParser.js?v=3.28';
+        script.async = false;
+
+        script.onload = function() {
+            setTimeout(function() {
+                if (typeof DSLParser !== 'undefined') {
+                    console.log('[Engine] Parser version:', DSLParser.version || 'unknown');
+                    if (callback) callback(true);
+                } else {
+                    console.warn('[Engine] Parser script loaded but DSLParser undefined');
+                    if (callback) callback(false);
+                }
+            }, 50);
+        };
+
+        script.onerror = function() {
+            console.error('[Engine] Failed to load dslParser.js');
+            if (callback) callback(false);
+        };
+
+        document.head.appendChild(script);
+    }
+
+    function loadDslDiff(callback) {
+        console.log('[Engine] Loading dslDiff.js...');
+
+        var script = document.createElement('script');
+        script.src = 'dslDiff.js?v=3.28';
+        script.async = false;
+
+        script.onload = function() {
+            setTimeout(function() {
+                if (typeof DSLDiff !== 'undefined') {
+                    if (callback) callback(true);
+                } else {
+                    console.warn('[Engine] Diff script loaded but DSLDiff undefined');
+                    if (callback) callback(false);
+                }
+            }, 50);
+        };
+
+        script.onerror = function() {
+            console.error('[Engine] Failed to load dslDiff.js');
+            if (callback) callback(false);
+        };
+
+        document.head.appendChild(script);
+    }
+
     function loadConsolidatedRules(callback) {
         console.log('[Engine] Loading dslRules.js (all 8 rules)...');
 
@@ -499,7 +1722,13 @@ if (typeof window !== 'undefined') {
         var rulesCount = (typeof DSL_RULES !== 'undefined' && DSL_RULES) ? DSL_RULES.length : 0;
 
         console.log('[Engine] âœ… DSL Suggestions Engine v' + DSL_SUGGESTIONS_ENGINE_VERSION + ' initialized');
-        console.log('[Engine] Loaded: Config v' + getSuggestionsConfigVersion() + ', Utilities, ' + rulesCount + ' rules');
+        console.log('[Engine] Loaded: Config v' + getSuggestionsConfigVersion() + ', Utilities, Parser, Diff, ' + rulesCount + ' rules');
+
+        // v3.09 - Settings with typos or bad values would otherwise be ignored silently
+        var configErrors = validateSuggestionsConfig(getLoadedSuggestionsConfig());
+        for (var i = 0; i < configErrors.length; i++) {
+            console.warn('[Engine] Config: ' + configErrors[i]);
+        }
 
         // Fire initialization complete event
         if (typeof window !== 'undefined') {
@@ -507,7 +1736,8 @@ if (typeof window !== 'undefined') {
                 detail: {
                     version: DSL_SUGGESTIONS_ENGINE_VERSION,
                     configVersion: getSuggestionsConfigVersion(),
-                    rulesLoaded: rulesCount
+                    rulesLoaded: rulesCount,
+                    configErrors: configErrors
                 }
             }));
         }
@@ -0,0 +1,49 @@
+/*
+ * FILE: dslSuggestionsNode.js
+ *
+ * ARTIFACT INFO (for proper Claude artifact creation):
+ * - ID: dslSuggestionsNode.js
+ * - Title: dslSuggestionsNode
+ * - Type: application/vnd.ant.code (language: javascript)
+ *
+ * ARCHITECTURAL BOUNDARY: Suggestions (Node.js host)
+ * LOADED BY: dslSuggestCli.js (or require('./dslSuggestionsNode'))
+ * PROVIDES: Engine API (analyzeDSL, applyCodeSuggestions, ...) without a browser
+ *
+ * DESCRIPTION:
+ * Headless replacement for the engine's script auto-load. Requires the config,
+ * utilities, parser and rules in the same order the browser loads them and
+ * exposes them as globals, which is where the engine and rules look them up.
+ * The config is checked with validateSuggestionsConfig() like in the browser;
+ * problems are written to stderr and kept in configErrors. ruleSettings is
+ * dslRuleSettings.js (presets and profiles), which finds the engine functions
+ * it uses as globals, as on the page. DSLRefactor (loaded by the page itself) is
+ * a global too: variableNaming renames variables with it.
+ * Version tracking: See dslSuggestionsApp.html for app version.
+ */
+
+'use strict';
+
+// Same load order as the browser auto-load (config -> utilities -> parser -> diff -> rules)
+global.dslSuggestionsConfigData = require('./dslSuggestionsConfig.js');
+global.DSLRuleUtils = require('./dslRuleUtilities.js');
+global.DSLParser = require('./dslParser.js');
+global.DSLDiff = require('./dslDiff.js');
+global.DSLRefactor = require('./dslRefactor.js');
+global.DSL_RULES = require('./dslRules.js');
+
+var engine = require('./dslSuggestionsEngine.js');
+
+global.applyConfigDefaults = engine.applyConfigDefaults;
+global.applyConfigPreset = engine.applyConfigPreset;
+global.validateSuggestionsConfig = engine.validateSuggestionsConfig;
+
+module.exports = engine;
+module.exports.config = global.dslSuggestionsConfigData;
+module.exports.rules = global.DSL_RULES;
+module.exports.ruleSettings = require('./dslRuleSettings.js');
+module.exports.configErrors = engine.validateSuggestionsConfig(global.dslSuggestionsConfigData);
+
+module.exports.configErrors.forEach(function(error) {
+    console.warn('[Engine] Config: ' + error);
+});
@@ -0,0 +1,512 @@
+/*
+ * FILE: dslSuggestionsReporters.js
+ *
+ * ARTIFACT INFO (for proper Claude artifact creation):
+ * - ID: dslSuggestionsReporters.js
+ * - Title: dslSuggestionsReporters
+ * - Type: application/vnd.ant.code (language: javascript)
+ *
+ * ARCHITECTURAL BOUNDARY: Suggestions
+ * LOADED BY: dslSuggestCli.js (Node.js)
+ * PROVIDES: DSLReporters global object
+ *
+ * DESCRIPTION:
+ * Machine-readable serialisations of analyzeDSL results for code review
+ * tooling. Reporters take a list of analysed files, each
+ * { file: 'path/to/file.dsl', code: '...', results: analyzeDSL(code) }
+ * (a single results object is accepted too), and return a string.
+ * Rule metadata (label, description, severity) is read from
+ * dslSuggestionsConfigData.suggestionRules.
+ *
+ * REPORTERS:
+ * - sarif(files, options): SARIF 2.1.0 log, one run, one result per suggestion
+ *   (dsl-ignore'd suggestions are included with an inSource suppression)
+ * - json(files, options): stable JSON document, see JSON_SCHEMA_VERSION
+ * - junit(files, options): JUnit XML, one testsuite per file, one testcase per
+ *   rule and one failure per suggestion
+ * Version tracking: See dslSuggestionsApp.html for app version.
+ */
+
+var DSLReporters = (function() {
+    'use strict';
+
+    var TOOL_NAME = 'dsl-suggest';
+    var SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+    // Bump when a field of the json() document is renamed, removed or changes
+    // meaning; adding fields does not change the version
+    var JSON_SCHEMA_VERSION = '1.0';
+
+    // Suggestion severity -> SARIF result level
+    var SARIF_LEVELS = {
+        info: 'note',
+        warning: 'warning',
+        error: 'error'
+    };
+
+    // Fill in config, rules and versions from the loaded globals
+    function getReportContext(options) {
+        options = options || {};
+
+        var config = options.config ||
+            (typeof dslSuggestionsConfigData !== 'undefined' ? dslSuggestionsConfigData : {});
+        var rules = options.rules ||
+            (typeof DSL_RULES !== 'undefined' ? DSL_RULES : []);
+        var engineVersion = options.engineVersion ||
+            (typeof dslSuggestionsVersion === 'function' ? dslSuggestionsVersion() : 'unknown');
+
+        return {
+            config: config,
+            rules: rules,
+            engineVersion: engineVersion,
+            configVersion: options.configVersion || config.version || 'unknown',
+            file: options.file
+        };
+    }
+
+    // Accept a single analyzeDSL result as well as a list of analysed files
+    function normalizeFiles(files, context) {
+        if (files && !Array.isArray(files) && files.suggestions) {
+            return [{ file: context.file || 'input.dsl', code: null, results: files }];
+        }
+        return files || [];
+    }
+
+    // Message text without the **highlight** markers used by the app
+    function plainText(message) {
+        return String(message || '')
+            .replace(/\*\*/g, '')
+            .replace(/\s*\n\s*/g, ' ')
+            .trim();
+    }
+
+    // Relative paths stay relative; absolute paths become file:// URIs
+    function toUri(file) {
+        var uri = encodeURI(String(file).replace(/\\/g, '/'));
+        if (uri.charAt(0) === '/') {
+            return 'file://' + uri;
+        }
+        if (/^[A-Za-z]:\//.test(uri)) {
+            return 'file:///' + uri;
+        }
+        return uri;
+    }
+
+    // Sorted copy of a file's suggestions (line, then column)
+    function sortSuggestions(suggestions) {
+        return (suggestions || []).slice().sort(function(a, b) {
+            return (a.line - b.line) || ((a.column || 0) - (b.column || 0));
+        });
+    }
+
+    // Rule descriptors for every configured rule, plus any rule seen in results
+    function collectRuleDescriptors(context, files) {
+        var descriptors = [];
+        var indexByName = {};
+        var suggestionRules = context.config.suggestionRules || {};
+        var versions = {};
+
+        for (var r = 0; r < context.rules.length; r++) {
+            if (context.rules[r] && context.rules[r].name) {
+                versions[context.rules[r].name] = context.rules[r].version;
+            }
+        }
+
+        function add(name) {
+            if (indexByName.hasOwnProperty(name)) {
+                return;
+            }
+            var ruleConfig = suggestionRules[name] || {};
+            indexByName[name] = descriptors.length;
+            descriptors.push({
+                name: name,
+                label: ruleConfig.label || name,
+                description: ruleConfig.description || ruleConfig.label || name,
+                suggestion: ruleConfig.suggestion || null,
+                severity: ruleConfig.severity ||
+                    (context.config.defaults && context.config.defaults.severity) || 'info',
+                enabled: ruleConfig.enabled !== false,
+                version: versions[name] || null
+            });
+        }
+
+        for (var name in suggestionRules) {
+            if (suggestionRules.hasOwnProperty(name)) {
+                add(name);
+            }
+        }
+        for (var f = 0; f < files.length; f++) {
+            var results = files[f].results || {};
+            var all = (results.suggestions || []).concat(results.suppressed || []);
+            for (var s = 0; s < all.length; s++) {
+                add(all[s].rule || 'unknown');
+            }
+        }
+
+        return { list: descriptors, indexByName: indexByName };
+    }
+
+    // Offsets of the first character of each line
+    function lineOffsets(code) {
+        var offsets = [0];
+        for (var i = 0; i < code.length; i++) {
+            if (code.charAt(i) === '\n') {
+                offsets.push(i + 1);
+            }
+        }
+        return offsets;
+    }
+
+    /**
+     * Region covered by a suggestion: 1-based start/end line and column.
+     * Rules report the column of the trigger (e.g. the '/' of a division) while
+     * `original` holds the whole expression, so the region is the occurrence of
+     * `original` that contains the reported column.
+     */
+    function getRegion(code, suggestion) {
+        var line = suggestion.line || 1;
+        var column = suggestion.column || 0;
+        var region = { startLine: line, startColumn: column + 1 };
+        var original = suggestion.original;
+
+        if (typeof original !== 'string' || original === '') {
+            return region;
+        }
+
+        var start = -1;
+        if (typeof code === 'string') {
+            var offsets = lineOffsets(code);
+            var lineStart = offsets[line - 1];
+            if (typeof lineStart === 'number') {
+                var target = lineStart + column;
+                var lineEnd = line < offsets.length ? offsets[line] : code.length;
+                var index = code.indexOf(original, lineStart);
+                while (index !== -1 && index < lineEnd) {
+                    if (index <= target && target < index + original.length) {
+                        start = index;
+                        break;
+                    }
+                    index = code.indexOf(original, index + 1);
+                }
+                if (start !== -1) {
+                    region.startColumn = start - lineStart + 1;
+                }
+            }
+        }
+
+        // Without the source, assume the expression starts at the reported column
+        var originalLines = original.split('\n');
+        if (originalLines.length === 1) {
+            region.endLine = region.startLine;
+            region.endColumn = region.startColumn + original.length;
+        } else {
+            region.endLine = region.startLine + originalLines.length - 1;
+            region.endColumn = originalLines[originalLines.length - 1].length + 1;
+        }
+        region.snippet = { text: original };
+
+        return region;
+    }
+
+    function sarifResult(suggestion, file, code, artifactIndex, rules, suppressed) {
+        var ruleId = suggestion.rule || 'unknown';
+        var result = {
+            ruleId: ruleId,
+            ruleIndex: rules.indexByName[ruleId],
+            level: SARIF_LEVELS[suggestion.severity] || 'note',
+            message: { text: plainText(suggestion.message) },
+            locations: [{
+                physicalLocation: {
+                    artifactLocation: { uri: toUri(file), index: artifactIndex },
+                    region: getRegion(code, suggestion)
+                }
+            }],
+            properties: {
+                fixable: !!suggestion.fixable,
+                instanceNumber: suggestion.instanceNumber || 1
+            }
+        };
+
+        if (suppressed) {
+            result.suppressions = [{ kind: 'inSource' }];
+        }
+
+        return result;
+    }
+
+    /**
+     * SARIF 2.1.0 log for the analysed files.
+     * @param {Array|Object} files - [{file, code, results}] or one analyzeDSL result
+     * @param {Object} options - {config, rules, engineVersion, configVersion, file}
+     * @returns {string} JSON text
+     */
+    function sarif(files, options) {
+        var context = getReportContext(options);
+        files = normalizeFiles(files, context);
+        var rules = collectRuleDescriptors(context, files);
+
+        var driverRules = rules.list.map(function(rule) {
+            var descriptor = {
+                id: rule.name,
+                name: rule.label,
+                shortDescription: { text: rule.label },
+                fullDescription: { text: rule.description },
+                defaultConfiguration: {
+                    enabled: rule.enabled,
+                    level: SARIF_LEVELS[rule.severity] || 'note'
+                },
+                properties: {}
+            };
+            if (rule.suggestion) {
+                descriptor.help = { text: plainText(rule.suggestion) };
+            }
+            if (rule.version) {
+                descriptor.properties.ruleVersion = rule.version;
+            }
+            return descriptor;
+        });
+
+        var artifacts = [];
+        var results = [];
+
+        for (var f = 0; f < files.length; f++) {
+            var entry = files[f];
+            var analysis = entry.results || {};
+            artifacts.push({ location: { uri: toUri(entry.file) } });
+
+            var active = sortSuggestions(analysis.suggestions);
+            for (var s = 0; s < active.length; s++) {
+                results.push(sarifResult(active[s], entry.file, entry.code, f, rules, false));
+            }
+
+            var suppressed = sortSuggestions(analysis.suppressed);
+            for (var p = 0; p < suppressed.length; p++) {
+                results.push(sarifResult(suppressed[p], entry.file, entry.code, f, rules, true));
+            }
+        }
+
+        var log = {
+            $schema: SARIF_SCHEMA,
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: TOOL_NAME,
+                        version: String(context.engineVersion).replace(/^v/, ''),
+                        rules: driverRules
+                    }
+                },
+                artifacts: artifacts,
+                results: results,
+                properties: {
+                    configVersion: context.configVersion
+                }
+            }]
+        };
+
+        return JSON.stringify(log, null, 2) + '\n';
+    }
+
+    // One suggestion in the json() document (line and column are 1-based)
+    function jsonSuggestion(suggestion, code) {
+        var region = getRegion(code, suggestion);
+        return {
+            rule: suggestion.rule || 'unknown',
+            label: suggestion.label || suggestion.rule || 'unknown',
+            severity: suggestion.severity || 'info',
+            message: plainText(suggestion.message),
+            line: region.startLine,
+            column: region.startColumn,
+            endLine: region.endLine || region.startLine,
+            endColumn: region.endColumn || region.startColumn,
+            original: typeof suggestion.original === 'string' ? suggestion.original : null,
+            fixable: !!suggestion.fixable,
+            instanceNumber: suggestion.instanceNumber || 1
+        };
+    }
+
+    function increment(counts, key) {
+        counts[key] = (counts[key] || 0) + 1;
+    }
+
+    /**
+     * Stable JSON report (schemaVersion JSON_SCHEMA_VERSION):
+     * { schemaVersion, tool: {name, engineVersion, configVersion},
+     *   rules: [{name, version, label, severity, enabled}],
+     *   files: [{file, summary, suggestions, suppressed}],
+     *   summary: {files, total, suppressed, bySeverity, byRule} }
+     * Each file's summary is its analyzeDSL results.summary.
+     * @returns {string} JSON text
+     */
+    function json(files, options) {
+        var context = getReportContext(options);
+        files = normalizeFiles(files, context);
+        var rules = collectRuleDescriptors(context, files);
+
+        var summary = { files: files.length, total: 0, suppressed: 0, bySeverity: {}, byRule: {} };
+        var fileReports = [];
+
+        for (var f = 0; f < files.length; f++) {
+            var analysis = files[f].results || {};
+            var active = sortSuggestions(analysis.suggestions);
+            var suppressed = sortSuggestions(analysis.suppressed);
+
+            for (var s = 0; s < active.length; s++) {
+                increment(summary.bySeverity, active[s].severity || 'info');
+                increment(summary.byRule, active[s].rule || 'unknown');
+            }
+            summary.total += active.length;
+            summary.suppressed += suppressed.length;
+
+            fileReports.push({
+                file: String(files[f].file),
+                summary: analysis.summary || null,
+                suggestions: active.map(function(suggestion) {
+                    return jsonSuggestion(suggestion, files[f].code);
+                }),
+                suppressed: suppressed.map(function(suggestion) {
+                    return jsonSuggestion(suggestion, files[f].code);
+                })
+            });
+        }
+
+        var report = {
+            schemaVersion: JSON_SCHEMA_VERSION,
+            tool: {
+                name: TOOL_NAME,
+                engineVersion: String(context.engineVersion),
+                configVersion: String(context.configVersion)
+            },
+            rules: rules.list.map(function(rule) {
+                return {
+                    name: rule.name,
+                    version: rule.version,
+                    label: rule.label,
+                    severity: rule.severity,
+                    enabled: rule.enabled
+                };
+            }),
+            files: fileReports,
+            summary: summary
+        };
+
+        return JSON.stringify(report, null, 2) + '\n';
+    }
+
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;')
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    }
+
+    function xmlAttributes(attributes) {
+        var out = '';
+        for (var name in attributes) {
+            if (attributes.hasOwnProperty(name)) {
+                out += ' ' + name + '="' + escapeXml(attributes[name]) + '"';
+            }
+        }
+        return out;
+    }
+
+    /**
+     * JUnit XML report. Each file is a testsuite and each rule a testcase; a
+     * rule passes when it has no suggestions, otherwise every suggestion is a
+     * <failure>. Disabled rules are reported as <skipped/>.
+     * @returns {string} XML text
+     */
+    function junit(files, options) {
+        var context = getReportContext(options);
+        files = normalizeFiles(files, context);
+        var rules = collectRuleDescriptors(context, files);
+
+        var totalTests = 0;
+        var totalFailures = 0;
+        var totalSkipped = 0;
+        var suites = [];
+
+        for (var f = 0; f < files.length; f++) {
+            var file = String(files[f].file);
+            var analysis = files[f].results || {};
+            var active = sortSuggestions(analysis.suggestions);
+            var suiteFailures = 0;
+            var suiteSkipped = 0;
+            var cases = [];
+
+            for (var r = 0; r < rules.list.length; r++) {
+                var rule = rules.list[r];
+                var caseAttributes = xmlAttributes({ classname: file, name: rule.name });
+                var failures = active.filter(function(suggestion) {
+                    return (suggestion.rule || 'unknown') === rule.name;
+                });
+
+                if (!rule.enabled && failures.length === 0) {
+                    suiteSkipped++;
+                    cases.push('    <testcase' + caseAttributes + '>\n      <skipped/>\n    </testcase>');
+                    continue;
+                }
+                if (failures.length === 0) {
+                    cases.push('    <testcase' + caseAttributes + '/>');
+                    continue;
+                }
+
+                suiteFailures += failures.length;
+                var body = failures.map(function(suggestion) {
+                    var location = jsonSuggestion(suggestion, files[f].code);
+                    return '      <failure' + xmlAttributes({
+                        type: location.severity,
+                        message: location.message
+                    }) + '>' + escapeXml(file + ':' + location.line + ':' + location.column + ' ' +
+                        location.severity + ' ' + location.rule + ' ' + location.message) + '</failure>';
+                });
+                cases.push('    <testcase' + caseAttributes + '>\n' + body.join('\n') + '\n    </testcase>');
+            }
+
+            totalTests += rules.list.length;
+            totalFailures += suiteFailures;
+            totalSkipped += suiteSkipped;
+
+            suites.push('  <testsuite' + xmlAttributes({
+                name: file,
+                tests: rules.list.length,
+                failures: suiteFailures,
+                errors: 0,
+                skipped: suiteSkipped
+            }) + '>\n' + cases.join('\n') + '\n  </testsuite>');
+        }
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<testsuites' + xmlAttributes({
+                name: TOOL_NAME + ' (engine ' + context.engineVersion + ', config ' + context.configVersion + ')',
+                tests: totalTests,
+                failures: totalFailures,
+                errors: 0,
+                skipped: totalSkipped
+            }) + '>\n' +
+            suites.join('\n') + (suites.length ? '\n' : '') +
+            '</testsuites>\n';
+    }
+
+    return {
+        JSON_SCHEMA_VERSION: JSON_SCHEMA_VERSION,
+        sarif: sarif,
+        json: json,
+        junit: junit,
+        getRegion: getRegion
+    };
+})();
+
+// Make available globally for the app
+if (typeof window !== 'undefined') {
+    window.DSLReporters = DSLReporters;
+}
+
+// Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DSLReporters;
+}
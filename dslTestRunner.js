@@ -0,0 +1,1142 @@
+#!/usr/bin/env node
+/*
+ * FILE: dslTestRunner.js
+ *
+ * ARTIFACT INFO (for proper Claude artifact creation):
+ * - ID: dslTestRunner.js
+ * - Title: dslTestRunner
+ * - Type: application/vnd.ant.code (language: javascript)
+ *
+ * ARCHITECTURAL BOUNDARY: Suggestions (tests, Node.js)
+ * LOADS: dslSuggestionsNode.js, dslFormatter.js, dslRefactor.js, dslSuggestionsReporters.js
+ * PROVIDES: Rule regression tests (test-*.dsl annotations, test-fixes/ snapshots,
+ *           formatter round trips, form conversions, fix conflicts, analysis cache,
+ *           rule settings, reporter output, command line smoke test,
+ *           scripted language server session)
+ *
+ * DESCRIPTION:
+ * Runs analyzeDSL on each test file and compares the suggestions with the
+ * expectations written in the file's comments:
+ *
+ *   // EXPECTED: 14 suggestions          total for the file
+ *   // Rule: queryFunctions              limits EXPECTED and GROUP counts to one rule
+ *   // GROUP 2: ... (SHOULD TRIGGER - 2 suggestions)
+ *                                        count from this header to the next GROUP
+ *   x = a / b  // expect: divisionOperations
+ *   // expect: queryFunctions x2, nullAccessProtection
+ *                                        on a line of its own: applies to the next code line
+ *   y = 1  // expect: none               no suggestions at all on the line
+ *
+ * A per-line marker only checks the rules it names (or every rule for none).
+ * Files without any expectation are listed as skipped.
+ *
+ * Fix snapshots: for every rule in DSL_RULES with a fix(), test-fixes/<rule>.dsl
+ * is run through applyCodeSuggestions in both styles (only that rule enabled,
+ * auto-fix forced on) and compared with test-fixes/<rule>.traditional.expected.dsl
+ * and test-fixes/<rule>.method.expected.dsl.
+ *
+ * Formatter: the test files and snapshot inputs are formatted; formatting the
+ * result again must not change it, and it must get the same suggestions per
+ * rule as the original.
+ *
+ * Form conversion: each CONVERSION_CASES input is converted to the other form
+ * and compared with the expected code; converting it back must give the input.
+ *
+ * Fix application: two overlapping fixes go through applyCodeSuggestionsWithReport;
+ * the conflict list, the passes, the final code and the only option are checked.
+ *
+ * Analysis cache: code is analysed again unchanged, moved, edited and with a
+ * changed config; the cache hits and misses and the suggestions are checked.
+ *
+ * Rule settings: DSLRuleSettings.applyOverrides merges saved overrides over the
+ * shipped config without changing it; exported profiles import as the same
+ * overrides, and validateProfile rejects unknown keys, rules and presets;
+ * applyConfigPreset enables the preset's rules and sets its settings.
+ *
+ * Reporters: a small file is analysed and its SARIF results (ruleId, 1-based
+ * regions, suppressions), JSON summary and escaped JUnit XML are checked.
+ *
+ * Command line: dslSuggestCli.js is run on files in a temporary directory; exit
+ * codes, the --fix --dry-run diff, --fix and a pipe closed early are checked.
+ *
+ * Language server: dslLanguageServer.js is started with a scripted LSP client
+ * session on stdin (initialize, didOpen, codeAction with quick fixes and a
+ * refactor, hover, didChange, shutdown, exit) and its replies are checked.
+ *
+ *   node dslTestRunner.js [test files...]     (default: test-*.dsl next to this file)
+ *   node dslTestRunner.js --update            rewrite the fix snapshots
+ *
+ * Exits 1 when any expectation, snapshot, formatter, conversion, fix application,
+ * cache, settings, reporter, command line or language server check does not match.
+ * Version tracking: See dslSuggestionsApp.html for app version.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var EXPECTED_PATTERN = /\bEXPECTED:\s*(\d+)\s+suggestions?\b/i;
+var RULE_PATTERN = /\bRule:\s*([A-Za-z_$][\w$]*)/;
+var GROUP_PATTERN = /\bGROUP\s+(\w+):.*\(\s*SHOULD\s+(?:NOT\s+)?TRIGGER\s*-\s*(\d+)\s+suggestions?\s*\)/i;
+var EXPECT_MARKER_PATTERN = /(?:\/\/|\/\*)\s*expect:\s*([^*\n]*)/;
+
+var SNAPSHOT_DIR = path.join(__dirname, 'test-fixes');
+var SNAPSHOT_STYLES = ['traditional', 'method'];
+
+// Layouts the test files do not have, formatted like them
+var FORMATTER_CASES = [
+    { name: 'trailing comma', code: 'x = block(a = 1,)\ny = f(a,)\n' },
+    { name: 'empty arguments', code: 'x = block(,)\ny = f(a,,b)\nz = block(\n    a = 1,,\n    b\n)\n' },
+    { name: 'comment before a comma', code: 'x = block(a = 1, b = 2 /* second */, c)\n' },
+    { name: 'leading commas', code: 'x = block(\n  a = 1 // one\n  , b = 2 // two\n  , c\n)\n' }
+];
+
+// Calls with comments or nested wrappers, converted to the other form and back
+var CONVERSION_CASES = [
+    { name: 'block comment', style: 'method', code: 'x = ifNull(a /* keep */, 0)\n', expected: 'x = (a /* keep */).ifNull(0)\n' },
+    { name: 'line comment', style: 'method', code: 'x = ifNull(a, // fallback\n    0)\n', expected: 'x = (a).ifNull(// fallback\n    0)\n' },
+    { name: 'comments around the default', style: 'traditional', code: 'x = (a /* c */).ifNull(/* d */ 0 /* e */)\n',
+        expected: 'x = ifNull(a /* c */, /* d */ 0 /* e */)\n' },
+    { name: 'nested calls', style: 'method', code: 'x = ifNull(ifNaN(a / b, 0), 1)\n', expected: 'x = (a / b).ifNaN(0).ifNull(1)\n' },
+    { name: 'nested calls with a line comment', style: 'method', code: 'x = ifNull(ifNaN(a // c\n, 0), 1)\n',
+        expected: 'x = ((a // c\n).ifNaN(0)).ifNull(1)\n' }
+];
+
+var LANGUAGE_SERVER = path.join(__dirname, 'dslLanguageServer.js');
+var LANGUAGE_SERVER_TIMEOUT_MS = 30000;
+
+// Parse "queryFunctions x2, nullAccessProtection" into [{rule, count}]
+function parseExpectList(text) {
+    var items = [];
+    var parts = text.split(',');
+
+    for (var i = 0; i < parts.length; i++) {
+        var part = parts[i].trim();
+        if (!part) {
+            continue;
+        }
+        if (part.toLowerCase() === 'none') {
+            items.push({ rule: null, count: 0 });
+            continue;
+        }
+        var match = part.match(/^([A-Za-z_$][\w$]*)(?:\s*x\s*(\d+))?$/);
+        if (!match) {
+            throw new Error('cannot read expect item "' + part + '"');
+        }
+        items.push({ rule: match[1], count: match[2] ? parseInt(match[2], 10) : 1 });
+    }
+
+    return items;
+}
+
+// True if a line holds nothing but a comment (or is blank)
+function isCommentOnly(text) {
+    var trimmed = text.trim();
+    return trimmed === '' || trimmed.indexOf('//') === 0 || trimmed.indexOf('/*') === 0 || trimmed.indexOf('*') === 0;
+}
+
+/**
+ * Read the expectations written in a test file.
+ * @returns {Object} {total, rule, groups: [{name, line, endLine, count}],
+ *   lines: [{line, markerLine, items}], errors}
+ */
+function parseExpectations(code) {
+    var lines = code.split('\n');
+    var expectations = { total: null, rule: null, groups: [], lines: [], errors: [] };
+    var pendingMarkers = [];
+
+    for (var i = 0; i < lines.length; i++) {
+        var text = lines[i];
+        var lineNumber = i + 1;
+        var match;
+
+        if (expectations.total === null && (match = text.match(EXPECTED_PATTERN))) {
+            expectations.total = parseInt(match[1], 10);
+        }
+
+        if (expectations.rule === null && (match = text.match(RULE_PATTERN))) {
+            expectations.rule = match[1];
+        }
+
+        if ((match = text.match(GROUP_PATTERN))) {
+            if (expectations.groups.length > 0) {
+                expectations.groups[expectations.groups.length - 1].endLine = lineNumber - 1;
+            }
+            expectations.groups.push({
+                name: 'GROUP ' + match[1],
+                line: lineNumber,
+                endLine: lines.length,
+                count: parseInt(match[2], 10)
+            });
+        }
+
+        var marker = text.match(EXPECT_MARKER_PATTERN);
+        var items = null;
+        if (marker) {
+            try {
+                items = parseExpectList(marker[1]);
+            } catch (error) {
+                expectations.errors.push('line ' + lineNumber + ': ' + error.message);
+            }
+        }
+
+        if (items && isCommentOnly(text.substring(0, marker.index))) {
+            // Marker on its own line: wait for the next line with code
+            pendingMarkers.push({ markerLine: lineNumber, items: items });
+            continue;
+        }
+
+        if (items) {
+            expectations.lines.push({ line: lineNumber, markerLine: lineNumber, items: items });
+        }
+
+        if (pendingMarkers.length > 0 && !isCommentOnly(text)) {
+            for (var p = 0; p < pendingMarkers.length; p++) {
+                expectations.lines.push({
+                    line: lineNumber,
+                    markerLine: pendingMarkers[p].markerLine,
+                    items: pendingMarkers[p].items
+                });
+            }
+            pendingMarkers = [];
+        }
+    }
+
+    for (var m = 0; m < pendingMarkers.length; m++) {
+        expectations.errors.push('line ' + pendingMarkers[m].markerLine + ': expect marker is not followed by code');
+    }
+
+    return expectations;
+}
+
+function hasExpectations(expectations) {
+    return expectations.total !== null || expectations.groups.length > 0 || expectations.lines.length > 0;
+}
+
+function countSuggestions(suggestions, filter) {
+    var count = 0;
+    for (var i = 0; i < suggestions.length; i++) {
+        if (filter(suggestions[i])) {
+            count++;
+        }
+    }
+    return count;
+}
+
+function describeLine(suggestions, line) {
+    var found = {};
+    for (var i = 0; i < suggestions.length; i++) {
+        if (suggestions[i].line === line) {
+            found[suggestions[i].rule] = (found[suggestions[i].rule] || 0) + 1;
+        }
+    }
+    var names = Object.keys(found);
+    if (names.length === 0) {
+        return 'none';
+    }
+    return names.map(function(name) {
+        return name + ' x' + found[name];
+    }).join(', ');
+}
+
+/**
+ * Check one file's suggestions against its expectations.
+ * @returns {Object} {skipped, checks, failures: [message]}
+ */
+function checkFile(code, suggestions, expectations) {
+    var result = { skipped: !hasExpectations(expectations), checks: 0, failures: expectations.errors.slice() };
+    var rule = expectations.rule;
+    var scope = rule ? ' ' + rule : '';
+
+    function inScope(suggestion) {
+        return !rule || suggestion.rule === rule;
+    }
+
+    if (expectations.total !== null) {
+        result.checks++;
+        var total = countSuggestions(suggestions, inScope);
+        if (total !== expectations.total) {
+            result.failures.push('EXPECTED ' + expectations.total + scope + ' suggestions, got ' + total);
+        }
+    }
+
+    for (var g = 0; g < expectations.groups.length; g++) {
+        var group = expectations.groups[g];
+        result.checks++;
+        var inGroup = countSuggestions(suggestions, function(suggestion) {
+            return inScope(suggestion) && suggestion.line >= group.line && suggestion.line <= group.endLine;
+        });
+        if (inGroup !== group.count) {
+            result.failures.push(group.name + ' (lines ' + group.line + '-' + group.endLine + '): expected ' +
+                group.count + scope + ' suggestions, got ' + inGroup);
+        }
+    }
+
+    for (var l = 0; l < expectations.lines.length; l++) {
+        var marked = expectations.lines[l];
+        for (var i = 0; i < marked.items.length; i++) {
+            var item = marked.items[i];
+            result.checks++;
+            var onLine = countSuggestions(suggestions, function(suggestion) {
+                return suggestion.line === marked.line && (item.rule === null || suggestion.rule === item.rule);
+            });
+            if (onLine !== item.count) {
+                result.failures.push('line ' + marked.line + ': expected ' +
+                    (item.rule === null ? 'no suggestions' : item.rule + ' x' + item.count) +
+                    ', got ' + describeLine(suggestions, marked.line));
+            }
+        }
+    }
+
+    return result;
+}
+
+// Default test files: test-*.dsl next to this script
+function findTestFiles(dir) {
+    return fs.readdirSync(dir).filter(function(name) {
+        return /^test-.*\.dsl$/.test(name);
+    }).sort().map(function(name) {
+        return path.join(dir, name);
+    });
+}
+
+// Expectation suite: annotations in test-*.dsl files
+function runExpectationTests(engine, files, stdout, totals) {
+    for (var f = 0; f < files.length; f++) {
+        var name = path.relative(process.cwd(), files[f]) || files[f];
+        var code;
+        try {
+            code = fs.readFileSync(files[f], 'utf8').replace(/\r\n?/g, '\n');
+        } catch (error) {
+            stdout.write('FAIL ' + name + '\n     cannot read file: ' + error.message + '\n');
+            totals.failed++;
+            continue;
+        }
+
+        var expectations = parseExpectations(code);
+        var result = checkFile(code, engine.analyzeDSL(code).suggestions, expectations);
+
+        if (result.skipped && result.failures.length === 0) {
+            stdout.write('SKIP ' + name + ' (no expectations)\n');
+            totals.skipped++;
+        } else if (result.failures.length === 0) {
+            stdout.write('PASS ' + name + ' (' + result.checks + ' checks)\n');
+            totals.passed++;
+        } else {
+            stdout.write('FAIL ' + name + '\n');
+            for (var m = 0; m < result.failures.length; m++) {
+                stdout.write('     ' + result.failures[m] + '\n');
+            }
+            totals.failed++;
+        }
+    }
+}
+
+/**
+ * Config for a fix snapshot: only the rule under test is enabled, with
+ * auto-fix forced on, so the snapshot shows that rule's fix alone.
+ */
+function buildSnapshotConfig(baseConfig, ruleName) {
+    var config = JSON.parse(JSON.stringify(baseConfig));
+    var rules = config.suggestionRules || {};
+
+    for (var name in rules) {
+        if (rules.hasOwnProperty(name)) {
+            rules[name].enabled = name === ruleName;
+            rules[name].autoFixEnabled = name === ruleName;
+        }
+    }
+
+    return config;
+}
+
+function snapshotPath(ruleName, style) {
+    return path.join(SNAPSHOT_DIR, ruleName + (style ? '.' + style + '.expected' : '') + '.dsl');
+}
+
+// Snapshot suite: applyCodeSuggestions output for every rule with a fix()
+function runSnapshotTests(engine, update, stdout, totals) {
+    var DSLDiff = require('./dslDiff.js');
+
+    for (var r = 0; r < engine.rules.length; r++) {
+        var rule = engine.rules[r];
+        if (!rule || typeof rule.fix !== 'function') {
+            continue;
+        }
+
+        var inputFile = snapshotPath(rule.name, null);
+        var inputName = path.relative(process.cwd(), inputFile);
+        if (!fs.existsSync(inputFile)) {
+            stdout.write('FAIL ' + inputName + '\n     missing fix fixture for rule ' + rule.name + '\n');
+            totals.failed++;
+            continue;
+        }
+
+        var input = fs.readFileSync(inputFile, 'utf8').replace(/\r\n?/g, '\n');
+        var config = buildSnapshotConfig(engine.config, rule.name);
+
+        for (var s = 0; s < SNAPSHOT_STYLES.length; s++) {
+            var style = SNAPSHOT_STYLES[s];
+            var expectedFile = snapshotPath(rule.name, style);
+            var name = path.relative(process.cwd(), expectedFile);
+            var actual = engine.applyCodeSuggestions(input, { style: style, config: config });
+
+            if (update) {
+                var previous = fs.existsSync(expectedFile) ? fs.readFileSync(expectedFile, 'utf8') : null;
+                if (previous !== actual) {
+                    fs.writeFileSync(expectedFile, actual, 'utf8');
+                    stdout.write('UPDATED ' + name + '\n');
+                    totals.updated++;
+                } else {
+                    stdout.write('PASS ' + name + '\n');
+                    totals.passed++;
+                }
+                continue;
+            }
+
+            if (!fs.existsSync(expectedFile)) {
+                stdout.write('FAIL ' + name + '\n     missing snapshot (run with --update)\n');
+                totals.failed++;
+                continue;
+            }
+
+            var expected = fs.readFileSync(expectedFile, 'utf8').replace(/\r\n?/g, '\n');
+            if (expected === actual) {
+                stdout.write('PASS ' + name + '\n');
+                totals.passed++;
+            } else {
+                stdout.write('FAIL ' + name + ' (' + rule.name + ' fix, ' + style + ' form)\n');
+                var diff = DSLDiff.unifiedDiff(expected, actual, { fromFile: 'expected', toFile: 'actual' }) ||
+                    '(differs only in the trailing newline)\n';
+                stdout.write(diff.replace(/^(?=.)/gm, '     '));
+                totals.failed++;
+            }
+        }
+    }
+}
+
+function countByRule(suggestions) {
+    var counts = {};
+    for (var i = 0; i < suggestions.length; i++) {
+        counts[suggestions[i].rule] = (counts[suggestions[i].rule] || 0) + 1;
+    }
+    return counts;
+}
+
+// Formatter suite: idempotent, and the rules see the same code
+function runFormatterTests(engine, files, stdout, totals) {
+    var DSLParser = require('./dslParser.js');
+    var DSLFormatter = require('./dslFormatter.js');
+    var inputs = files.concat(engine.rules.filter(function(rule) {
+        return rule && fs.existsSync(snapshotPath(rule.name, null));
+    }).map(function(rule) {
+        return snapshotPath(rule.name, null);
+    })).map(function(file) {
+        return { name: path.relative(process.cwd(), file), code: fs.readFileSync(file, 'utf8').replace(/\r\n?/g, '\n') };
+    }).concat(FORMATTER_CASES);
+
+    for (var f = 0; f < inputs.length; f++) {
+        var name = inputs[f].name;
+        var code = inputs[f].code;
+        var problems = [];
+
+        var formatted = DSLFormatter.format(code);
+        var again = DSLFormatter.format(formatted.code);
+        // Syntax errors are left as written; anything else is the formatter refusing
+        formatted.errors.slice(DSLParser.parse(code).errors.length).forEach(function(error) {
+            problems.push('line ' + error.line + ': ' + error.message);
+        });
+        if (again.code !== formatted.code) {
+            problems.push('formatting the result again changes it');
+        }
+
+        var before = countByRule(engine.analyzeDSL(code).suggestions);
+        var after = countByRule(engine.analyzeDSL(formatted.code).suggestions);
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            problems.push('suggestions ' + JSON.stringify(before) + ' became ' + JSON.stringify(after));
+        }
+
+        if (problems.length === 0) {
+            stdout.write('PASS ' + name + '\n');
+            totals.passed++;
+        } else {
+            stdout.write('FAIL ' + name + '\n     ' + problems.join('\n     ') + '\n');
+            totals.failed++;
+        }
+    }
+}
+
+// Conversion suite: the expected code, and back again to the input
+function runConversionTests(stdout, totals) {
+    var DSLRefactor = require('./dslRefactor.js');
+
+    for (var c = 0; c < CONVERSION_CASES.length; c++) {
+        var test = CONVERSION_CASES[c];
+        var back = test.style === 'method' ? 'traditional' : 'method';
+        var problems = [];
+
+        var converted = DSLRefactor.convertFixStyle(test.code, { style: test.style });
+        if (converted.code !== test.expected) {
+            problems.push('to ' + test.style + ': ' + JSON.stringify(converted.code) + ', expected ' + JSON.stringify(test.expected));
+        }
+        converted.skipped.forEach(function(call) {
+            problems.push('line ' + call.line + ' left as written: ' + call.reason);
+        });
+        var restored = DSLRefactor.convertFixStyle(converted.code, { style: back });
+        if (restored.code !== test.code) {
+            problems.push('to ' + back + ': ' + JSON.stringify(restored.code) + ', expected ' + JSON.stringify(test.code));
+        }
+
+        if (problems.length === 0) {
+            stdout.write('PASS ' + test.name + '\n');
+            totals.passed++;
+        } else {
+            stdout.write('FAIL ' + test.name + '\n     ' + problems.join('\n     ') + '\n');
+            totals.failed++;
+        }
+    }
+}
+
+// Print PASS/FAIL for each [name, check] pair
+function runChecks(checks, stdout, totals) {
+    for (var c = 0; c < checks.length; c++) {
+        if (checks[c][1]()) {
+            stdout.write('PASS ' + checks[c][0] + '\n');
+            totals.passed++;
+        } else {
+            stdout.write('FAIL ' + checks[c][0] + '\n');
+            totals.failed++;
+        }
+    }
+}
+
+/**
+ * applyCodeSuggestionsWithReport on two overlapping fixes: the division
+ * wrapper covers the null access, so the inner fix conflicts in the first
+ * pass and is applied to the wrapped code in the next one.
+ */
+function runFixApplicationTests(engine, stdout, totals) {
+    var code = 'x = Orders.amount / count';
+    var fixed = 'x = ifNaN(ifNull(Orders.amount, DEF_VAL_NULL_SAFETY_1) / count, 0.0)';
+    var config = JSON.parse(JSON.stringify(engine.config));
+    Object.keys(config.suggestionRules).forEach(function(name) {
+        var rule = config.suggestionRules[name];
+        rule.enabled = name === 'divisionOperations' || name === 'nullAccessProtection';
+        rule.autoFixEnabled = true;
+    });
+
+    var report = engine.applyCodeSuggestionsWithReport(code, { config: config, style: 'traditional' });
+    // Stopping early is expected here; the engine warns about it
+    var originalWarn = console.warn;
+    var onePass;
+    console.warn = function() {};
+    try {
+        onePass = engine.applyCodeSuggestionsWithReport(code, { config: config, style: 'traditional', maxIterations: 1 });
+    } finally {
+        console.warn = originalWarn;
+    }
+    var suggestions = engine.analyzeDSL(code, { config: config }).suggestions;
+    var nullOnly = suggestions.filter(function(suggestion) {
+        return suggestion.rule === 'nullAccessProtection';
+    });
+    var accepted = engine.applyCodeSuggestionsWithReport(code, { config: config, style: 'traditional', only: suggestions });
+    var partial = engine.applyCodeSuggestionsWithReport(code, { config: config, style: 'traditional', only: nullOnly });
+
+    runChecks([
+        ['overlap: the inner fix is listed as a conflict in the first pass', function() {
+            var conflict = report.conflicts[0];
+            return report.conflicts.length === 1 && conflict.rule === 'nullAccessProtection' &&
+                conflict.iteration === 1 && conflict.original === 'Orders.amount' &&
+                conflict.conflictsWith.rule === 'divisionOperations';
+        }],
+        ['overlap: both fixes end up in the code', function() {
+            return report.code === fixed && report.converged && report.iterations === 3 &&
+                report.applied.map(function(entry) { return entry.rule + '@' + entry.iteration; }).join(',') ===
+                    'divisionOperations@1,nullAccessProtection@2';
+        }],
+        ['overlap: maxIterations stops after the outer fix', function() {
+            return onePass.code === 'x = ifNaN(Orders.amount / count, 0.0)' && !onePass.converged &&
+                onePass.conflicts.length === 1;
+        }],
+        ['only: accepting both overlapping fixes applies both', function() {
+            return accepted.code === fixed && accepted.applied.length === 2 && accepted.unapplied.length === 0;
+        }],
+        ['only: fixes that were not accepted are left out', function() {
+            return partial.code === 'x = ifNull(Orders.amount, DEF_VAL_NULL_SAFETY_1) / count' &&
+                partial.applied.length === 1 && partial.unapplied.length === 0;
+        }]
+    ], stdout, totals);
+}
+
+/**
+ * analyzeDSL with options.cache: unchanged statements reuse the results of
+ * cacheable rules (also when they moved), edited ones and config changes are
+ * re-checked, and the suggestions always match an uncached analysis.
+ */
+function runCacheTests(engine, stdout, totals) {
+    var code = 'ratio = total / count\nname = Orders.amount\nitems = Orders.lines.sum(a / b)\n';
+    var cache = engine.createAnalysisCache();
+    var config = JSON.parse(JSON.stringify(engine.config));
+
+    // Analyse with the cache and count this analysis only
+    function analyze(text) {
+        cache.hits = 0;
+        cache.misses = 0;
+        var cached = engine.analyzeDSL(text, { config: config, cache: cache });
+        var fresh = engine.analyzeDSL(text, { config: config });
+        return {
+            hits: cache.hits,
+            misses: cache.misses,
+            same: JSON.stringify(cached.suggestions) === JSON.stringify(fresh.suggestions),
+            count: cached.suggestions.length
+        };
+    }
+
+    var first = analyze(code);
+    var unchanged = analyze(code);
+    var moved = analyze('// header\n' + code);
+    var edited = analyze('// header\n' + code.replace('total / count', 'total / limit'));
+    config = JSON.parse(JSON.stringify(config));
+    var otherConfig = analyze(code);
+    config.suggestionRules.divisionOperations.enabled = false;
+    var editedConfig = analyze(code);
+
+    runChecks([
+        ['cache: the first analysis runs every check', function() {
+            return first.hits === 0 && first.misses > 0 && first.same && first.count === 4;
+        }],
+        ['cache: unchanged code reuses every result', function() {
+            return unchanged.hits === first.misses && unchanged.misses === 0 && unchanged.same;
+        }],
+        ['cache: statements moved down reuse their results', function() {
+            return moved.hits === first.misses && moved.same;
+        }],
+        ['cache: only the edited statement is checked again', function() {
+            return edited.misses > 0 && edited.misses < first.misses && edited.hits > 0 && edited.same;
+        }],
+        ['cache: another config object clears it', function() {
+            return otherConfig.hits === 0 && otherConfig.same;
+        }],
+        ['cache: a config edited in place clears it', function() {
+            return editedConfig.hits === 0 && editedConfig.same && editedConfig.count === 2;
+        }]
+    ], stdout, totals);
+}
+
+/**
+ * DSLRuleSettings and the config presets: overrides merged over the shipped
+ * config, profile export/import and preset application.
+ */
+function runSettingsTests(engine, stdout, totals) {
+    var settings = engine.ruleSettings;
+    var config = engine.config;
+    var shippedText = JSON.stringify(config);
+    var overrides = { divisionOperations: { severity: 'error', autoFixEnabled: true } };
+    var merged = settings.applyOverrides(config, overrides);
+
+    // Profiles go through JSON like an exported file does
+    function importProfile(profile) {
+        return settings.validateProfile(JSON.parse(JSON.stringify(profile)), config);
+    }
+
+    var profile = settings.exportProfile(config, overrides, { name: 'Team', preset: 'safety' });
+    var imported = importProfile(profile);
+    var fullImport = importProfile(settings.exportProfile(config, overrides, { full: true }));
+    var unknownKeys = importProfile({
+        type: profile.type,
+        preset: 'safety',
+        suggestionRules: { divisionOperations: { severty: 'error' }, noSuchRule: { enabled: true } }
+    });
+    var unknownPreset = importProfile({ extends: 'noSuchPreset' });
+
+    var safety = engine.applyConfigPreset(config, 'safety');
+    var strict = engine.applyConfigPreset(config, 'strict');
+
+    function enabledRules(presetConfig) {
+        return Object.keys(presetConfig.suggestionRules).filter(function(name) {
+            return presetConfig.suggestionRules[name].enabled;
+        }).join(',');
+    }
+
+    runChecks([
+        ['overrides: merged over the overridden rule only', function() {
+            var rule = merged.suggestionRules.divisionOperations;
+            return rule.severity === 'error' && rule.autoFixEnabled === true && rule.label === 'Div By 0' &&
+                merged.suggestionRules.queryFunctions === config.suggestionRules.queryFunctions &&
+                merged.presets === config.presets;
+        }],
+        ['overrides: getSetting falls back to config.defaults', function() {
+            return settings.getSetting(merged, 'divisionOperations', 'severity') === 'error' &&
+                config.suggestionRules.divisionOperations.severity === undefined &&
+                settings.getSetting(config, 'divisionOperations', 'severity') === config.defaults.severity &&
+                settings.getSetting(merged, 'noSuchRule', 'severity') === undefined;
+        }],
+        ['overrides: the shipped config is not changed', function() {
+            return settings.applyOverrides(config, {}).suggestionRules.divisionOperations ===
+                config.suggestionRules.divisionOperations && JSON.stringify(config) === shippedText;
+        }],
+        ['profile: export and import give back the overrides and preset', function() {
+            return profile.extends === 'safety' && imported.errors.length === 0 &&
+                imported.name === 'Team' && imported.preset === 'safety' &&
+                JSON.stringify(imported.overrides) === JSON.stringify(overrides);
+        }],
+        ['profile: a full export imports as the same overrides', function() {
+            return fullImport.errors.length === 0 && fullImport.preset === null &&
+                JSON.stringify(fullImport.overrides) === JSON.stringify(overrides);
+        }],
+        ['profile: unknown profile keys, rule settings and rules are rejected', function() {
+            var errors = unknownKeys.errors.join('\n');
+            return unknownKeys.errors.length === 3 && /^preset is not a known setting/m.test(errors) &&
+                errors.indexOf('suggestionRules.divisionOperations.severty is not a known setting') !== -1 &&
+                errors.indexOf('suggestionRules.noSuchRule is not a known rule') !== -1 &&
+                Object.keys(unknownKeys.overrides).length === 0;
+        }],
+        ['profile: an unknown preset is rejected', function() {
+            return unknownPreset.errors.length === 1 && unknownPreset.preset === null &&
+                /^extends: unknown preset "noSuchPreset"/.test(unknownPreset.errors[0]);
+        }],
+        ['profile: non-object profiles are rejected', function() {
+            return settings.validateProfile([], config).errors[0] === 'Profile must be a JSON object' &&
+                settings.validateProfile(null, config).errors.length === 1;
+        }],
+        ['preset: only the preset\'s rules are enabled', function() {
+            return enabledRules(safety) === 'divisionOperations,nullAccessProtection' &&
+                safety.suggestionRules.divisionOperations.label === 'Div By 0';
+        }],
+        ['preset: settings are set on every rule, enabled ones kept', function() {
+            return Object.keys(strict.suggestionRules).every(function(name) {
+                var rule = strict.suggestionRules[name];
+                return rule.severity === 'error' && rule.enabled === config.suggestionRules[name].enabled;
+            });
+        }],
+        ['preset: unknown names give null and the shipped config is not changed', function() {
+            return engine.applyConfigPreset(config, 'noSuchPreset') === null &&
+                settings.applyPreset(config, 'noSuchPreset') === config &&
+                settings.applyPreset(config, 'safety').suggestionRules.queryFunctions.enabled === false &&
+                JSON.stringify(config) === shippedText;
+        }]
+    ], stdout, totals);
+}
+
+/**
+ * Reporter output for a small analysed file: the SARIF results and regions,
+ * the JSON totals, and XML escaping in the JUnit report.
+ */
+function runReporterTests(engine, stdout, totals) {
+    var reporters = require('./dslSuggestionsReporters.js');
+    var code = 'ratio = total / count\nlabel = a / b /* dsl-ignore */\n';
+    var files = [{ file: 'reports/sample.dsl', code: code, results: engine.analyzeDSL(code) }];
+    var options = { config: engine.config, rules: engine.rules };
+
+    // Built by hand so the message holds every character XML must escape
+    var message = 'Use <b> & "c"';
+    var escaped = 'Use &lt;b&gt; &amp; &quot;c&quot;';
+    var unsafe = [{ file: 'a&b.dsl', code: 'x = 1', results: {
+        suggestions: [{ rule: 'divisionOperations', severity: 'warning', message: message, line: 1, column: 0, original: 'x' }],
+        suppressed: []
+    } }];
+
+    var sarif = JSON.parse(reporters.sarif(files, options));
+    var report = JSON.parse(reporters.json(files, options));
+    var junit = reporters.junit(unsafe, options);
+    var run = sarif.runs[0];
+    var results = run.results || [];
+
+    function region(result) {
+        return result.locations[0].physicalLocation.region;
+    }
+
+    var checks = [
+        ['sarif: runs[0].results holds active and suppressed results', function() {
+            return sarif.version === '2.1.0' && Array.isArray(results) && results.length === 2 &&
+                results.every(function(result) {
+                    return typeof result.ruleId === 'string' && result.level === 'warning' &&
+                        typeof result.message.text === 'string' &&
+                        result.locations[0].physicalLocation.artifactLocation.uri === 'reports/sample.dsl';
+                }) &&
+                !results[0].suppressions && results[1].suppressions[0].kind === 'inSource';
+        }],
+        ['sarif: ruleId matches the driver rule at ruleIndex', function() {
+            return results[0].ruleId === 'divisionOperations' &&
+                run.tool.driver.rules[results[0].ruleIndex].id === 'divisionOperations';
+        }],
+        ['sarif: region is 1-based and covers the reported code', function() {
+            var first = region(results[0]);
+            var second = region(results[1]);
+            return first.startLine === 1 && first.startColumn === 9 && first.endLine === 1 &&
+                first.endColumn === 22 && first.snippet.text === 'total / count' &&
+                second.startLine === 2 && second.startColumn === 9 && second.endColumn === 14;
+        }],
+        ['sarif: message text is kept as is', function() {
+            var unsafeSarif = JSON.parse(reporters.sarif(unsafe, options));
+            return unsafeSarif.runs[0].results[0].message.text === message;
+        }],
+        ['json: summary counts active and suppressed suggestions', function() {
+            return report.summary.files === 1 && report.summary.total === 1 &&
+                report.summary.suppressed === 1 && report.summary.byRule.divisionOperations === 1 &&
+                report.files[0].suggestions.length === 1 && report.files[0].suppressed.length === 1;
+        }],
+        ['json: suggestion positions are 1-based', function() {
+            var suggestion = report.files[0].suggestions[0];
+            return suggestion.rule === 'divisionOperations' && suggestion.line === 1 &&
+                suggestion.column === 9 && suggestion.endColumn === 22;
+        }],
+        ['junit: one failure per rule, the other rules pass', function() {
+            return /<testsuites [^>]*failures="1"/.test(junit) &&
+                (junit.match(/<testcase /g) || []).length === Object.keys(engine.config.suggestionRules).length;
+        }],
+        ['junit: file names and messages are XML escaped', function() {
+            return junit.indexOf('name="a&amp;b.dsl"') !== -1 &&
+                junit.indexOf('message="' + escaped + '"') !== -1 &&
+                junit.indexOf('>a&amp;b.dsl:1:1 warning divisionOperations ' + escaped + '</failure>') !== -1 &&
+                junit.indexOf('<b>') === -1 && !/&(?!amp;|lt;|gt;|quot;|apos;)/.test(junit);
+        }]
+    ];
+
+    runChecks(checks, stdout, totals);
+}
+
+/**
+ * dslSuggestCli.js smoke test: exit codes, the --fix --dry-run diff, --fix
+ * writing the file, and output piped into a reader that stops early.
+ */
+function runCliTests(stdout, totals) {
+    var spawnSync = require('child_process').spawnSync;
+    var os = require('os');
+    var cli = path.join(__dirname, 'dslSuggestCli.js');
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsl-suggest-'));
+    var written = [];
+
+    function write(name, text) {
+        fs.writeFileSync(path.join(dir, name), text);
+        written.push(name);
+    }
+
+    function cliRun(args) {
+        return spawnSync(process.execPath, [cli].concat(args), { cwd: dir, encoding: 'utf8', timeout: 30000 });
+    }
+
+    try {
+        write('clean.dsl', 'x = 1\n');
+        write('division.dsl', 'x = a / b\n');
+        write('block.dsl', 'x = block(f(a))\n');
+        // Far more output than a pipe buffer holds
+        var many = [];
+        for (var i = 0; i < 2000; i++) {
+            many.push('x' + i + ' = a / b');
+        }
+        write('many.dsl', many.join('\n') + '\n');
+
+        var clean = cliRun(['clean.dsl']);
+        var division = cliRun(['division.dsl']);
+        var failOnError = cliRun(['--fail-on', 'error', 'division.dsl']);
+        var usage = cliRun(['--no-such-option', 'clean.dsl']);
+        var missing = cliRun(['missing.dsl']);
+        var dryRun = cliRun(['--fix', '--dry-run', 'block.dsl']);
+        var afterDryRun = fs.readFileSync(path.join(dir, 'block.dsl'), 'utf8');
+        var fix = cliRun(['--fix', 'block.dsl']);
+        var afterFix = fs.readFileSync(path.join(dir, 'block.dsl'), 'utf8');
+        // The CLI's exit code goes to stderr, past the reader that only takes one line
+        var piped = process.platform === 'win32' ? null : spawnSync('sh', ['-c',
+            '{ "$0" "$1" many.dsl; echo "exit $?" >&2; } | head -1', process.execPath, cli
+        ], { cwd: dir, encoding: 'utf8', timeout: 30000 });
+
+        var checks = [
+            ['cli: no suggestions exits 0', function() {
+                return clean.status === 0 && clean.stdout === '';
+            }],
+            ['cli: a warning exits 1 with a file:line:col line', function() {
+                return division.status === 1 &&
+                    division.stdout.indexOf('division.dsl:1:7 warning divisionOperations ') === 0;
+            }],
+            ['cli: --fail-on error exits 0 for warnings', function() {
+                return failOnError.status === 0 && failOnError.stdout !== '';
+            }],
+            ['cli: usage and file errors exit 2', function() {
+                return usage.status === 2 && usage.stderr.indexOf('Usage: dsl-suggest') !== -1 &&
+                    missing.status === 2;
+            }],
+            ['cli: --fix --dry-run prints a diff and leaves the file', function() {
+                return dryRun.status === 0 && afterDryRun === 'x = block(f(a))\n' &&
+                    dryRun.stdout === '--- a/block.dsl\n+++ b/block.dsl\n@@ -1 +1 @@\n-x = block(f(a))\n+x = f(a)\n';
+            }],
+            ['cli: --fix writes the fixed file', function() {
+                return fix.status === 0 && fix.stdout === '' && afterFix === 'x = f(a)\n';
+            }]
+        ];
+        if (piped) {
+            checks.push(['cli: a closed pipe ends the run quietly', function() {
+                return piped.status === 0 && piped.stdout.split('\n').length === 2 &&
+                    /(^|\n)exit 1\n$/.test(piped.stderr) && piped.stderr.indexOf('EPIPE') === -1;
+            }]);
+        } else {
+            stdout.write('SKIP cli: a closed pipe ends the run quietly (needs sh)\n');
+            totals.skipped++;
+        }
+
+        runChecks(checks, stdout, totals);
+    } finally {
+        written.forEach(function(name) {
+            fs.unlinkSync(path.join(dir, name));
+        });
+        fs.rmdirSync(dir);
+    }
+}
+
+/**
+ * Scripted LSP client session: every message is written to the server's stdin
+ * at once, then the replies are checked in order.
+ */
+function runLanguageServerTests(stdout, totals) {
+    var spawnSync = require('child_process').spawnSync;
+    var lsp = require('./dslLanguageServer.js');
+    var uri = 'file:///scripted/test.dsl';
+    var wrapperUri = 'file:///scripted/wrappers.dsl';
+    var renameUri = 'file:///scripted/rename.dsl';
+    var extractUri = 'file:///scripted/extract.dsl';
+
+    // CRLF on purpose: positions must still match the client's lines
+    var script = [
+        { id: 1, method: 'initialize', params: { processId: null, rootUri: null, capabilities: {} } },
+        { method: 'initialized', params: {} },
+        // Malformed notifications are logged and dropped, the session goes on
+        { method: 'textDocument/didOpen', params: {} },
+        { method: 'textDocument/didChange', params: { contentChanges: [{ text: 'x = 1' }] } },
+        { method: 'textDocument/didClose' },
+        { method: 'textDocument/didOpen', params: { textDocument: {
+            uri: uri, languageId: 'dsl', version: 1, text: 'x = a / b\r\ny = Orders.amount\r\n'
+        } } },
+        { id: 2, method: 'textDocument/codeAction', params: {
+            textDocument: { uri: uri },
+            range: { start: { line: 0, character: 6 }, end: { line: 0, character: 6 } },
+            context: { diagnostics: [] }
+        } },
+        { id: 3, method: 'textDocument/hover', params: { textDocument: { uri: uri }, position: { line: 0, character: 6 } } },
+        { id: 4, method: 'textDocument/hover', params: { textDocument: { uri: uri }, position: { line: 0, character: 0 } } },
+        { method: 'textDocument/didChange', params: {
+            textDocument: { uri: uri, version: 2 },
+            contentChanges: [{ text: 'x = 1\n' }]
+        } },
+        { method: 'textDocument/didOpen', params: { textDocument: {
+            uri: wrapperUri, languageId: 'dsl', version: 1, text: 'y = ifNull(Orders.amount, 0)\n'
+        } } },
+        { id: 7, method: 'textDocument/codeAction', params: {
+            textDocument: { uri: wrapperUri },
+            range: { start: { line: 0, character: 12 }, end: { line: 0, character: 12 } },
+            context: { diagnostics: [], only: ['refactor'] }
+        } },
+        { method: 'textDocument/didOpen', params: { textDocument: {
+            uri: renameUri, languageId: 'dsl', version: 1,
+            text: 'total = block(\n    sub_total = 1,\n    sub_total + Order.sub_total\n)\nsub_total\nblock(a = 1, b = a)\n'
+        } } },
+        { id: 8, method: 'textDocument/rename', params: {
+            textDocument: { uri: renameUri }, position: { line: 2, character: 6 }, newName: 'subTotal'
+        } },
+        { id: 9, method: 'textDocument/rename', params: {
+            textDocument: { uri: renameUri }, position: { line: 5, character: 6 }, newName: 'b'
+        } },
+        { method: 'textDocument/didOpen', params: { textDocument: {
+            uri: extractUri, languageId: 'dsl', version: 1,
+            text: 'label = block(\n    first = ParentSeason.Name,\n    ParentSeason.Name + first\n)\n'
+        } } },
+        { id: 10, method: 'textDocument/codeAction', params: {
+            textDocument: { uri: extractUri },
+            range: { start: { line: 1, character: 26 }, end: { line: 1, character: 26 } },
+            context: { diagnostics: [], only: ['refactor.extract'] }
+        } },
+        { id: 5, method: 'workspace/unknownRequest', params: {} },
+        { id: 6, method: 'shutdown' },
+        { method: 'exit' }
+    ];
+
+    var input = script.map(function(message) {
+        message.jsonrpc = '2.0';
+        return lsp.encodeMessage(message);
+    }).join('');
+    var child = spawnSync(process.execPath, [LANGUAGE_SERVER, '--stdio'], {
+        input: input,
+        timeout: LANGUAGE_SERVER_TIMEOUT_MS
+    });
+
+    var responses = {};
+    var diagnostics = [];
+    if (child.stdout) {
+        lsp.createMessageReader(function(message) {
+            if (message && message.method === 'textDocument/publishDiagnostics' && message.params.uri === uri) {
+                diagnostics.push(message.params);
+            } else if (message && message.id !== undefined) {
+                responses[message.id] = message;
+            }
+        })(child.stdout);
+    }
+
+    function result(id) {
+        return responses[id] ? responses[id].result : undefined;
+    }
+
+    function ofKind(actions, kind) {
+        return (actions || []).filter(function(action) {
+            return action.kind === kind;
+        });
+    }
+
+    function editText(action) {
+        return action && action.edit.changes[uri][0].newText;
+    }
+
+    var checks = [
+        ['initialize advertises code actions and hover', function() {
+            var capabilities = (result(1) || {}).capabilities || {};
+            return !!capabilities.codeActionProvider && capabilities.hoverProvider === true;
+        }],
+        ['malformed notifications leave the server running', function() {
+            return responses[2] !== undefined && child.status === 0 &&
+                String(child.stderr).indexOf('textDocument/didOpen failed') === -1;
+        }],
+        ['didOpen publishes one diagnostic per suggestion', function() {
+            var first = diagnostics[0] || { diagnostics: [] };
+            var division = first.diagnostics[0] || {};
+            return first.diagnostics.length === 2 && division.code === 'divisionOperations' &&
+                division.severity === 2 && JSON.stringify(division.range) ===
+                JSON.stringify({ start: { line: 0, character: 4 }, end: { line: 0, character: 9 } });
+        }],
+        ['codeAction offers the traditional and method fixes', function() {
+            var actions = ofKind(result(2), 'quickfix');
+            return actions.length === 2 && actions[0].isPreferred === true &&
+                editText(actions[0]) === 'ifNaN(a / b, 0.0)' &&
+                editText(actions[1]) === '(a / b).ifNaN(0.0)';
+        }],
+        ['hover shows the rule description', function() {
+            var hover = result(3);
+            return !!hover && hover.contents.value.indexOf('Detect division operations') !== -1;
+        }],
+        ['hover outside a suggestion is empty', function() {
+            return responses[4] !== undefined && result(4) === null;
+        }],
+        ['didChange publishes the new diagnostics', function() {
+            return diagnostics.length === 2 && diagnostics[1].version === 2 && diagnostics[1].diagnostics.length === 0;
+        }],
+        ['codeAction only refactor converts a wrapper call to method form', function() {
+            var actions = ofKind(result(7), 'refactor.rewrite');
+            var edit = actions[0] && actions[0].edit.changes[wrapperUri][0];
+            return actions.length === 1 &&
+                !!edit && edit.newText === '(Orders.amount).ifNull(0)' &&
+                edit.range.start.character === 4 && edit.range.end.character === 28;
+        }],
+        ['rename changes the block variable, not properties or the outer name', function() {
+            var edits = ((result(8) || {}).changes || {})[renameUri] || [];
+            return edits.length === 2 && edits[0].newText === 'subTotal' &&
+                JSON.stringify(edits.map(function(edit) { return edit.range.start; })) ===
+                JSON.stringify([{ line: 1, character: 4 }, { line: 2, character: 4 }]);
+        }],
+        ['rename to a name already in the scope fails', function() {
+            return !!responses[9] && !!responses[9].error && responses[9].error.code === -32803 &&
+                responses[9].error.message.indexOf('"b"') !== -1;
+        }],
+        ['codeAction only refactor.extract extracts the Node chain at the cursor', function() {
+            var actions = result(10) || [];
+            var edits = actions.length === 2 ? actions[1].edit.changes[extractUri] : [];
+            return actions.length === 2 && actions[0].title === 'Extract to variable parentSeasonName (2 copies)' &&
+                edits.length === 3 && edits[0].newText ===
+                'parentSeasonName = (ParentSeason.Name).ifNull(DEF_VAL_NULL_SAFETY_1),\n    ' &&
+                edits[1].newText === 'parentSeasonName' && edits[2].range.start.line === 2;
+        }],
+        ['unknown requests get MethodNotFound', function() {
+            return !!responses[5] && !!responses[5].error && responses[5].error.code === -32601;
+        }],
+        ['shutdown and exit end the server with status 0', function() {
+            return responses[6] !== undefined && result(6) === null && child.status === 0;
+        }]
+    ];
+
+    for (var c = 0; c < checks.length; c++) {
+        if (checks[c][1]()) {
+            stdout.write('PASS ' + checks[c][0] + '\n');
+            totals.passed++;
+        } else {
+            stdout.write('FAIL ' + checks[c][0] + '\n');
+            totals.failed++;
+        }
+    }
+
+    if (totals.failed > 0 && child.stderr && child.stderr.length > 0) {
+        stdout.write(String(child.stderr).replace(/^(?=.)/gm, '     '));
+    }
+    if (child.error) {
+        stdout.write('     ' + child.error.message + '\n');
+    }
+}
+
+// Run all suites and return the process exit code
+function run(argv, stdout) {
+    var update = false;
+    var files = [];
+
+    for (var i = 0; i < argv.length; i++) {
+        if (argv[i] === '--update') {
+            update = true;
+        } else {
+            files.push(argv[i]);
+        }
+    }
+    if (files.length === 0) {
+        files = findTestFiles(__dirname);
+    }
+
+    // Engine and rules log progress with console.log; keep the report readable
+    var originalLog = console.log;
+    console.log = function() {};
+
+    try {
+        var engine = require('./dslSuggestionsNode.js');
+        var totals = { passed: 0, failed: 0, skipped: 0, updated: 0 };
+
+        stdout.write('Rule expectations\n');
+        runExpectationTests(engine, files, stdout, totals);
+
+        stdout.write('\nFix snapshots (' + path.relative(process.cwd(), SNAPSHOT_DIR) + ')\n');
+        runSnapshotTests(engine, update, stdout, totals);
+
+        stdout.write('\nFormatter (idempotent, same suggestions)\n');
+        runFormatterTests(engine, files, stdout, totals);
+
+        stdout.write('\nForm conversion (comments kept, round trip)\n');
+        runConversionTests(stdout, totals);
+
+        stdout.write('\nFix application (overlapping fixes)\n');
+        runFixApplicationTests(engine, stdout, totals);
+
+        stdout.write('\nAnalysis cache (reuse and invalidation)\n');
+        runCacheTests(engine, stdout, totals);
+
+        stdout.write('\nRule settings (overrides, profiles, presets)\n');
+        runSettingsTests(engine, stdout, totals);
+
+        stdout.write('\nReporters (SARIF, JSON, JUnit)\n');
+        runReporterTests(engine, stdout, totals);
+
+        stdout.write('\nCommand line (dslSuggestCli.js)\n');
+        runCliTests(stdout, totals);
+
+        stdout.write('\nLanguage server (scripted client)\n');
+        runLanguageServerTests(stdout, totals);
+
+        stdout.write('\n' + totals.passed + ' passed, ' + totals.failed + ' failed, ' + totals.skipped + ' skipped' +
+            (update ? ', ' + totals.updated + ' snapshots updated' : '') + '\n');
+        return totals.failed > 0 ? 1 : 0;
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = run(process.argv.slice(2), process.stdout);
+}
+
+module.exports = {
+    run: run,
+    parseExpectations: parseExpectations,
+    checkFile: checkFile,
+    buildSnapshotConfig: buildSnapshotConfig
+};